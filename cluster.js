@@ -0,0 +1,111 @@
+// ===== CLUSTER MODE =====
+// Runs server.js in several worker processes behind one port. The primary
+// only accepts connections and hands each one to a worker: Socket.IO sessions
+// stick to the worker that created them (needed for HTTP long-polling), while
+// broadcasts and shared state travel between workers over IPC, so no external
+// service (Redis etc.) is needed.
+//
+//   CLUSTER_WORKERS=4 node cluster.js
+//
+// Use MESSAGE_STORE=sqlite so every worker reads and writes the same history.
+const cluster = require('cluster');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary: setupAdapterPrimary } = require('@socket.io/cluster-adapter');
+const { setupPrimary: setupSharedStatePrimary } = require('./lib/shared-state/cluster');
+
+const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+const WORKERS = parseInt(process.env.CLUSTER_WORKERS, 10) ||
+    (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+// A worker that dies sooner than this after starting is not restarted, to avoid a crash loop
+const MIN_WORKER_LIFETIME_MS = 5000;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Every worker must verify the tokens the others sign, so a random secret is
+// picked once here and inherited through the environment
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️ JWT_SECRET is not set, using a random secret: sessions will not survive a restart');
+    process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+const httpServer = http.createServer();
+setupMaster(httpServer, { loadBalancingMethod: 'least-connection' });
+setupAdapterPrimary();
+setupSharedStatePrimary();
+
+// Buffers must stay Buffers between processes (attachments, binary packets)
+cluster.setupPrimary({
+    exec: path.join(__dirname, 'server.js'),
+    serialization: 'advanced'
+});
+
+let shuttingDown = false;
+const startedAt = new Map();
+
+const fork = () => {
+    const worker = cluster.fork();
+    startedAt.set(worker.id, Date.now());
+    return worker;
+};
+
+// Only open the port once every worker can take connections
+let readyWorkers = 0;
+cluster.on('message', (worker, message) => {
+    if (!message || message.type !== 'chat:worker-ready') return;
+    
+    readyWorkers++;
+    if (readyWorkers === WORKERS && !httpServer.listening) {
+        httpServer.listen(PORT, HOST, () => {
+            console.log(`🚀 Server started on ${HOST}:${PORT} (cluster of ${WORKERS} workers)`);
+            console.log(`⚡ Primary process ID: ${process.pid}`);
+            console.log(`👤 Health check: http://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}/health`);
+        });
+    }
+});
+
+cluster.on('exit', (worker, code, signal) => {
+    const lifetime = Date.now() - (startedAt.get(worker.id) || 0);
+    startedAt.delete(worker.id);
+    
+    if (shuttingDown) {
+        // Idle keep-alive connections would hold close() open; nothing is left to serve them
+        if (Object.keys(cluster.workers).length === 0) {
+            console.log('✅ All workers stopped');
+            httpServer.close();
+            process.exit(0);
+        }
+        return;
+    }
+    
+    console.error(`💥 Worker ${worker.process.pid} exited (${signal || code})`);
+    if (lifetime < MIN_WORKER_LIFETIME_MS) {
+        console.error('❌ Worker crashed right after starting, not restarting it');
+        return;
+    }
+    fork();
+});
+
+// Workers close their own connections and storage (see gracefulShutdown in server.js)
+const shutdown = () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log('🛑 Received shutdown signal, stopping workers...');
+    
+    Object.values(cluster.workers).forEach(worker => worker.process.kill('SIGTERM'));
+    setTimeout(() => {
+        console.log('⚠️ Forcing shutdown...');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+console.log(`🧩 Starting ${WORKERS} workers...`);
+for (let i = 0; i < WORKERS; i++) {
+    fork();
+}
@@ -0,0 +1,183 @@
+// ===== USER ACCOUNTS =====
+// Accounts live in memory and are written to a JSON file on every change.
+// Passwords are hashed with scrypt and a per-account random salt. With a
+// `replication` channel (see lib/shared-state) several processes can share the
+// file: each change is sent to the others, which apply it and write it too.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'accounts.json');
+const KEY_LENGTH = 64;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,20}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, expected] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+};
+
+// Returns an error message, or null when the credentials are acceptable
+const validateCredentials = (username, password) => {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'Username must be 3-20 characters: letters, numbers, ".", "_" or "-"';
+    }
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+        return `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`;
+    }
+    return null;
+};
+
+// The account as it may be shown to anyone (no password hash)
+const toPublicAccount = (account) => ({
+    id: account.id,
+    username: account.username,
+    role: account.role || 'member',
+    createdAt: account.createdAt
+});
+
+const createAccountStore = (options = {}) => {
+    const filePath = options.path || DEFAULT_PATH;
+    const replication = options.replication;
+    const accounts = new Map();
+    // Lowercased names being registered, held while their password is hashed
+    const reserved = new Set();
+    
+    const findByUsername = (username) => {
+        const wanted = (username || '').toLowerCase();
+        for (const account of accounts.values()) {
+            if (account.username.toLowerCase() === wanted) return account;
+        }
+        return null;
+    };
+    
+    // Writes are chained and go through a temp file so a crash never leaves half a file.
+    // Resolves or rejects with this write; the chain itself carries on after a failure.
+    let writeQueue = Promise.resolve();
+    const persist = () => {
+        const write = writeQueue.then(async () => {
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(Array.from(accounts.values()), null, 2));
+            await fs.promises.rename(tempPath, filePath);
+        });
+        writeQueue = write.catch(error => console.error('Failed to save accounts:', error.message));
+        return write;
+    };
+    
+    // Every change is a whole account, so applying one twice is harmless. Other
+    // processes only hear of it once it is on disk; if it can't be saved it is
+    // undone here too, and the caller gets the error.
+    const commit = async (account) => {
+        const previous = accounts.get(account.id);
+        accounts.set(account.id, account);
+        try {
+            await persist();
+        } catch (error) {
+            if (previous) {
+                accounts.set(account.id, previous);
+            } else {
+                accounts.delete(account.id);
+            }
+            throw error;
+        }
+        if (replication) replication.publish({ account });
+    };
+    
+    if (replication) {
+        replication.subscribe(({ account }) => {
+            accounts.set(account.id, account);
+            // Already logged by persist
+            persist().catch(() => {});
+        });
+    }
+    
+    const store = {
+        init: async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            if (!fs.existsSync(filePath)) return store;
+            
+            const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            saved.forEach(account => accounts.set(account.id, account));
+            console.log(`🔐 Loaded ${accounts.size} accounts from ${filePath}`);
+            return store;
+        },
+        
+        findById: (id) => accounts.get(id) || null,
+        
+        findByUsername,
+        
+        create: async (username, password) => {
+            const name = username.toLowerCase();
+            if (findByUsername(username) || reserved.has(name)) {
+                const error = new Error('That username is already taken');
+                error.status = 409;
+                throw error;
+            }
+            
+            reserved.add(name);
+            try {
+                const account = {
+                    id: `u_${crypto.randomBytes(8).toString('hex')}`,
+                    username,
+                    passwordHash: await hashPassword(password),
+                    createdAt: new Date().toISOString()
+                };
+                
+                try {
+                    await commit(account);
+                } catch (error) {
+                    const failure = new Error('Could not save the account; please try again');
+                    failure.status = 500;
+                    throw failure;
+                }
+                return account;
+            } finally {
+                reserved.delete(name);
+            }
+        },
+        
+        // Roles are checked by lib/moderation.js; this only stores them
+        setRole: async (id, role) => {
+            const account = accounts.get(id);
+            if (!account) return null;
+            
+            // A copy, so that a failed save leaves the stored account as it was
+            const updated = { ...account, role };
+            await commit(updated);
+            return updated;
+        },
+        
+        // Resolves to the account, or null if the username/password pair is wrong
+        authenticate: async (username, password) => {
+            const account = findByUsername(username);
+            if (!account) return null;
+            return (await verifyPassword(password, account.passwordHash)) ? account : null;
+        },
+        
+        close: () => writeQueue
+    };
+    
+    return store;
+};
+
+module.exports = {
+    createAccountStore,
+    validateCredentials,
+    toPublicAccount,
+    USERNAME_PATTERN
+};
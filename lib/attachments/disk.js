@@ -0,0 +1,63 @@
+// Local disk attachment storage: one file per key in a single directory.
+// Writes go to a temporary file first, so readers never see a partial upload.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'data', 'uploads');
+const KEY_PATTERN = /^[a-z0-9]+(\.[a-z0-9]+)*$/;
+
+const createDiskStorage = (options = {}) => {
+    const dir = options.dir || DEFAULT_DIR;
+    
+    // Keys come from our own ids, but never let one escape the directory
+    const pathFor = (key) => {
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return path.join(dir, key);
+    };
+    
+    const storage = {
+        type: 'disk',
+        
+        init: async () => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            return storage;
+        },
+        
+        write: async (key, source) => {
+            const target = pathFor(key);
+            const temp = path.join(dir, `.${key}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+            
+            try {
+                if (Buffer.isBuffer(source)) {
+                    await fs.promises.writeFile(temp, source);
+                } else {
+                    await pipeline(source, fs.createWriteStream(temp));
+                }
+                await fs.promises.rename(temp, target);
+            } catch (error) {
+                await fs.promises.rm(temp, { force: true });
+                throw error;
+            }
+            
+            const { size } = await fs.promises.stat(target);
+            return size;
+        },
+        
+        read: (key) => {
+            const target = pathFor(key);
+            return fs.existsSync(target) ? fs.createReadStream(target) : null;
+        },
+        
+        remove: (key) => fs.promises.rm(pathFor(key), { force: true }),
+        
+        close: async () => {}
+    };
+    
+    return storage;
+};
+
+module.exports = createDiskStorage;
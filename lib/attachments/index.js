@@ -0,0 +1,24 @@
+// Attachment storage backends. Every backend exposes the same async interface:
+//   init()              -> prepare the backend
+//   write(key, source)  -> store a Buffer or readable stream, resolves to its size in bytes
+//   read(key)           -> a readable stream, or null when nothing is stored under `key`
+//   remove(key)         -> delete whatever is stored under `key`
+//   close()             -> release resources
+const createDiskStorage = require('./disk');
+
+const BACKENDS = {
+    disk: createDiskStorage
+};
+
+const createAttachmentStorage = (options = {}) => {
+    const type = (options.type || 'disk').toLowerCase();
+    const factory = BACKENDS[type];
+    
+    if (!factory) {
+        throw new Error(`Unknown attachment storage "${type}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    
+    return factory(options);
+};
+
+module.exports = { createAttachmentStorage };
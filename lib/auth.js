@@ -0,0 +1,214 @@
+// ===== AUTHENTICATION =====
+// Session tokens are HS256 JSON Web Tokens signed with JWT_SECRET.
+const crypto = require('crypto');
+const express = require('express');
+const { validateCredentials, toPublicAccount } = require('./accounts');
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const createTokenService = ({ secret, ttlSeconds }) => {
+    const sign = (payload) => {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+        const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+        return `${header}.${body}.${signature}`;
+    };
+    
+    // Returns the payload, or null for anything malformed, tampered with or expired
+    const verify = (token) => {
+        if (typeof token !== 'string') return null;
+        
+        const [header, body, signature] = token.split('.');
+        if (!header || !body || !signature) return null;
+        
+        const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+        const actual = Buffer.from(signature, 'base64url');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+        
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    };
+    
+    return { sign, verify };
+};
+
+const getBearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.substring(7) : null;
+};
+
+// Express middleware: attaches req.account when a valid Bearer token is sent
+const authenticateRequest = ({ tokens, accounts }) => (req, res, next) => {
+    const payload = tokens.verify(getBearerToken(req));
+    const account = payload && accounts.findById(payload.sub);
+    
+    if (!account) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    
+    req.account = account;
+    next();
+};
+
+// Express middleware for attachments: attaches req.uploader for a Bearer session
+// token, or for an upload token handed to a connected socket (guests included,
+// while they are allowed). <img> tags and download links can't send headers,
+// so an upload token may also come as ?token=.
+const authenticateUploader = ({ tokens, uploadTokens, accounts, guestsAllowed }) => (req, res, next) => {
+    const bearer = getBearerToken(req);
+    const session = tokens.verify(bearer);
+    const account = session && accounts.findById(session.sub);
+    const upload = !account && uploadTokens.verify(bearer || req.query.token);
+    
+    if (account) {
+        req.uploader = { userId: account.id, username: account.username };
+    } else if (upload && (guestsAllowed || !upload.guest)) {
+        req.uploader = { userId: upload.sub, username: upload.username };
+    } else {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    next();
+};
+
+const createAuthRouter = ({ accounts, tokens, guestsAllowed }) => {
+    const router = express.Router();
+    
+    const issueSession = (account) => ({
+        success: true,
+        token: tokens.sign({ sub: account.id, username: account.username }),
+        user: toPublicAccount(account)
+    });
+    
+    router.get('/config', (req, res) => {
+        res.json({ success: true, guestsAllowed });
+    });
+    
+    router.post('/register', async (req, res, next) => {
+        const { username, password } = req.body || {};
+        const error = validateCredentials(username, password);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        try {
+            const account = await accounts.create(username, password);
+            console.log(`🆕 Registered account ${account.username} (${account.id})`);
+            res.status(201).json(issueSession(account));
+        } catch (err) {
+            if (err.status) {
+                return res.status(err.status).json({ success: false, error: err.message });
+            }
+            next(err);
+        }
+    });
+    
+    router.post('/login', async (req, res, next) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ success: false, error: 'Username and password are required' });
+        }
+        
+        try {
+            const account = await accounts.authenticate(username, password);
+            if (!account) {
+                return res.status(401).json({ success: false, error: 'Invalid username or password' });
+            }
+            res.json(issueSession(account));
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    router.get('/me', authenticateRequest({ tokens, accounts }), (req, res) => {
+        res.json({ success: true, user: toPublicAccount(req.account) });
+    });
+    
+    return router;
+};
+
+// Client-generated id kept in localStorage so reconnects can resume the same presence
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+const getSessionId = (auth) => {
+    const sessionId = auth && auth.sessionId;
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId) ? sessionId : null;
+};
+
+// Guests are identified by a hash of their session id: stable across reconnects,
+// without revealing the session id itself to other users
+const guestIdentity = (socket, sessionId) => {
+    const key = sessionId
+        ? crypto.createHash('sha256').update(sessionId).digest('hex').substring(0, 16)
+        : socket.id;
+    
+    return {
+        userId: `guest_${key}`,
+        username: `User_${key.substring(0, 6)}`,
+        guest: true,
+        sessionId
+    };
+};
+
+// Socket.IO middleware: resolves socket.data.user from handshake.auth.botKey
+// (see lib/bots.js) or handshake.auth.token, falling back to a guest identity
+// when guests are allowed
+const createSocketAuth = ({ accounts, tokens, guestsAllowed, bots }) => (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    const botKey = socket.handshake.auth && socket.handshake.auth.botKey;
+    const sessionId = getSessionId(socket.handshake.auth);
+    
+    // Bots never resume a session: their presence ends with the connection
+    if (botKey) {
+        const bot = bots && bots.findByKey(botKey);
+        if (!bot) {
+            return next(new Error('Invalid bot key'));
+        }
+        
+        socket.data.user = {
+            userId: bot.id,
+            username: bot.name,
+            guest: false,
+            bot: true,
+            sessionId: null
+        };
+        return next();
+    }
+    
+    if (token) {
+        const payload = tokens.verify(token);
+        const account = payload && accounts.findById(payload.sub);
+        
+        if (!account) {
+            return next(new Error('Invalid or expired session'));
+        }
+        
+        socket.data.user = {
+            userId: account.id,
+            username: account.username,
+            guest: false,
+            sessionId
+        };
+        return next();
+    }
+    
+    if (!guestsAllowed) {
+        return next(new Error('Authentication required'));
+    }
+    
+    socket.data.user = guestIdentity(socket, sessionId);
+    next();
+};
+
+module.exports = {
+    createTokenService,
+    createAuthRouter,
+    createSocketAuth,
+    authenticateRequest,
+    authenticateUploader
+};
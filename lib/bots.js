@@ -0,0 +1,259 @@
+// ===== BOTS =====
+// Programmatic users. An admin creates a bot and gets its API key once; only a
+// hash of the key is kept. With the key a bot sends messages over REST
+// (POST /api/messages with "Authorization: Bot <key>") or connects over
+// Socket.IO (auth: { botKey }), where it hears the rooms it joins like anyone
+// else and answers the slash commands it registers. Bots are stored like
+// webhooks: in memory, written to a JSON file on every change and shared
+// between processes through a `replication` channel.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { authenticateRequest } = require('./auth');
+const { hasRole } = require('./moderation');
+const { schemas, validate } = require('./validation');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'bots.json');
+const COMMAND_REPLY_MAX_LENGTH = 2000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const createKey = () => `bot_${crypto.randomBytes(24).toString('base64url')}`;
+
+const toPublicBot = ({ keyHash, ...bot }) => bot;
+
+// What a bot may answer to a command it registered: a reply for the caller or
+// the room, or an error. An empty answer means the bot handled it otherwise.
+const commandAnswerSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        reply: { type: 'string', trim: true, maxLength: COMMAND_REPLY_MAX_LENGTH },
+        scope: { type: 'string', enum: ['caller', 'room'] },
+        error: { type: 'string', trim: true, maxLength: 200 }
+    }
+};
+
+const createBotStore = (options = {}) => {
+    const filePath = options.path || DEFAULT_PATH;
+    const replication = options.replication;
+    const bots = new Map();
+    const listeners = [];
+    
+    let writeQueue = Promise.resolve();
+    const persist = () => {
+        writeQueue = writeQueue.then(async () => {
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(Array.from(bots.values()), null, 2));
+            await fs.promises.rename(tempPath, filePath);
+        }).catch(error => console.error('Failed to save bots:', error.message));
+        return writeQueue;
+    };
+    
+    const apply = (change) => {
+        switch (change.type) {
+            case 'bot':
+                bots.set(change.bot.id, change.bot);
+                break;
+            case 'remove':
+                bots.delete(change.botId);
+                break;
+        }
+        listeners.forEach(listener => listener(change));
+    };
+    
+    const commit = (change) => {
+        apply(change);
+        if (replication) replication.publish(change);
+        persist();
+    };
+    
+    if (replication) {
+        replication.subscribe(change => {
+            apply(change);
+            persist();
+        });
+    }
+    
+    const store = {
+        init: async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            if (!fs.existsSync(filePath)) return store;
+            
+            const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            saved.forEach(bot => apply({ type: 'bot', bot }));
+            console.log(`🤖 Loaded ${bots.size} bots from ${filePath}`);
+            return store;
+        },
+        
+        list: () => Array.from(bots.values(), toPublicBot),
+        
+        get: (botId) => {
+            const bot = bots.get(botId);
+            return bot ? toPublicBot(bot) : null;
+        },
+        
+        findByName: (name) => {
+            const wanted = (name || '').toLowerCase();
+            const bot = Array.from(bots.values()).find(entry => entry.name.toLowerCase() === wanted);
+            return bot ? toPublicBot(bot) : null;
+        },
+        
+        findByKey: (key) => {
+            if (typeof key !== 'string' || !key) return null;
+            const keyHash = hashKey(key);
+            const bot = Array.from(bots.values()).find(entry => entry.keyHash === keyHash);
+            return bot ? toPublicBot(bot) : null;
+        },
+        
+        // { name, description, createdBy } -> { bot, key }; the key is only ever returned here
+        add: (bot) => {
+            const key = createKey();
+            const entry = {
+                id: `b_${crypto.randomBytes(8).toString('hex')}`,
+                createdAt: new Date().toISOString(),
+                commands: [],
+                ...bot,
+                keyHash: hashKey(key)
+            };
+            commit({ type: 'bot', bot: entry });
+            return { bot: toPublicBot(entry), key };
+        },
+        
+        // A new key; the old one stops working for new requests and connections at once
+        rotateKey: (botId) => {
+            const bot = bots.get(botId);
+            if (!bot) return null;
+            
+            const key = createKey();
+            const entry = { ...bot, keyHash: hashKey(key), rotatedAt: new Date().toISOString() };
+            commit({ type: 'bot', bot: entry });
+            return { bot: toPublicBot(entry), key };
+        },
+        
+        remove: (botId) => {
+            const bot = bots.get(botId);
+            if (!bot) return null;
+            commit({ type: 'remove', botId });
+            return toPublicBot(bot);
+        },
+        
+        // Replaces the bot's slash commands: [{ name, description, args: [{ name, required }] }]
+        setCommands: (botId, commands) => {
+            const bot = bots.get(botId);
+            if (!bot) return null;
+            
+            const entry = { ...bot, commands };
+            commit({ type: 'bot', bot: entry });
+            return toPublicBot(entry);
+        },
+        
+        // Called with every change, made here or in another process
+        onChange: (listener) => {
+            listeners.push(listener);
+        },
+        
+        close: () => writeQueue
+    };
+    
+    return store;
+};
+
+const getBotKey = (req) => {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bot ') ? header.substring(4) : null;
+};
+
+// Express middleware: attaches req.bot when a valid "Authorization: Bot <key>" is sent
+const authenticateBot = ({ bots }) => (req, res, next) => {
+    const bot = bots.findByKey(getBotKey(req));
+    if (!bot) {
+        return res.status(401).json({ success: false, error: 'A valid bot key is required' });
+    }
+    
+    req.bot = bot;
+    next();
+};
+
+// ===== ROUTES =====
+const botSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: { ...schemas['update-username'], patternMessage: 'Bot names may only contain letters, numbers, spaces, ".", "_" and "-"' },
+        description: { type: 'string', trim: true, maxLength: 200 }
+    }
+};
+
+const BOT_NOT_FOUND = { success: false, code: 'NOT_FOUND', error: 'Bot not found' };
+
+// Admin management, mounted at /api/bots:
+// GET    /            every bot (without keys)
+// POST   /            { name, description? } -> { bot, key }
+// POST   /:id/key     a new key for the bot
+// DELETE /:id
+// `onChange({ action, actor, bot })` is called after every change: for the
+// audit trail, and to disconnect a bot whose key was rotated or who was removed.
+const createBotRouter = ({ store, accounts, tokens, roleOf, onChange }) => {
+    const router = express.Router();
+    
+    router.use(authenticateRequest({ tokens, accounts }));
+    router.use((req, res, next) => {
+        req.actor = { userId: req.account.id, username: req.account.username, role: roleOf(req.account) };
+        if (!hasRole(req.actor.role, 'admin')) {
+            return res.status(403).json({ success: false, error: 'Admins only' });
+        }
+        next();
+    });
+    
+    const changed = (req, action, bot) => {
+        console.log(`🤖 ${req.actor.username}: ${action} "${bot.name}" (${bot.id})`);
+        if (onChange) onChange({ action, actor: req.actor, bot: { id: bot.id, name: bot.name } });
+    };
+    
+    router.get('/', (req, res) => {
+        res.json({ success: true, bots: store.list() });
+    });
+    
+    router.post('/', (req, res) => {
+        const result = validate(botSchema, req.body);
+        if (result.error) {
+            return res.status(400).json({ success: false, code: 'INVALID_PAYLOAD', error: result.error, field: result.field });
+        }
+        
+        // Bots show up in the user list, so they can't pass for an account either
+        if (store.findByName(result.value.name) || accounts.findByUsername(result.value.name)) {
+            return res.status(409).json({ success: false, error: 'That name is already taken' });
+        }
+        
+        const { bot, key } = store.add({ ...result.value, createdBy: req.actor });
+        changed(req, 'create-bot', bot);
+        res.status(201).json({ success: true, bot, key });
+    });
+    
+    router.post('/:id/key', (req, res) => {
+        const rotated = store.rotateKey(req.params.id);
+        if (!rotated) return res.status(404).json(BOT_NOT_FOUND);
+        
+        changed(req, 'rotate-bot', rotated.bot);
+        res.json({ success: true, bot: rotated.bot, key: rotated.key });
+    });
+    
+    router.delete('/:id', (req, res) => {
+        const bot = store.remove(req.params.id);
+        if (!bot) return res.status(404).json(BOT_NOT_FOUND);
+        
+        changed(req, 'delete-bot', bot);
+        res.json({ success: true, bot });
+    });
+    
+    return router;
+};
+
+module.exports = {
+    createBotStore,
+    createBotRouter,
+    authenticateBot,
+    getBotKey,
+    commandAnswerSchema
+};
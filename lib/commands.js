@@ -0,0 +1,155 @@
+// ===== SLASH COMMANDS =====
+// IRC-style "/name args" commands typed into the composer. Each command
+// declares its arguments and the permission needed to run it; the registry
+// parses, checks and dispatches, and the command's run() decides what happens.
+//
+// A command definition:
+//   {
+//     name: 'topic',
+//     description: 'Show or set the room topic',
+//     permission: 'everyone',            // a key of the registry's permissions
+//     args: [{ name: 'text', required: false, rest: true, schema }],
+//     run: (context, args) => result     // or a promise of one
+//   }
+// `rest` lets the last argument take the remainder of the line, spaces and
+// all; `schema` is a validation.js schema the argument must pass; `consume`
+// picks how much of the line the argument takes (e.g. a name with spaces).
+//
+// run() returns any of:
+//   { reply, scope }  text for the caller only (scope 'caller', the default)
+//                     or for everyone in the room (scope 'room')
+//   { post }          { message, action } to send as a regular chat message
+//   { action }        something for the caller's client to do, e.g. 'clear'
+//   { error, code }   the command failed; nothing was done
+const { validate } = require('./validation');
+
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9_-]{0,31})(?:\s+([\s\S]*))?$/i;
+const NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// "//text" is how a message that starts with a slash gets sent as-is
+const isCommand = (text) => typeof text === 'string' && text.startsWith('/') && !text.startsWith('//');
+
+const usageOf = (command) => [`/${command.name}`]
+    .concat((command.args || []).map(arg => {
+        const name = arg.rest ? `${arg.name}...` : arg.name;
+        return arg.required ? `<${name}>` : `[${name}]`;
+    }))
+    .join(' ');
+
+// Splits the text after the command name over the declared arguments; a
+// `rest` argument keeps its text exactly as typed, line breaks included
+const parseArgs = (command, input) => {
+    const declared = command.args || [];
+    const args = {};
+    let remaining = (input || '').trim();
+    
+    for (const arg of declared) {
+        let raw;
+        if (arg.rest) {
+            raw = remaining;
+            remaining = '';
+        } else {
+            raw = (arg.consume && arg.consume(remaining)) || remaining.match(/^\S*/)[0];
+            remaining = remaining.slice(raw.length).trim();
+        }
+        
+        if (!raw) {
+            if (arg.required) return { error: `Usage: ${usageOf(command)}` };
+            continue;
+        }
+        
+        if (arg.schema) {
+            const result = validate(arg.schema, raw, arg.name);
+            if (result.error) return { error: result.error };
+            args[arg.name] = result.value;
+        } else {
+            args[arg.name] = raw;
+        }
+    }
+    
+    if (remaining) {
+        return { error: `Usage: ${usageOf(command)}` };
+    }
+    
+    return { args };
+};
+
+const createCommandRegistry = ({ permissions = {} } = {}) => {
+    const commands = new Map();
+    const allowed = (command, context) => {
+        const check = permissions[command.permission || 'everyone'];
+        return Boolean(check && check(context));
+    };
+    
+    const register = (command) => {
+        if (!NAME_PATTERN.test(command.name)) {
+            throw new Error(`Invalid command name "${command.name}"`);
+        }
+        if (commands.has(command.name)) {
+            throw new Error(`Command "/${command.name}" is already registered`);
+        }
+        if (!permissions[command.permission || 'everyone']) {
+            throw new Error(`Unknown permission "${command.permission}" for /${command.name}`);
+        }
+        commands.set(command.name, { permission: 'everyone', args: [], ...command });
+    };
+    
+    // For commands that come and go, like the ones bots register
+    const unregister = (name) => commands.delete(name);
+    
+    // What a client needs for autocomplete, limited to what this caller may run
+    const list = (context) => Array.from(commands.values())
+        .filter(command => allowed(command, context))
+        .map(command => ({
+            name: command.name,
+            description: command.description,
+            usage: usageOf(command),
+            args: command.args.map(arg => ({ name: arg.name, required: Boolean(arg.required) })),
+            botId: command.botId
+        }));
+    
+    // Resolves to the command's result with `success` and `command` added
+    const execute = (text, context) => {
+        const match = text.trim().match(COMMAND_PATTERN);
+        const command = match && commands.get(match[1].toLowerCase());
+        
+        if (!command) {
+            const name = match ? match[1] : text.trim().split(/\s/)[0].slice(1);
+            return Promise.resolve({
+                success: false,
+                code: 'UNKNOWN_COMMAND',
+                error: `Unknown command /${name}. Type /help for a list of commands`
+            });
+        }
+        if (!allowed(command, context)) {
+            return Promise.resolve({
+                success: false,
+                code: 'FORBIDDEN',
+                command: command.name,
+                error: `You are not allowed to use /${command.name}`
+            });
+        }
+        
+        const parsed = parseArgs(command, match[2]);
+        if (parsed.error) {
+            return Promise.resolve({ success: false, code: 'INVALID_ARGUMENTS', command: command.name, error: parsed.error });
+        }
+        
+        return Promise.resolve()
+            .then(() => command.run(context, parsed.args))
+            .then((result = {}) => result.error
+                ? { success: false, code: result.code || 'COMMAND_FAILED', command: command.name, error: result.error }
+                : { scope: 'caller', ...result, success: true, command: command.name });
+    };
+    
+    return {
+        register,
+        unregister,
+        get: (name) => commands.get(name) || null,
+        list,
+        execute,
+        usageOf
+    };
+};
+
+module.exports = { createCommandRegistry, isCommand };
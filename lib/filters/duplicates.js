@@ -0,0 +1,67 @@
+// Duplicate-message spam detector: the same text (ignoring case and spacing)
+// sent more than `maxRepeats` times within `windowSeconds` by one user, in any
+// room, is rejected (or flagged with action 'flag'). Messages shorter than
+// `minLength` ("ok", "lol") are never counted. Edits are not checked. Only
+// messages that were actually sent are counted (see accept below).
+const DEFAULT_MAX_REPEATS = 2;
+const DEFAULT_WINDOW_SECONDS = 30;
+const DEFAULT_MIN_LENGTH = 4;
+const CLEANUP_INTERVAL_MS = 60000;
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const createDuplicateFilter = (options = {}) => {
+    const action = options.action || 'reject';
+    const maxRepeats = options.maxRepeats || DEFAULT_MAX_REPEATS;
+    const windowMs = (options.windowSeconds || DEFAULT_WINDOW_SECONDS) * 1000;
+    const minLength = options.minLength || DEFAULT_MIN_LENGTH;
+    // userId -> [{ text, at }], oldest first
+    const recent = new Map();
+    
+    const forget = (userId, now) => {
+        const sent = (recent.get(userId) || []).filter(entry => now - entry.at < windowMs);
+        if (sent.length) {
+            recent.set(userId, sent);
+        } else {
+            recent.delete(userId);
+        }
+        return sent;
+    };
+    
+    const counted = (text, kind) => kind !== 'edit' && text.length >= minLength;
+    
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        Array.from(recent.keys()).forEach(userId => forget(userId, now));
+    }, CLEANUP_INTERVAL_MS);
+    cleanup.unref();
+    
+    return {
+        name: 'duplicates',
+        
+        process: ({ text, kind, userId }) => {
+            const normalized = normalize(text || '');
+            if (!counted(normalized, kind)) return null;
+            
+            const repeats = forget(userId, Date.now()).filter(entry => entry.text === normalized).length;
+            if (repeats < maxRepeats) return null;
+            return action === 'flag'
+                ? { verdict: 'flag', reason: `Same message sent ${repeats + 1} times` }
+                : { verdict: 'reject', reason: 'You already sent that message, please don\'t repeat yourself' };
+        },
+        
+        accept: ({ text, kind, userId }) => {
+            const normalized = normalize(text || '');
+            if (!counted(normalized, kind)) return;
+            
+            const now = Date.now();
+            const sent = forget(userId, now);
+            sent.push({ text: normalized, at: now });
+            recent.set(userId, sent);
+        },
+        
+        close: () => clearInterval(cleanup)
+    };
+};
+
+module.exports = createDuplicateFilter;
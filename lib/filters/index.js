@@ -0,0 +1,111 @@
+// ===== MESSAGE FILTERS =====
+// A pipeline of stages every message passes through before it is broadcast.
+// A stage is { name, process(message) } where `message` is
+//   { text, kind: 'room' | 'direct' | 'edit', room, userId, username, role }
+// (`room` is the conversation id for direct messages; edits carry `messageId` instead)
+// and process() returns (or resolves to) a verdict:
+//   undefined or { verdict: 'allow' }      nothing to do
+//   { verdict: 'modify', text, reason }    later stages and the room see `text`
+//   { verdict: 'flag', reason }            delivered, but reported to moderators
+//   { verdict: 'reject', reason }          not delivered; `reason` goes to the sender
+// Stages run in order and the first rejection stops the pipeline. A stage may
+// also have accept(message), called with the message as it saw it once the
+// message is actually sent: an allowed result carries accept(), which the
+// caller runs after storing it. Stages keeping a history record it there, so a
+// message a later stage or the caller rejects never counts.
+const { hasRole } = require('../moderation');
+const createWordFilter = require('./words');
+const createDuplicateFilter = require('./duplicates');
+const createLinkFilter = require('./links');
+
+const STAGES = {
+    words: createWordFilter,
+    duplicates: createDuplicateFilter,
+    links: createLinkFilter
+};
+
+// Used when MESSAGE_FILTERS is not set; the word list is empty until configured
+const DEFAULT_CONFIG = {
+    stages: [
+        { type: 'words', words: [], action: 'mask' },
+        { type: 'duplicates', maxRepeats: 2, windowSeconds: 30, action: 'reject' },
+        { type: 'links', max: 5, action: 'reject' }
+    ]
+};
+
+// Builds one stage from its config; `exemptRoles` lets staff skip it
+const createStage = (options) => {
+    const factory = STAGES[options.type];
+    if (!factory) {
+        throw new Error(`Unknown message filter "${options.type}" (expected one of: ${Object.keys(STAGES).join(', ')})`);
+    }
+    
+    const stage = factory(options);
+    const exemptRoles = options.exemptRoles || [];
+    return {
+        ...stage,
+        name: options.name || stage.name || options.type,
+        applies: (message) => !exemptRoles.some(role => hasRole(message.role, role))
+    };
+};
+
+const createMessagePipeline = (config = DEFAULT_CONFIG) => {
+    const stages = (config.stages || []).map(createStage);
+    
+    // Resolves to { verdict: 'allow' | 'reject', text, flags: [{ stage, reason }], stage?, reason?, accept? }
+    const run = async (message) => {
+        let text = message.text || '';
+        const flags = [];
+        const passed = [];
+        
+        for (const stage of stages) {
+            if (stage.applies && !stage.applies(message)) continue;
+            
+            const seen = { ...message, text };
+            let result;
+            try {
+                result = await stage.process(seen);
+            } catch (error) {
+                // A broken filter lets messages through rather than silencing the chat
+                console.error(`Message filter ${stage.name} failed:`, error.message);
+                continue;
+            }
+            passed.push({ stage, seen });
+            if (!result || result.verdict === 'allow') continue;
+            
+            if (result.verdict === 'reject') {
+                return { verdict: 'reject', text, flags, stage: stage.name, reason: result.reason };
+            }
+            if (result.verdict === 'modify') {
+                text = result.text;
+            } else if (result.verdict === 'flag') {
+                flags.push({ stage: stage.name, reason: result.reason });
+            }
+        }
+        
+        const accept = () => passed.forEach(({ stage, seen }) => {
+            if (!stage.accept) return;
+            try {
+                stage.accept(seen);
+            } catch (error) {
+                console.error(`Message filter ${stage.name} failed:`, error.message);
+            }
+        });
+        return { verdict: 'allow', text, flags, accept };
+    };
+    
+    return {
+        run,
+        
+        // Adds a custom stage at the end of the pipeline
+        use: (stage) => {
+            stages.push(stage);
+        },
+        
+        stages: () => stages.map(stage => stage.name),
+        
+        close: () => stages.forEach(stage => stage.close && stage.close())
+    };
+};
+
+module.exports = { createMessagePipeline, DEFAULT_CONFIG };
@@ -0,0 +1,49 @@
+// Link limits: at most `max` links per message, none to `blockedDomains` and,
+// when `allowedDomains` is set, only to those. A domain also covers its
+// subdomains. URLs are found the way the client's Markdown autolinks them.
+//   action: 'reject' (default) or 'flag'
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]*[^\s<>"'`.,:;!?)\]}]/gi;
+const DEFAULT_MAX = 5;
+
+const hostnameOf = (url) => {
+    try {
+        return new URL(/^www\./i.test(url) ? `https://${url}` : url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+};
+
+const matchesDomain = (hostname, domains) => domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+const createLinkFilter = (options = {}) => {
+    const action = options.action || 'reject';
+    const max = options.max === undefined ? DEFAULT_MAX : options.max;
+    const blockedDomains = (options.blockedDomains || []).map(domain => domain.toLowerCase());
+    const allowedDomains = (options.allowedDomains || []).map(domain => domain.toLowerCase());
+    
+    const violationOf = (urls) => {
+        if (urls.length > max) {
+            return max === 0 ? 'Links are not allowed here' : `Messages can contain at most ${max} link${max === 1 ? '' : 's'}`;
+        }
+        
+        const hostnames = urls.map(hostnameOf).filter(Boolean);
+        const blocked = hostnames.find(hostname => matchesDomain(hostname, blockedDomains) ||
+            (allowedDomains.length && !matchesDomain(hostname, allowedDomains)));
+        return blocked ? `Links to ${blocked} are not allowed` : null;
+    };
+    
+    return {
+        name: 'links',
+        
+        process: ({ text }) => {
+            const urls = (text || '').match(URL_PATTERN) || [];
+            if (urls.length === 0) return null;
+            
+            const reason = violationOf(urls);
+            if (!reason) return null;
+            return { verdict: action === 'flag' ? 'flag' : 'reject', reason };
+        }
+    };
+};
+
+module.exports = createLinkFilter;
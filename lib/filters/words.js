@@ -0,0 +1,57 @@
+// Word-list filter. Entries match whole words, case-insensitively; an entry
+// ending in "*" also matches anything that starts with it ("spam*" catches
+// "spammer"). Words come from `words` and/or a `file` with one per line
+// (blank lines and "#" comments are skipped).
+//   action: 'mask' (default) replaces each match with `mask` characters,
+//           'flag' delivers the message but reports it, 'reject' blocks it
+const fs = require('fs');
+
+const WORD_CHARACTER = '[\\p{L}\\p{N}_]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readWordFile = (filePath) => fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+
+const createWordFilter = (options = {}) => {
+    const action = options.action || 'mask';
+    // "*" would turn masked words into Markdown emphasis
+    const mask = options.mask || '#';
+    const words = (options.words || []).concat(options.file ? readWordFile(options.file) : [])
+        .map(word => String(word).trim().toLowerCase())
+        .filter(Boolean);
+    
+    const alternatives = words.map(word => word.endsWith('*')
+        ? `${escapeRegExp(word.slice(0, -1))}${WORD_CHARACTER}*`
+        : escapeRegExp(word));
+    const pattern = alternatives.length
+        ? new RegExp(`(?<!${WORD_CHARACTER})(?:${alternatives.join('|')})(?!${WORD_CHARACTER})`, 'giu')
+        : null;
+    
+    return {
+        name: 'words',
+        
+        process: ({ text }) => {
+            if (!pattern || !text) return null;
+            
+            const matches = text.match(pattern);
+            if (!matches) return null;
+            
+            if (action === 'reject') {
+                return { verdict: 'reject', reason: 'Your message contains a blocked word' };
+            }
+            if (action === 'flag') {
+                return { verdict: 'flag', reason: `Blocked words: ${Array.from(new Set(matches.map(match => match.toLowerCase()))).join(', ')}` };
+            }
+            return {
+                verdict: 'modify',
+                text: text.replace(pattern, match => mask.repeat(Array.from(match).length)),
+                reason: 'Blocked words were masked'
+            };
+        }
+    };
+};
+
+module.exports = createWordFilter;
@@ -0,0 +1,235 @@
+// ===== SOCKET FLOOD CONTROL =====
+// Token buckets per socket, per user and per IP for every client event.
+// Repeated violations escalate: warn -> temporary mute -> disconnect.
+// Buckets live in this process: under cluster.js every worker keeps its own, so
+// user and IP limits add up across workers.
+const DEFAULT_CONFIG = {
+    // capacity = burst size, perSecond = sustained rate. Events without an
+    // entry of their own use '*'.
+    limits: {
+        '*': {
+            socket: { capacity: 30, perSecond: 10 }
+        },
+        'send-message': {
+            socket: { capacity: 5, perSecond: 1 },
+            user: { capacity: 8, perSecond: 1.5 },
+            ip: { capacity: 30, perSecond: 5 }
+        },
+        'send-direct-message': {
+            socket: { capacity: 5, perSecond: 1 },
+            user: { capacity: 8, perSecond: 1.5 },
+            ip: { capacity: 30, perSecond: 5 }
+        },
+        'edit-message': {
+            socket: { capacity: 5, perSecond: 0.5 },
+            user: { capacity: 8, perSecond: 1 }
+        },
+        'delete-message': {
+            socket: { capacity: 5, perSecond: 0.5 },
+            user: { capacity: 8, perSecond: 1 }
+        },
+        'add-reaction': {
+            socket: { capacity: 10, perSecond: 2 },
+            user: { capacity: 15, perSecond: 3 }
+        },
+        'remove-reaction': {
+            socket: { capacity: 10, perSecond: 2 },
+            user: { capacity: 15, perSecond: 3 }
+        },
+        'typing': {
+            socket: { capacity: 5, perSecond: 1 },
+            ip: { capacity: 50, perSecond: 10 }
+        },
+        'stop-typing': {
+            socket: { capacity: 5, perSecond: 1 },
+            ip: { capacity: 50, perSecond: 10 }
+        },
+        'join-room': {
+            socket: { capacity: 10, perSecond: 0.5 },
+            ip: { capacity: 30, perSecond: 2 }
+        },
+        'update-username': {
+            socket: { capacity: 3, perSecond: 0.1 },
+            user: { capacity: 5, perSecond: 0.1 }
+        },
+        'set-status': {
+            socket: { capacity: 5, perSecond: 0.5 },
+            user: { capacity: 10, perSecond: 1 }
+        },
+        'set-idle': {
+            socket: { capacity: 4, perSecond: 0.2 }
+        }
+    },
+    escalation: {
+        strikeWindowMs: 60000, // Strikes are forgotten after this long without a new one
+        muteAfter: 5,
+        muteDurationMs: 30000,
+        disconnectAfter: 15,
+        mutedEvents: ['send-message', 'send-direct-message', 'edit-message', 'typing']
+    }
+};
+
+// Bots are counted per bot, over REST and their sockets together, never per
+// connection or IP: integrations often share a host with each other
+const BOT_CONFIG = {
+    limits: {
+        '*': {
+            user: { capacity: 30, perSecond: 10 }
+        },
+        'send-message': {
+            user: { capacity: 20, perSecond: 5 }
+        },
+        'send-direct-message': {
+            user: { capacity: 10, perSecond: 2 }
+        }
+    },
+    escalation: DEFAULT_CONFIG.escalation
+};
+
+const NOTIFY_INTERVAL_MS = 1000;
+const CLEANUP_INTERVAL_MS = 60000;
+
+// Overrides replace whole scopes of an event, and single escalation settings
+const mergeConfig = (overrides = {}, defaults = DEFAULT_CONFIG) => ({
+    limits: Object.entries(overrides.limits || {}).reduce((limits, [event, scopes]) => {
+        limits[event] = { ...limits[event], ...scopes };
+        return limits;
+    }, { ...defaults.limits }),
+    escalation: { ...defaults.escalation, ...overrides.escalation }
+});
+
+const createFloodControl = (overrides, defaults) => {
+    const config = mergeConfig(overrides, defaults);
+    const buckets = new Map();
+    const penalties = new Map();
+    
+    const refill = (key, limit, now) => {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: limit.capacity, updatedAt: now, limit };
+            buckets.set(key, bucket);
+        }
+        
+        const elapsed = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.perSecond);
+        bucket.updatedAt = now;
+        return bucket;
+    };
+    
+    // Either every scope pays a token or none does; returns ms until retry, or 0
+    const take = (event, keys, now) => {
+        const scopes = config.limits[event] || config.limits['*'];
+        const drawn = Object.entries(scopes)
+            .filter(([scope]) => keys[scope])
+            .map(([scope, limit]) => refill(`${scope}:${keys[scope]}:${event}`, limit, now));
+        
+        const empty = drawn.filter(bucket => bucket.tokens < 1);
+        if (empty.length > 0) {
+            return Math.max(...empty.map(bucket => Math.ceil((1 - bucket.tokens) / bucket.limit.perSecond * 1000)));
+        }
+        
+        drawn.forEach(bucket => { bucket.tokens -= 1; });
+        return 0;
+    };
+    
+    const addStrike = (userKey, now) => {
+        const { strikeWindowMs, muteAfter, muteDurationMs, disconnectAfter } = config.escalation;
+        const penalty = penalties.get(userKey) || { strikes: 0, lastStrikeAt: 0, mutedUntil: 0 };
+        
+        if (now - penalty.lastStrikeAt > strikeWindowMs) {
+            penalty.strikes = 0;
+        }
+        penalty.strikes++;
+        penalty.lastStrikeAt = now;
+        penalties.set(userKey, penalty);
+        
+        if (penalty.strikes >= disconnectAfter) return 'disconnect';
+        if (penalty.strikes >= muteAfter) {
+            if (penalty.mutedUntil <= now) penalty.mutedUntil = now + muteDurationMs;
+            return 'mute';
+        }
+        return 'warn';
+    };
+    
+    // Idle buckets that have refilled completely carry no information
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        buckets.forEach((bucket, key) => {
+            if (bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.limit.perSecond >= bucket.limit.capacity) {
+                buckets.delete(key);
+            }
+        });
+        penalties.forEach((penalty, key) => {
+            if (penalty.mutedUntil < now && now - penalty.lastStrikeAt > config.escalation.strikeWindowMs) {
+                penalties.delete(key);
+            }
+        });
+    }, CLEANUP_INTERVAL_MS);
+    cleanup.unref();
+    
+    return {
+        config,
+        
+        // Builds the `throttle` hook for createEventGuard: returns null when the
+        // event may proceed, otherwise a rejection { code, message, retryAfter }
+        forSocket: (socket, { userId, ip }) => {
+            const keys = { socket: socket.id, user: userId, ip };
+            let lastNotifiedAt = 0;
+            
+            const notify = (payload) => {
+                const now = Date.now();
+                if (payload.action === 'warn' && now - lastNotifiedAt < NOTIFY_INTERVAL_MS) return;
+                lastNotifiedAt = now;
+                socket.emit('rate-limited', payload);
+            };
+            
+            return (event) => {
+                const now = Date.now();
+                const penalty = penalties.get(userId);
+                const isMuted = penalty && penalty.mutedUntil > now && config.escalation.mutedEvents.includes(event);
+                
+                // Muted users still draw from their buckets, so flooding while muted escalates further
+                const retryAfter = take(event, keys, now);
+                
+                if (isMuted && !retryAfter) {
+                    const mutedFor = penalty.mutedUntil - now;
+                    notify({ event, action: 'mute', retryAfter: mutedFor, mutedUntil: new Date(penalty.mutedUntil).toISOString() });
+                    return { code: 'MUTED', message: 'You are temporarily muted for flooding', retryAfter: mutedFor };
+                }
+                
+                if (!retryAfter) return null;
+                
+                const action = addStrike(userId, now);
+                console.warn(`🌊 Flood control: ${event} from ${socket.id} (${userId}, ${ip}) -> ${action}`);
+                
+                if (action === 'disconnect') {
+                    socket.emit('rate-limited', { event, action, retryAfter });
+                    socket.disconnect(true);
+                    return { code: 'RATE_LIMITED', message: 'Disconnected for flooding', retryAfter };
+                }
+                
+                if (action === 'mute') {
+                    const muted = penalties.get(userId);
+                    notify({
+                        event,
+                        action,
+                        retryAfter: muted.mutedUntil - now,
+                        mutedUntil: new Date(muted.mutedUntil).toISOString()
+                    });
+                    return { code: 'MUTED', message: 'You are temporarily muted for flooding', retryAfter: muted.mutedUntil - now };
+                }
+                
+                notify({ event, action, retryAfter });
+                return { code: 'RATE_LIMITED', message: 'Slow down! You are sending too fast', retryAfter };
+            };
+        },
+        
+        // For callers without a socket (the bot REST API): draws from the same
+        // buckets, without escalation; returns ms until retry, or 0
+        consume: (event, keys) => take(event, keys, Date.now()),
+        
+        close: () => clearInterval(cleanup)
+    };
+};
+
+module.exports = { createFloodControl, DEFAULT_CONFIG, BOT_CONFIG };
@@ -0,0 +1,35 @@
+// ===== @MENTIONS =====
+// Resolves "@username" tokens in a message against a list of users. Names may
+// contain spaces, so longer names are matched first and their text is taken
+// out of the message before shorter ones are tried ("@Ann Lee" is not "@Ann").
+const WORD_CHARACTER = '[\\p{L}\\p{N}_]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findMentions = (text, users) => {
+    if (!text || !text.includes('@')) return [];
+    
+    const candidates = new Map();
+    users.forEach(user => {
+        if (user && user.userId && user.username && !candidates.has(user.userId)) {
+            candidates.set(user.userId, { userId: user.userId, username: user.username });
+        }
+    });
+    
+    const byLength = Array.from(candidates.values())
+        .sort((a, b) => b.username.length - a.username.length);
+    
+    let remaining = text;
+    const mentions = [];
+    byLength.forEach(user => {
+        const pattern = new RegExp(`(^|[^\\p{L}\\p{N}_@])@${escapeRegExp(user.username)}(?!${WORD_CHARACTER})`, 'giu');
+        if (!pattern.test(remaining)) return;
+        
+        mentions.push(user);
+        remaining = remaining.replace(pattern, '$1');
+    });
+    
+    return mentions;
+};
+
+module.exports = { findMentions };
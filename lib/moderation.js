@@ -0,0 +1,254 @@
+// ===== MODERATION =====
+// Roles, bans, mutes and the audit trail of every moderation action. State is
+// kept in memory and written to a JSON file on every change, and shared
+// between processes through a `replication` channel, like accounts.
+// The actions themselves (who gets disconnected, what is broadcast) live in
+// server.js; createModerationRouter exposes them over REST.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { authenticateRequest } = require('./auth');
+const { schemas, validate } = require('./validation');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'moderation.json');
+const AUDIT_LIMIT = 10000;
+const AUDIT_PAGE_MAX = 500;
+
+// Higher ranks may act on lower ones, never on their equals
+const ROLES = ['member', 'moderator', 'admin'];
+const roleRank = (role) => Math.max(0, ROLES.indexOf(role));
+const hasRole = (role, needed) => roleRank(role) >= roleRank(needed);
+
+const isActive = (entry, now = Date.now()) => !entry.expiresAt || Date.parse(entry.expiresAt) > now;
+
+const createModerationStore = (options = {}) => {
+    const filePath = options.path || DEFAULT_PATH;
+    const replication = options.replication;
+    let bans = [];
+    const mutes = new Map();
+    let audit = [];
+    
+    let writeQueue = Promise.resolve();
+    const persist = () => {
+        writeQueue = writeQueue.then(async () => {
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            const data = { bans, mutes: Array.from(mutes.values()), audit };
+            await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tempPath, filePath);
+        }).catch(error => console.error('Failed to save moderation state:', error.message));
+        return writeQueue;
+    };
+    
+    const apply = (change) => {
+        switch (change.type) {
+            case 'ban':
+                bans = bans.filter(ban => ban.id !== change.ban.id).concat(change.ban);
+                break;
+            case 'unban':
+                bans = bans.filter(ban => ban.id !== change.banId);
+                break;
+            case 'mute':
+                mutes.set(change.mute.userId, change.mute);
+                break;
+            case 'unmute':
+                mutes.delete(change.userId);
+                break;
+            case 'audit':
+                audit.push(change.entry);
+                if (audit.length > AUDIT_LIMIT) audit = audit.slice(-AUDIT_LIMIT);
+                break;
+        }
+    };
+    
+    const commit = (change) => {
+        apply(change);
+        if (replication) replication.publish(change);
+        persist();
+    };
+    
+    if (replication) {
+        replication.subscribe(change => {
+            apply(change);
+            persist();
+        });
+    }
+    
+    // Expired bans and mutes are dropped lazily, whenever they are looked at
+    const prune = () => {
+        const now = Date.now();
+        const before = bans.length + mutes.size;
+        bans = bans.filter(ban => isActive(ban, now));
+        mutes.forEach((mute, userId) => {
+            if (!isActive(mute, now)) mutes.delete(userId);
+        });
+        return bans.length + mutes.size !== before;
+    };
+    
+    const store = {
+        init: async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            if (!fs.existsSync(filePath)) return store;
+            
+            const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            bans = saved.bans || [];
+            (saved.mutes || []).forEach(mute => mutes.set(mute.userId, mute));
+            audit = saved.audit || [];
+            prune();
+            console.log(`🛡️ Loaded ${bans.length} bans, ${mutes.size} mutes and ${audit.length} audit entries from ${filePath}`);
+            return store;
+        },
+        
+        // The active ban matching an account or an IP address, if any
+        findBan: ({ userId, ip }) => {
+            if (prune()) persist();
+            return bans.find(ban => (userId && ban.userId === userId) || (ip && ban.ips.includes(ip))) || null;
+        },
+        
+        listBans: () => {
+            if (prune()) persist();
+            return bans.slice();
+        },
+        
+        // { userId?, username?, ips: [], reason, by, expiresAt? }
+        addBan: (ban) => {
+            const entry = { id: crypto.randomBytes(8).toString('hex'), createdAt: new Date().toISOString(), ips: [], ...ban };
+            commit({ type: 'ban', ban: entry });
+            return entry;
+        },
+        
+        removeBan: (banId) => {
+            const ban = bans.find(entry => entry.id === banId);
+            if (!ban) return null;
+            commit({ type: 'unban', banId });
+            return ban;
+        },
+        
+        getMute: (userId) => {
+            const mute = mutes.get(userId);
+            if (mute && !isActive(mute)) {
+                mutes.delete(userId);
+                persist();
+                return null;
+            }
+            return mute || null;
+        },
+        
+        setMute: (mute) => {
+            const entry = { createdAt: new Date().toISOString(), ...mute };
+            commit({ type: 'mute', mute: entry });
+            return entry;
+        },
+        
+        removeMute: (userId) => {
+            const mute = mutes.get(userId);
+            if (!mute) return null;
+            commit({ type: 'unmute', userId });
+            return mute;
+        },
+        
+        // Appends to the audit trail; the oldest entries go once AUDIT_LIMIT is reached
+        record: (entry) => {
+            const recorded = { id: crypto.randomBytes(8).toString('hex'), timestamp: new Date().toISOString(), ...entry };
+            commit({ type: 'audit', entry: recorded });
+            return recorded;
+        },
+        
+        // Newest first; every filter is optional
+        queryAudit: ({ action, actorId, targetId, since, until, limit = 100 } = {}) => {
+            const from = since ? Date.parse(since) : -Infinity;
+            const to = until ? Date.parse(until) : Infinity;
+            const matches = [];
+            
+            for (let i = audit.length - 1; i >= 0 && matches.length < limit; i--) {
+                const entry = audit[i];
+                const time = Date.parse(entry.timestamp);
+                if (action && entry.action !== action) continue;
+                if (actorId && entry.actor.userId !== actorId) continue;
+                if (targetId && (!entry.target || entry.target.userId !== targetId)) continue;
+                if (time < from || time > to) continue;
+                matches.push(entry);
+            }
+            return matches;
+        },
+        
+        close: () => writeQueue
+    };
+    
+    return store;
+};
+
+// Maps the { success, code } results of moderation actions to HTTP statuses
+const STATUS_BY_CODE = {
+    INVALID_PAYLOAD: 400,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404
+};
+
+// REST access to the same actions the socket events use, for signed-in
+// moderators and admins. `actions` is the object server.js builds; `roleOf`
+// maps an account to its current role.
+const createModerationRouter = ({ actions, store, accounts, tokens, roleOf }) => {
+    const router = express.Router();
+    
+    router.use(authenticateRequest({ tokens, accounts }));
+    router.use((req, res, next) => {
+        req.actor = { userId: req.account.id, username: req.account.username, role: roleOf(req.account) };
+        if (!hasRole(req.actor.role, 'moderator')) {
+            return res.status(403).json({ success: false, error: 'Moderators only' });
+        }
+        next();
+    });
+    
+    // Validates the body against a socket event's schema, then runs the action
+    const run = (event, action, params = (req) => req.body) => (req, res, next) => {
+        const input = params(req);
+        const result = validate(schemas[event], input);
+        if (result.error) {
+            return res.status(400).json({ success: false, code: 'INVALID_PAYLOAD', error: result.error, field: result.field });
+        }
+        
+        Promise.resolve(actions[action](req.actor, result.value))
+            .then(outcome => res.status(outcome.success ? 200 : STATUS_BY_CODE[outcome.code] || 400).json(outcome))
+            .catch(next);
+    };
+    
+    router.post('/kick', run('kick-user', 'kick'));
+    router.post('/mutes', run('mute-user', 'mute'));
+    router.delete('/mutes/:userId', run('unmute-user', 'unmute', req => ({ userId: req.params.userId })));
+    router.get('/bans', (req, res) => {
+        res.json({ success: true, bans: store.listBans() });
+    });
+    router.post('/bans', run('ban-user', 'ban'));
+    router.delete('/bans/:banId', run('unban-user', 'unban', req => ({ banId: req.params.banId })));
+    router.put('/roles/:userId', run('set-role', 'setRole', req => ({ ...req.body, userId: req.params.userId })));
+    
+    // ?action=ban&actor=<userId>&target=<userId>&since=<ISO date>&until=<ISO date>&limit=100
+    router.get('/audit', (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, AUDIT_PAGE_MAX);
+        const invalidDate = ['since', 'until'].find(key => req.query[key] && Number.isNaN(Date.parse(req.query[key])));
+        if (invalidDate) {
+            return res.status(400).json({ success: false, error: `${invalidDate} must be a date` });
+        }
+        
+        const entries = store.queryAudit({
+            action: req.query.action,
+            actorId: req.query.actor,
+            targetId: req.query.target,
+            since: req.query.since,
+            until: req.query.until,
+            limit
+        });
+        res.json({ success: true, count: entries.length, entries });
+    });
+    
+    return router;
+};
+
+module.exports = {
+    createModerationStore,
+    createModerationRouter,
+    ROLES,
+    roleRank,
+    hasRole
+};
@@ -0,0 +1,76 @@
+// ===== MESSAGE SEARCH =====
+// What the message stores index and how /api/search presents results. Text is
+// split into words, lowercased and stripped of accents ("Café" is "cafe"), and
+// every query term must match the start of a word: "deplo" finds "deployment".
+// Only room messages are searchable; direct messages stay private.
+const QUERY_TERMS_MAX = 10;
+const SNIPPET_LENGTH = 160;
+// Same word boundaries as SQLite's unicode61 tokenizer, so both backends agree
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const normalizeWord = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+const tokenize = (text) => (typeof text === 'string' ? text.match(WORD_PATTERN) || [] : []).map(normalizeWord);
+
+const isSearchable = (message) => Boolean(message && message.message && !message.deleted && !message.conversationId);
+
+// Unique terms in the order they were typed
+const parseQuery = (query) => Array.from(new Set(tokenize(query))).slice(0, QUERY_TERMS_MAX);
+
+// The filters every backend applies: room, author (username or userId) and an
+// ISO timestamp range, all optional
+const matchesFilters = (message, { room, author, since, until } = {}) => {
+    if (room && message.room !== room) return false;
+    if (author && message.userId !== author && (message.username || '').toLowerCase() !== author.toLowerCase()) return false;
+    if (since && message.timestamp < since) return false;
+    if (until && message.timestamp > until) return false;
+    return true;
+};
+
+// Up to `length` characters of the text around its first match. Highlights are
+// [start, end) offsets into the snippet text of every word a term matched.
+const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+    const source = text || '';
+    const matches = [];
+    for (const match of source.matchAll(WORD_PATTERN)) {
+        const word = normalizeWord(match[0]);
+        if (terms.some(term => word.startsWith(term))) {
+            matches.push([match.index, match.index + match[0].length]);
+        }
+    }
+    
+    if (source.length <= length) {
+        return { text: source, highlights: matches };
+    }
+    
+    // Start a little before the first match, on a word boundary where possible
+    const first = matches.length ? matches[0] : [0, 0];
+    let start = Math.max(0, Math.min(first[0] - Math.floor(length / 4), source.length - length));
+    let end = Math.min(source.length, start + length);
+    if (start > 0) {
+        const space = source.indexOf(' ', start);
+        if (space !== -1 && space < first[0]) start = space + 1;
+    }
+    if (end < source.length) {
+        const space = source.lastIndexOf(' ', end);
+        if (space > first[1]) end = space;
+    }
+    
+    const prefix = start > 0 ? '…' : '';
+    const shift = prefix.length - start;
+    return {
+        text: prefix + source.slice(start, end) + (end < source.length ? '…' : ''),
+        highlights: matches
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from + shift, to + shift])
+    };
+};
+
+module.exports = {
+    tokenize,
+    isSearchable,
+    parseQuery,
+    matchesFilters,
+    buildSnippet,
+    QUERY_TERMS_MAX
+};
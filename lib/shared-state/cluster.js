@@ -0,0 +1,195 @@
+// Shared state for Node's cluster module, with no external services: the
+// primary process keeps the authoritative copy and relays every change over
+// IPC, while each worker reads from a local replica. Reads are synchronous and
+// writes are visible to the other workers within one IPC round trip.
+const cluster = require('cluster');
+
+const SOURCE = 'shared-state';
+
+const send = (message) => {
+    if (process.connected) process.send({ source: SOURCE, ...message });
+};
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// A Map whose writes are forwarded to the primary
+class ReplicatedMap extends Map {
+    constructor(name) {
+        super();
+        this.name = name;
+        this.perProcess = false;
+    }
+    
+    set(key, value) {
+        super.set(key, value);
+        send({ op: 'set', map: this.name, key, value, perProcess: this.perProcess });
+        return this;
+    }
+    
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) send({ op: 'delete', map: this.name, key });
+        return existed;
+    }
+    
+    clear() {
+        Array.from(this.keys()).forEach(key => this.delete(key));
+    }
+    
+    // Changes from other processes replace the local entry's contents in place:
+    // references held by the process that owns an entry stay current, and keys
+    // removed elsewhere are removed here too
+    applyRemote(op, key, value) {
+        if (op === 'delete') {
+            super.delete(key);
+            return;
+        }
+        
+        const existing = super.get(key);
+        if (isPlainObject(existing) && isPlainObject(value)) {
+            Object.keys(existing).forEach(name => {
+                if (!Object.prototype.hasOwnProperty.call(value, name)) delete existing[name];
+            });
+            Object.assign(existing, value);
+        } else {
+            super.set(key, value);
+        }
+    }
+    
+    replaceAll(entries) {
+        Array.from(this.keys()).forEach(key => super.delete(key));
+        entries.forEach(([key, value]) => super.set(key, value));
+    }
+}
+
+// ----- Worker side -----
+const createClusterState = () => {
+    if (!cluster.isWorker) {
+        throw new Error('The cluster shared state only works in a cluster worker (start the server with cluster.js)');
+    }
+    
+    const maps = new Map();
+    const subscribers = new Map();
+    
+    const getMap = (name) => {
+        if (!maps.has(name)) maps.set(name, new ReplicatedMap(name));
+        return maps.get(name);
+    };
+    
+    let markReady;
+    const loaded = new Promise(resolve => {
+        markReady = resolve;
+    });
+    
+    process.on('message', (message) => {
+        if (!message || message.source !== SOURCE) return;
+        
+        switch (message.op) {
+            case 'snapshot':
+                Object.entries(message.maps).forEach(([name, entries]) => getMap(name).replaceAll(entries));
+                markReady();
+                break;
+            case 'set':
+            case 'delete':
+                getMap(message.map).applyRemote(message.op, message.key, message.value);
+                break;
+            case 'publish':
+                (subscribers.get(message.channel) || []).forEach(handler => {
+                    try {
+                        handler(message.payload);
+                    } catch (error) {
+                        console.error(`Shared state subscriber for ${message.channel} failed:`, error.message);
+                    }
+                });
+                break;
+        }
+    });
+    
+    send({ op: 'hello' });
+    
+    return {
+        type: 'cluster',
+        
+        map: (name, options = {}) => {
+            const map = getMap(name);
+            map.perProcess = Boolean(options.perProcess);
+            return map;
+        },
+        
+        channel: (name) => ({
+            publish: (payload) => send({ op: 'publish', channel: name, payload }),
+            subscribe: (handler) => {
+                if (!subscribers.has(name)) subscribers.set(name, []);
+                subscribers.get(name).push(handler);
+            }
+        }),
+        
+        ready: () => loaded
+    };
+};
+
+// ----- Primary side -----
+// Call once in the primary before forking workers
+const setupPrimary = () => {
+    // name -> Map(key -> { value, owner }); owner is a worker id for perProcess entries
+    const maps = new Map();
+    
+    const getMap = (name) => {
+        if (!maps.has(name)) maps.set(name, new Map());
+        return maps.get(name);
+    };
+    
+    const relay = (message, except) => {
+        Object.values(cluster.workers).forEach(worker => {
+            if (worker && worker !== except && worker.isConnected()) {
+                worker.send(message);
+            }
+        });
+    };
+    
+    cluster.on('message', (worker, message) => {
+        if (!message || message.source !== SOURCE) return;
+        
+        switch (message.op) {
+            case 'hello':
+                worker.send({
+                    source: SOURCE,
+                    op: 'snapshot',
+                    maps: Object.fromEntries(Array.from(maps.entries()).map(([name, entries]) => [
+                        name,
+                        Array.from(entries.entries()).map(([key, entry]) => [key, entry.value])
+                    ]))
+                });
+                break;
+            case 'set': {
+                // The process that created an entry keeps owning it when others update it
+                const entries = getMap(message.map);
+                const existing = entries.get(message.key);
+                const owner = existing ? existing.owner : message.perProcess ? worker.id : null;
+                entries.set(message.key, { value: message.value, owner });
+                relay(message, worker);
+                break;
+            }
+            case 'delete':
+                getMap(message.map).delete(message.key);
+                relay(message, worker);
+                break;
+            case 'publish':
+                relay(message, worker);
+                break;
+        }
+    });
+    
+    // A worker that dies takes its connections, and so its presence entries, with it
+    cluster.on('exit', (worker) => {
+        maps.forEach((entries, name) => {
+            entries.forEach((entry, key) => {
+                if (entry.owner !== worker.id) return;
+                entries.delete(key);
+                relay({ source: SOURCE, op: 'delete', map: name, key });
+            });
+        });
+    });
+};
+
+module.exports = { createClusterState, setupPrimary };
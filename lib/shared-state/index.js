@@ -0,0 +1,31 @@
+// ===== SHARED STATE =====
+// State every server process has to agree on: who is online, which rooms
+// exist, and the changes the account and moderation stores make. Every
+// backend exposes:
+//   map(name, { perProcess })  -> a Map seen by all processes. Values must be plain
+//                                 data; after changing one in place, set() it again
+//                                 so the other processes see the change. perProcess
+//                                 entries vanish when the process that wrote them exits.
+//   channel(name)              -> { publish(change), subscribe(handler) }; handlers
+//                                 only receive what *other* processes publish
+//   ready()                    -> resolves once the current state has been received
+const createMemoryState = require('./memory');
+const { createClusterState } = require('./cluster');
+
+const BACKENDS = {
+    memory: createMemoryState,
+    cluster: createClusterState
+};
+
+const createSharedState = (options = {}) => {
+    const type = (options.type || 'memory').toLowerCase();
+    const factory = BACKENDS[type];
+    
+    if (!factory) {
+        throw new Error(`Unknown shared state "${type}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    
+    return factory(options);
+};
+
+module.exports = { createSharedState };
@@ -0,0 +1,22 @@
+// Single-process shared state: plain Maps, and channels with nobody to talk to.
+const createMemoryState = () => {
+    const maps = new Map();
+    
+    return {
+        type: 'memory',
+        
+        map: (name) => {
+            if (!maps.has(name)) maps.set(name, new Map());
+            return maps.get(name);
+        },
+        
+        channel: () => ({
+            publish: () => {},
+            subscribe: () => {}
+        }),
+        
+        ready: () => Promise.resolve()
+    };
+};
+
+module.exports = createMemoryState;
@@ -0,0 +1,78 @@
+// JSON-lines message store: one message per line, appended as it arrives.
+// A later line with the same messageId supersedes the earlier one.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const createMemoryStore = require('./memory');
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'data', 'messages.jsonl');
+
+const createFileStore = (options = {}) => {
+    const filePath = options.path || DEFAULT_PATH;
+    // The whole file is the history, so the index is not capped by default
+    const index = createMemoryStore({ maxPerRoom: Infinity, ...options });
+    
+    // Appends are chained so lines never interleave
+    let writeQueue = Promise.resolve();
+    
+    const append = (message) => {
+        // A failed write is logged and skipped, so the messages after it still get saved
+        writeQueue = writeQueue
+            .then(() => fs.promises.appendFile(filePath, JSON.stringify(message) + '\n'))
+            .catch(error => console.error(`Failed to save message ${message.messageId}:`, error.message));
+        return writeQueue;
+    };
+    
+    const store = {
+        type: 'file',
+        
+        init: async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            if (!fs.existsSync(filePath)) return store;
+            
+            const lines = readline.createInterface({
+                input: fs.createReadStream(filePath),
+                crlfDelay: Infinity
+            });
+            
+            let loaded = 0;
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    await index.save(JSON.parse(line));
+                    loaded++;
+                } catch (error) {
+                    console.error(`⚠️ Skipping corrupt line in ${filePath}:`, error.message);
+                }
+            }
+            
+            console.log(`💾 Loaded ${loaded} messages from ${filePath}`);
+            return store;
+        },
+        
+        save: async (message) => {
+            // Index first so reads right after a save already see the message
+            const saved = await index.save(message);
+            await append(message);
+            return saved;
+        },
+        
+        recent: (room, limit) => index.recent(room, limit),
+        
+        page: (room, query) => index.page(room, query),
+        
+        get: (messageId) => index.get(messageId),
+        
+        replies: (room, parentId, limit) => index.replies(room, parentId, limit),
+        
+        search: (query) => index.search(query),
+        
+        close: async () => {
+            await writeQueue;
+        }
+    };
+    
+    return store;
+};
+
+module.exports = createFileStore;
@@ -0,0 +1,51 @@
+// ===== MESSAGE STORE =====
+// Every backend exposes the same async interface:
+//   init()                 -> load/prepare the backend
+//   save(message)          -> persist a new message (or a newer version of one)
+//   recent(room, limit)    -> the last `limit` messages of a room, oldest first
+//   page(room, { before, after, limit })
+//                          -> up to `limit` messages around a messageId cursor, oldest first;
+//                             `after` pages forward, otherwise it pages back from `before`/the end
+//   get(messageId)         -> a single message, or null
+//   replies(room, parentId, limit)
+//                          -> the latest `limit` replies in a thread, oldest first
+//   search({ terms, room, author, since, until, limit, offset })
+//                          -> ranked [{ message, score }] of the room messages matching every
+//                             term (see lib/search.js), newest first when there are no terms
+//   close()                -> flush and release resources
+const createMemoryStore = require('./memory');
+const createFileStore = require('./file');
+const createSqliteStore = require('./sqlite');
+
+const BACKENDS = {
+    memory: createMemoryStore,
+    file: createFileStore,
+    sqlite: createSqliteStore
+};
+
+const createMessageStore = (options = {}) => {
+    const type = (options.type || 'memory').toLowerCase();
+    const factory = BACKENDS[type];
+    
+    if (!factory) {
+        throw new Error(`Unknown message store "${type}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    
+    return factory(options);
+};
+
+// Ids sort in creation order: base36 timestamp + per-process counter + random suffix.
+// The timestamp part alone is a cursor before every message sent from that moment on.
+const messageIdPrefix = (time = Date.now()) => time.toString(36).padStart(9, '0');
+
+let idCounter = 0;
+const createMessageId = () => {
+    idCounter = (idCounter + 1) % 1679616; // 36^4
+    return [
+        messageIdPrefix(),
+        idCounter.toString(36).padStart(4, '0'),
+        Math.random().toString(36).substring(2, 6).padEnd(4, '0')
+    ].join('');
+};
+
+module.exports = { createMessageStore, createMessageId, messageIdPrefix };
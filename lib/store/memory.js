@@ -0,0 +1,160 @@
+// In-memory message store. Nothing survives a restart; also used as the
+// index behind the file backend.
+const { tokenize, isSearchable, matchesFilters } = require('../search');
+
+const DEFAULT_MAX_PER_ROOM = 5000;
+// BM25 ranking parameters, and how much a word that only starts with a term counts
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+const createMemoryStore = (options = {}) => {
+    const maxPerRoom = options.maxPerRoom || DEFAULT_MAX_PER_ROOM;
+    const rooms = new Map();
+    const byId = new Map();
+    // Inverted index for search: word -> (messageId -> occurrences)
+    const postings = new Map();
+    // messageId -> { words: Map(word -> occurrences), length }
+    const indexed = new Map();
+    let indexedWords = 0;
+    
+    const indexMessage = (message) => {
+        if (!isSearchable(message)) return;
+        
+        const tokens = tokenize(message.message);
+        const words = new Map();
+        tokens.forEach(word => words.set(word, (words.get(word) || 0) + 1));
+        words.forEach((count, word) => {
+            if (!postings.has(word)) postings.set(word, new Map());
+            postings.get(word).set(message.messageId, count);
+        });
+        indexed.set(message.messageId, { words, length: tokens.length });
+        indexedWords += tokens.length;
+    };
+    
+    const unindexMessage = (messageId) => {
+        const entry = indexed.get(messageId);
+        if (!entry) return;
+        
+        entry.words.forEach((count, word) => {
+            const messages = postings.get(word);
+            messages.delete(messageId);
+            if (messages.size === 0) postings.delete(word);
+        });
+        indexed.delete(messageId);
+        indexedWords -= entry.length;
+    };
+    
+    // messageId -> BM25 score of the messages containing a word that starts with `term`
+    const scoreTerm = (term) => {
+        const scores = new Map();
+        const averageLength = indexedWords / indexed.size;
+        
+        postings.forEach((messages, word) => {
+            if (!word.startsWith(term)) return;
+            
+            const weight = word === term ? 1 : PREFIX_MATCH_WEIGHT;
+            const idf = Math.log(1 + (indexed.size - messages.size + 0.5) / (messages.size + 0.5));
+            messages.forEach((count, messageId) => {
+                const length = indexed.get(messageId).length;
+                const frequency = count * (BM25_K1 + 1) / (count + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+                scores.set(messageId, (scores.get(messageId) || 0) + weight * idf * frequency);
+            });
+        });
+        
+        return scores;
+    };
+    
+    const getRoom = (room) => {
+        if (!rooms.has(room)) rooms.set(room, []);
+        return rooms.get(room);
+    };
+    
+    const store = {
+        type: 'memory',
+        
+        init: async () => store,
+        
+        save: async (message) => {
+            // Saving an existing id replaces that message in place
+            const existing = byId.get(message.messageId);
+            if (existing) {
+                unindexMessage(existing.messageId);
+                Object.assign(existing, message);
+                indexMessage(existing);
+                return existing;
+            }
+            
+            // Imported history can be older than what the room already has
+            const roomMessages = getRoom(message.room);
+            let position = roomMessages.length;
+            while (position > 0 && roomMessages[position - 1].messageId > message.messageId) position--;
+            roomMessages.splice(position, 0, message);
+            byId.set(message.messageId, message);
+            indexMessage(message);
+            
+            if (roomMessages.length > maxPerRoom) {
+                const removed = roomMessages.shift();
+                byId.delete(removed.messageId);
+                unindexMessage(removed.messageId);
+            }
+            
+            return message;
+        },
+        
+        recent: async (room, limit) => {
+            const roomMessages = rooms.get(room) || [];
+            return roomMessages.slice(-limit);
+        },
+        
+        get: async (messageId) => byId.get(messageId) || null,
+        
+        replies: async (room, parentId, limit) => {
+            const replies = (rooms.get(room) || []).filter(message => message.parentId === parentId);
+            return replies.slice(-limit);
+        },
+        
+        page: async (room, { before, after, limit }) => {
+            // Room arrays are in messageId order, and ids sort chronologically
+            const matches = (rooms.get(room) || []).filter(message =>
+                (!before || message.messageId < before) &&
+                (!after || message.messageId > after)
+            );
+            return after ? matches.slice(0, limit) : matches.slice(-limit);
+        },
+        
+        search: async ({ terms = [], limit, offset = 0, ...filters }) => {
+            let results;
+            
+            if (terms.length === 0) {
+                // Filters alone: newest first
+                results = Array.from(indexed.keys())
+                    .map(messageId => ({ message: byId.get(messageId), score: 0 }))
+                    .filter(result => matchesFilters(result.message, filters))
+                    .sort((a, b) => (a.message.messageId < b.message.messageId ? 1 : -1));
+            } else {
+                // Every term has to match; the scores add up
+                const scores = terms.map(scoreTerm).reduce((total, termScores) => {
+                    const combined = new Map();
+                    total.forEach((score, messageId) => {
+                        if (termScores.has(messageId)) combined.set(messageId, score + termScores.get(messageId));
+                    });
+                    return combined;
+                });
+                
+                // Equal scores go to the newest message
+                results = Array.from(scores, ([messageId, score]) => ({ message: byId.get(messageId), score }))
+                    .filter(result => matchesFilters(result.message, filters))
+                    .sort((a, b) => b.score - a.score || (a.message.messageId < b.message.messageId ? 1 : -1));
+            }
+            
+            return results.slice(offset, offset + limit);
+        },
+        
+        close: async () => {}
+    };
+    
+    return store;
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,213 @@
+// Embedded SQLite message store (better-sqlite3). The full message is kept
+// as JSON; the columns only exist for indexing and filtering. Search uses an
+// FTS5 table holding the words of every searchable message.
+const fs = require('fs');
+const path = require('path');
+const { tokenize, isSearchable } = require('../search');
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'data', 'messages.db');
+
+// The words lib/search.js would find in a message, or null when it isn't searchable
+const searchText = (message) => (isSearchable(message) ? tokenize(message.message).join(' ') : null);
+
+// Quoted prefix queries on the body column: ["deplo", "prod"] -> body : ("deplo"* "prod"*)
+const matchQuery = (terms) => `body : (${terms.map(term => `"${term}"*`).join(' ')})`;
+
+const createSqliteStore = (options = {}) => {
+    const filePath = options.path || DEFAULT_PATH;
+    let db = null;
+    let statements = null;
+    let saveMessage = null;
+    
+    const store = {
+        type: 'sqlite',
+        
+        init: async () => {
+            let Database;
+            try {
+                Database = require('better-sqlite3');
+            } catch (error) {
+                throw new Error('The sqlite message store needs the "better-sqlite3" package (npm install better-sqlite3)');
+            }
+            
+            if (filePath !== ':memory:') {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            }
+            
+            db = new Database(filePath);
+            db.pragma('journal_mode = WAL');
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS messages (
+                    id TEXT PRIMARY KEY,
+                    room TEXT NOT NULL,
+                    user_id TEXT,
+                    username TEXT,
+                    timestamp TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS messages_room_id ON messages (room, id);
+            `);
+            
+            const hasSearchIndex = db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'messages_fts'").get();
+            // Words are stored already normalized by lib/search.js; message_id is matched to update a row
+            db.exec(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                    message_id,
+                    body,
+                    tokenize = 'unicode61 remove_diacritics 2'
+                );
+            `);
+            
+            // Shared filters of both search statements
+            const searchFilters = `
+                (@room IS NULL OR m.room = @room)
+                AND (@author IS NULL OR m.username = @author COLLATE NOCASE OR json_extract(m.data, '$.userId') = @author)
+                AND m.timestamp >= @since AND m.timestamp <= @until
+            `;
+            
+            statements = {
+                save: db.prepare(`
+                    INSERT INTO messages (id, room, user_id, username, timestamp, data)
+                    VALUES (@id, @room, @userId, @username, @timestamp, @data)
+                    ON CONFLICT (id) DO UPDATE SET
+                        username = excluded.username,
+                        data = excluded.data
+                `),
+                recent: db.prepare('SELECT data FROM messages WHERE room = ? ORDER BY id DESC LIMIT ?'),
+                get: db.prepare('SELECT data FROM messages WHERE id = ?'),
+                replies: db.prepare(`
+                    SELECT data FROM messages
+                    WHERE room = ? AND json_extract(data, '$.parentId') = ?
+                    ORDER BY id DESC LIMIT ?
+                `),
+                pageBack: db.prepare(`
+                    SELECT data FROM messages
+                    WHERE room = @room AND id < @before AND id > @after
+                    ORDER BY id DESC LIMIT @limit
+                `),
+                pageForward: db.prepare(`
+                    SELECT data FROM messages
+                    WHERE room = @room AND id < @before AND id > @after
+                    ORDER BY id ASC LIMIT @limit
+                `),
+                index: db.prepare('INSERT INTO messages_fts (message_id, body) VALUES (?, ?)'),
+                unindex: db.prepare('DELETE FROM messages_fts WHERE rowid IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH ?)'),
+                // bm25() is lower for better matches; the message_id column doesn't count
+                search: db.prepare(`
+                    SELECT m.data, bm25(messages_fts, 0.0, 1.0) AS rank
+                    FROM messages_fts JOIN messages m ON m.id = messages_fts.message_id
+                    WHERE messages_fts MATCH @match AND ${searchFilters}
+                    ORDER BY rank, m.id DESC
+                    LIMIT @limit OFFSET @offset
+                `),
+                filter: db.prepare(`
+                    SELECT m.data FROM messages m
+                    WHERE m.id IN (SELECT message_id FROM messages_fts) AND ${searchFilters}
+                    ORDER BY m.id DESC
+                    LIMIT @limit OFFSET @offset
+                `)
+            };
+            
+            // Only rewrite the search row when the searchable text changed (not for reactions, receipts...)
+            saveMessage = db.transaction((message) => {
+                const previous = statements.get.get(message.messageId);
+                statements.save.run({
+                    id: message.messageId,
+                    room: message.room,
+                    userId: message.userId || null,
+                    username: message.username || null,
+                    timestamp: message.timestamp,
+                    data: JSON.stringify(message)
+                });
+                
+                const before = previous ? searchText(JSON.parse(previous.data)) : null;
+                const after = searchText(message);
+                if (before === after) return;
+                if (before !== null) statements.unindex.run(`message_id : "${message.messageId}"`);
+                if (after !== null) statements.index.run(message.messageId, after);
+            });
+            
+            // Databases from before search existed get indexed once
+            if (!hasSearchIndex) {
+                const batch = db.prepare('SELECT id, data FROM messages WHERE id > ? ORDER BY id LIMIT 1000');
+                let indexed = 0;
+                let rows = batch.all('');
+                while (rows.length) {
+                    db.transaction(() => rows.forEach(row => {
+                        const text = searchText(JSON.parse(row.data));
+                        if (text === null) return;
+                        statements.index.run(row.id, text);
+                        indexed++;
+                    }))();
+                    rows = batch.all(rows[rows.length - 1].id);
+                }
+                if (indexed) console.log(`🔎 Indexed ${indexed} messages for search`);
+            }
+            
+            return store;
+        },
+        
+        save: async (message) => {
+            saveMessage(message);
+            return message;
+        },
+        
+        recent: async (room, limit) => {
+            return statements.recent.all(room, limit)
+                .map(row => JSON.parse(row.data))
+                .reverse();
+        },
+        
+        replies: async (room, parentId, limit) => {
+            return statements.replies.all(room, parentId, limit)
+                .map(row => JSON.parse(row.data))
+                .reverse();
+        },
+        
+        get: async (messageId) => {
+            const row = statements.get.get(messageId);
+            return row ? JSON.parse(row.data) : null;
+        },
+        
+        page: async (room, { before, after, limit }) => {
+            // Ids are lowercase base36, so '~' sorts after any of them
+            const params = { room, before: before || '~', after: after || '', limit };
+            
+            if (after) {
+                return statements.pageForward.all(params).map(row => JSON.parse(row.data));
+            }
+            
+            return statements.pageBack.all(params)
+                .map(row => JSON.parse(row.data))
+                .reverse();
+        },
+        
+        search: async ({ terms = [], room, author, since, until, limit, offset = 0 }) => {
+            const params = {
+                room: room || null,
+                author: author || null,
+                // ISO timestamps sort as text
+                since: since || '',
+                until: until || '~',
+                limit,
+                offset
+            };
+            
+            if (terms.length === 0) {
+                return statements.filter.all(params).map(row => ({ message: JSON.parse(row.data), score: 0 }));
+            }
+            
+            return statements.search.all({ ...params, match: matchQuery(terms) })
+                .map(row => ({ message: JSON.parse(row.data), score: -row.rank }));
+        },
+        
+        close: async () => {
+            if (db) db.close();
+            db = null;
+        }
+    };
+    
+    return store;
+};
+
+module.exports = createSqliteStore;
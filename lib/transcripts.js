@@ -0,0 +1,445 @@
+// ===== TRANSCRIPTS =====
+// Archives of a room's or a direct conversation's history as JSON, Markdown,
+// CSV or a standalone HTML page, streamed from the message store page by page,
+// and import of a JSON archive back into a room. Imported messages keep their
+// authors and timestamps; their ids are derived from the archive, so importing
+// the same archive twice replaces the first copy instead of duplicating it.
+const crypto = require('crypto');
+const express = require('express');
+const { authenticateRequest } = require('./auth');
+const { hasRole } = require('./moderation');
+const { schemas, validate, MESSAGE_MAX_LENGTH, MESSAGE_ID_PATTERN, ATTACHMENT_ID_PATTERN, USERNAME_MAX_LENGTH } = require('./validation');
+const { messageIdPrefix } = require('./store');
+
+const EXPORT_PAGE_SIZE = 500;
+const IMPORT_MAX_BYTES = '20mb';
+const IMPORT_MESSAGES_MAX = 50000;
+// Imported ids start with their timestamp, so it has to fall where live ids do:
+// after 1970 (no "-" in the id) and not past now (pagination stays in order)
+const IMPORT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Same length as the thread previews server.js keeps on parents
+const THREAD_PREVIEW_LENGTH = 100;
+
+// ===== EXPORT =====
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeMarkdown = (text) => String(text).replace(/[\\`*_[\]#<>|]/g, '\\$&');
+
+// Quoted, and kept from being read as a formula by spreadsheets
+const csvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return `"${safe.replace(/"/g, '""')}"`;
+};
+
+const dayOf = (message) => message.timestamp.substring(0, 10);
+const timeOf = (message) => `${message.timestamp.substring(11, 19)} UTC`;
+const reactionsText = (message) => (message.reactions || []).map(reaction => `${reaction.emoji} ${reaction.count}`).join(' ');
+
+// Shared by every format: who a reply answers, when the day changes
+const describe = (message, context) => {
+    const parent = message.parentId ? context.authors.get(message.parentId) : null;
+    const newDay = dayOf(message) !== context.day;
+    context.authors.set(message.messageId, message.username || 'Anonymous');
+    context.day = dayOf(message);
+    return { parent, newDay, author: message.username || 'Anonymous' };
+};
+
+// Every format: start(meta), message(message, context) and end(context), each returning text
+const FORMATS = {
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        start: (meta) => `${JSON.stringify({ format: 'socketchat-transcript', version: 1, ...meta }).slice(0, -1)},"messages":[\n`,
+        message: (message, context) => `${context.count ? ',\n' : ''}${JSON.stringify(message)}`,
+        end: () => '\n]}\n'
+    },
+    
+    markdown: {
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+        start: (meta) => `# ${escapeMarkdown(meta.title)}\n\nExported ${meta.exportedAt}` +
+            `${meta.since ? ` · from ${meta.since}` : ''}${meta.until ? ` · until ${meta.until}` : ''}\n`,
+        message: (message, context) => {
+            const { parent, newDay, author } = describe(message, context);
+            const header = [`**${escapeMarkdown(author)}**`, timeOf(message)];
+            if (parent) header.push(`reply to ${escapeMarkdown(parent)}`);
+            if (message.editedAt) header.push('edited');
+            
+            let body;
+            if (message.deleted) {
+                body = '_This message was deleted_';
+            } else {
+                body = message.action ? `_* ${escapeMarkdown(author)}_ ${message.message}` : message.message || '';
+                (message.attachments || []).forEach(attachment => {
+                    body += `\n📎 [${escapeMarkdown(attachment.name)}](${context.baseUrl}${attachment.url})`;
+                });
+                if (message.reactions && message.reactions.length) body += `\n\n${reactionsText(message)}`;
+            }
+            
+            return `${newDay ? `\n## ${dayOf(message)}\n` : ''}\n${header.join(' · ')}\n\n${body.trim()}\n`;
+        },
+        end: (context) => (context.count ? '' : '\n_No messages_\n')
+    },
+    
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => 'timestamp,messageId,parentId,userId,username,message,attachments,reactions,editedAt,deleted\r\n',
+        message: (message, context) => [
+            message.timestamp,
+            message.messageId,
+            message.parentId,
+            message.userId,
+            message.username,
+            message.message,
+            (message.attachments || []).map(attachment => `${context.baseUrl}${attachment.url}`).join(' '),
+            reactionsText(message),
+            message.editedAt,
+            message.deleted ? 'true' : ''
+        ].map(csvCell).join(',') + '\r\n',
+        end: () => ''
+    },
+    
+    html: {
+        contentType: 'text/html; charset=utf-8',
+        extension: 'html',
+        start: (meta) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(meta.title)}</title>
+<style>
+body { max-width: 800px; margin: 0 auto; padding: 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #212529; }
+h2 { margin-top: 32px; padding-bottom: 4px; border-bottom: 1px solid #dee2e6; font-size: 16px; color: #6c757d; }
+.meta, .info { color: #6c757d; font-size: 13px; }
+.message { margin: 12px 0; }
+.message.reply { margin-left: 32px; }
+.body { white-space: pre-wrap; word-break: break-word; }
+.deleted .body { font-style: italic; color: #adb5bd; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(meta.title)}</h1>
+<p class="meta">Exported ${escapeHtml(meta.exportedAt)}${meta.since ? ` · from ${escapeHtml(meta.since)}` : ''}${meta.until ? ` · until ${escapeHtml(meta.until)}` : ''}</p>
+`,
+        message: (message, context) => {
+            const { parent, newDay, author } = describe(message, context);
+            const info = [`<time datetime="${escapeHtml(message.timestamp)}">${timeOf(message)}</time>`];
+            if (parent) info.push(`reply to ${escapeHtml(parent)}`);
+            if (message.editedAt) info.push('edited');
+            
+            const classes = ['message', parent ? 'reply' : '', message.deleted ? 'deleted' : ''].filter(Boolean).join(' ');
+            const text = message.deleted
+                ? 'This message was deleted'
+                : `${message.action ? `* ${escapeHtml(author)} ` : ''}${escapeHtml(message.message || '')}`;
+            const attachments = message.deleted ? '' : (message.attachments || [])
+                .map(attachment => `<div>📎 <a href="${escapeHtml(context.baseUrl + attachment.url)}">${escapeHtml(attachment.name)}</a></div>`)
+                .join('');
+            const reactions = !message.deleted && message.reactions && message.reactions.length
+                ? `<div class="info">${escapeHtml(reactionsText(message))}</div>`
+                : '';
+            
+            return `${newDay ? `<h2>${dayOf(message)}</h2>\n` : ''}<div class="${classes}">` +
+                `<div><strong>${escapeHtml(author)}</strong> <span class="info">${info.join(' · ')}</span></div>` +
+                `<div class="body">${text}</div>${attachments}${reactions}</div>\n`;
+        },
+        end: (context) => `${context.count ? '' : '<p class="info">No messages</p>\n'}</body>\n</html>\n`
+    }
+};
+FORMATS.md = FORMATS.markdown;
+
+// Calls visit(message) for every message of a room between since and until,
+// oldest first, until it returns false
+const eachMessage = async (store, room, { since, until }, visit) => {
+    // An id prefix is a cursor before everything sent from that moment on. Ids
+    // are made just before timestamps, so start a second early and let the
+    // timestamp check below do the exact cut.
+    let after = messageIdPrefix(since ? Math.max(Date.parse(since) - 1000, 0) : 0);
+    
+    for (;;) {
+        const page = await store.page(room, { after, limit: EXPORT_PAGE_SIZE });
+        for (const message of page) {
+            if (until && message.timestamp > until) return;
+            if (since && message.timestamp < since) continue;
+            if (await visit(message) === false) return;
+        }
+        if (page.length < EXPORT_PAGE_SIZE) return;
+        after = page[page.length - 1].messageId;
+    }
+};
+
+// Resolves once the response can take more, or has gone away
+const write = (res, chunk) => {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+};
+
+// ===== IMPORT =====
+const personField = {
+    type: 'object',
+    required: true,
+    properties: {
+        userId: { type: 'string', required: true, maxLength: 64 },
+        username: { type: 'string', maxLength: 64 }
+    }
+};
+const timestampField = { type: 'string', maxLength: 40 };
+
+// What is kept of each archived message; anything else is dropped
+const archivedMessageSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        messageId: { type: 'string', pattern: MESSAGE_ID_PATTERN, patternMessage: 'messageId must be a message id' },
+        parentId: { type: 'string', pattern: MESSAGE_ID_PATTERN, patternMessage: 'parentId must be a message id' },
+        userId: { type: 'string', maxLength: 64 },
+        username: { type: 'string', required: true, trim: true, minLength: 1, maxLength: USERNAME_MAX_LENGTH },
+        message: { type: 'string', maxLength: MESSAGE_MAX_LENGTH },
+        action: { type: 'boolean' },
+        timestamp: { ...timestampField, required: true },
+        editedAt: timestampField,
+        deleted: { type: 'boolean' },
+        deletedAt: timestampField,
+        mentions: { type: 'array', maxItems: 50, items: personField },
+        attachments: {
+            ...schemas['send-message'].properties.attachments,
+            items: {
+                type: 'object',
+                required: true,
+                properties: {
+                    id: { type: 'string', required: true, pattern: ATTACHMENT_ID_PATTERN, patternMessage: 'attachment ids must be upload ids' },
+                    name: { type: 'string', required: true, maxLength: 255 },
+                    mimeType: { type: 'string', maxLength: 255 },
+                    size: { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER },
+                    kind: { type: 'string', enum: ['image', 'file'] },
+                    width: { type: 'number', min: 0, max: 100000 },
+                    height: { type: 'number', min: 0, max: 100000 },
+                    thumbnailUrl: { type: 'string', maxLength: 255 }
+                }
+            }
+        },
+        reactions: {
+            type: 'array',
+            maxItems: 50,
+            items: {
+                type: 'object',
+                required: true,
+                properties: {
+                    emoji: schemas['add-reaction'].properties.emoji,
+                    users: { type: 'array', required: true, minItems: 1, maxItems: 10000, items: personField }
+                }
+            }
+        }
+    }
+};
+
+// Same timestamp prefix as a live id, then a hash of where the message came from
+const importedMessageId = (room, message, index) => {
+    const origin = message.messageId || `${index}:${message.timestamp}:${message.username}:${message.message}`;
+    const hash = crypto.createHash('sha256').update(`${room}\n${origin}`).digest('hex');
+    return messageIdPrefix(Date.parse(message.timestamp)) + hash.substring(0, 8);
+};
+
+// Returns { messages } ready to save into `room`, oldest first, or { error, field }.
+// Replies whose parent isn't in the archive become ordinary messages, and thread
+// summaries are rebuilt from the replies that are.
+const parseArchive = (archive, room) => {
+    const entries = Array.isArray(archive) ? archive : archive && archive.messages;
+    if (!Array.isArray(entries)) {
+        return { error: 'Expected a JSON transcript with a "messages" list', field: 'messages' };
+    }
+    if (entries.length > IMPORT_MESSAGES_MAX) {
+        return { error: `An archive may hold at most ${IMPORT_MESSAGES_MAX} messages`, field: 'messages' };
+    }
+    
+    const parsed = [];
+    for (let index = 0; index < entries.length; index++) {
+        const result = validate(archivedMessageSchema, entries[index], `messages[${index}]`);
+        if (result.error) {
+            return { error: `messages[${index}]: ${result.error}`, field: `messages[${index}]` };
+        }
+        
+        const dates = ['timestamp', 'editedAt', 'deletedAt'].filter(key => result.value[key]);
+        const invalidDate = dates.find(key => Number.isNaN(Date.parse(result.value[key])));
+        if (invalidDate) {
+            return { error: `messages[${index}]: ${invalidDate} must be a date`, field: `messages[${index}]` };
+        }
+        const latest = Date.now() + IMPORT_CLOCK_SKEW_MS;
+        const outOfRange = dates.find(key => Date.parse(result.value[key]) < 0 || Date.parse(result.value[key]) > latest);
+        if (outOfRange) {
+            return { error: `messages[${index}]: ${outOfRange} must be between 1970 and now`, field: `messages[${index}]` };
+        }
+        parsed.push({ index, entry: result.value });
+    }
+    
+    // Parents come before their replies
+    parsed.sort((a, b) => Date.parse(a.entry.timestamp) - Date.parse(b.entry.timestamp) || a.index - b.index);
+    
+    const importedIds = new Map();
+    const messages = parsed.map(({ index, entry }) => {
+        const timestamp = new Date(entry.timestamp).toISOString();
+        const messageId = importedMessageId(room, entry, index);
+        const parentId = entry.parentId ? importedIds.get(entry.parentId) : undefined;
+        if (entry.messageId) importedIds.set(entry.messageId, messageId);
+        
+        return {
+            ...entry,
+            messageId,
+            parentId,
+            room,
+            userId: entry.userId || null,
+            message: entry.deleted ? '' : entry.message || '',
+            // Files are served from this server's uploads, wherever the archive came from
+            attachments: entry.deleted || !entry.attachments || !entry.attachments.length ? undefined : entry.attachments.map(attachment => ({
+                ...attachment,
+                url: `/uploads/${attachment.id}`,
+                thumbnailUrl: attachment.thumbnailUrl ? `/uploads/${attachment.id}/thumbnail` : undefined
+            })),
+            reactions: entry.deleted || !entry.reactions ? undefined : entry.reactions.map(reaction => ({ ...reaction, count: reaction.users.length })),
+            editedAt: entry.editedAt ? new Date(entry.editedAt).toISOString() : undefined,
+            deletedAt: entry.deletedAt ? new Date(entry.deletedAt).toISOString() : undefined,
+            time: new Date(timestamp).toLocaleTimeString(),
+            timestamp,
+            imported: true
+        };
+    });
+    
+    const byId = new Map(messages.map(message => [message.messageId, message]));
+    messages.filter(message => message.parentId).forEach(reply => {
+        const parent = byId.get(reply.parentId);
+        const participants = parent.threadParticipants || [];
+        parent.replyCount = (parent.replyCount || 0) + 1;
+        parent.lastReply = {
+            messageId: reply.messageId,
+            userId: reply.userId,
+            username: reply.username,
+            message: (reply.message || (reply.attachments ? `📎 ${reply.attachments[0].name}` : '')).substring(0, THREAD_PREVIEW_LENGTH),
+            timestamp: reply.timestamp
+        };
+        if (reply.userId && !participants.includes(reply.userId)) {
+            parent.threadParticipants = participants.concat(reply.userId);
+        }
+    });
+    
+    return { messages };
+};
+
+// ===== ROUTES =====
+// GET  /rooms/:room?format=json|markdown|csv|html&since=<ISO date>&until=<ISO date>
+//                                  (signed in, unless guests are allowed)
+// GET  /direct/:userId?...        (signed in; your conversation with that user)
+// POST /rooms/:room/import        (admins; body: a JSON transcript)
+// `onImport({ actor, room, count })` is called after each import, e.g. for the audit trail.
+const createTranscriptRouter = ({ store, accounts, tokens, guestsAllowed = true, roleOf, normalizeRoomName, directConversationId, onImport }) => {
+    const router = express.Router();
+    const requireAccount = authenticateRequest({ tokens, accounts });
+    // Rooms are only as open as the server: without guests, reading them needs a session
+    const requireReader = guestsAllowed ? [] : [requireAccount];
+    
+    const sendTranscript = async (req, res, { room, title, name }) => {
+        const format = FORMATS[(req.query.format || 'json').toLowerCase()];
+        if (!format) {
+            return res.status(400).json({ success: false, error: 'format must be one of: json, markdown, csv, html' });
+        }
+        
+        const invalidDate = ['since', 'until'].find(key => req.query[key] && Number.isNaN(Date.parse(req.query[key])));
+        if (invalidDate) {
+            return res.status(400).json({ success: false, error: `${invalidDate} must be a date` });
+        }
+        const since = req.query.since ? new Date(req.query.since).toISOString() : undefined;
+        const until = req.query.until ? new Date(req.query.until).toISOString() : undefined;
+        
+        const exportedAt = new Date().toISOString();
+        const filename = `${name.replace(/[^a-z0-9_-]+/gi, '-')}-${exportedAt.substring(0, 10)}.${format.extension}`;
+        res.set('Content-Type', format.contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.set('Cache-Control', 'no-store');
+        
+        const context = { count: 0, day: null, authors: new Map(), baseUrl: `${req.protocol}://${req.get('host')}` };
+        try {
+            await write(res, format.start({ room, title, exportedAt, since: since || null, until: until || null }));
+            await eachMessage(store, room, { since, until }, async (message) => {
+                if (res.destroyed) return false;
+                const chunk = format.message(message, context);
+                context.count++;
+                await write(res, chunk);
+            });
+            res.end(format.end(context));
+        } catch (error) {
+            // Too late for an error response once the transcript has started
+            console.error(`Failed to export ${room}:`, error.message);
+            res.destroy(error);
+        }
+    };
+    
+    router.get('/rooms/:room', ...requireReader, (req, res, next) => {
+        // Room names never contain ':', so direct messages can't be exported here
+        const room = normalizeRoomName(req.params.room);
+        if (!room) {
+            return res.status(400).json({ success: false, error: 'Invalid room name' });
+        }
+        sendTranscript(req, res, { room, title: `#${room}`, name: room }).catch(next);
+    });
+    
+    router.get('/direct/:userId', requireAccount, (req, res, next) => {
+        const other = accounts.findById(req.params.userId);
+        const otherName = other ? other.username : req.params.userId;
+        sendTranscript(req, res, {
+            room: directConversationId(req.account.id, req.params.userId),
+            title: `Direct messages: ${req.account.username} and ${otherName}`,
+            name: `dm-${otherName}`
+        }).catch(next);
+    });
+    
+    // Authenticated before the (large) body is read
+    router.post('/rooms/:room/import', requireAccount, (req, res, next) => {
+        if (!hasRole(roleOf(req.account), 'admin')) {
+            return res.status(403).json({ success: false, error: 'Admins only' });
+        }
+        next();
+    }, express.json({ limit: IMPORT_MAX_BYTES }), async (req, res, next) => {
+        const room = normalizeRoomName(req.params.room);
+        if (!room) {
+            return res.status(400).json({ success: false, error: 'Invalid room name' });
+        }
+        
+        const result = parseArchive(req.body, room);
+        if (result.error) {
+            return res.status(400).json({ success: false, code: 'INVALID_PAYLOAD', error: result.error, field: result.field });
+        }
+        
+        try {
+            for (const message of result.messages) {
+                await store.save(message);
+            }
+            
+            const actor = { userId: req.account.id, username: req.account.username, role: roleOf(req.account) };
+            console.log(`📥 ${actor.username} imported ${result.messages.length} messages into #${room}`);
+            if (onImport) onImport({ actor, room, count: result.messages.length });
+            res.json({ success: true, room, imported: result.messages.length });
+        } catch (error) {
+            next(error);
+        }
+    });
+    
+    return router;
+};
+
+module.exports = {
+    createTranscriptRouter,
+    parseArchive,
+    FORMATS
+};
@@ -0,0 +1,235 @@
+// ===== FILE UPLOADS =====
+// Multipart uploads into an attachment storage backend (see lib/attachments).
+// Each upload is stored as three keys: the file itself, `<id>.meta` with its
+// JSON metadata and, for images, `<id>.thumb` with a WebP thumbnail.
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const Busboy = require('busboy');
+const { ATTACHMENT_ID_PATTERN } = require('./validation');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'text/plain', 'text/csv', 'text/markdown', 'application/json',
+    'application/pdf', 'application/zip', 'application/gzip'
+];
+// Images sharp can decode and that browsers show inline; SVG is deliberately not one
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const THUMBNAIL_SIZE = 320;
+
+// Thumbnails are optional: without the sharp package images are still
+// accepted, the client just previews the original
+let sharp;
+const loadSharp = () => {
+    if (sharp === undefined) {
+        try {
+            sharp = require('sharp');
+        } catch (error) {
+            sharp = null;
+            console.warn('⚠️ Image thumbnails are disabled (npm install sharp to enable them)');
+        }
+    }
+    return sharp;
+};
+
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+// Plain base name without control or path characters, for display and downloads
+const cleanFileName = (name) => {
+    const base = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f/\\]/g, '').trim();
+    return base.substring(0, 100) || 'file';
+};
+
+// Entries may end in "/*" to allow a whole family, e.g. "text/*"
+const isAllowedType = (mimeType, allowedTypes) => allowedTypes.some(allowed => allowed.endsWith('/*')
+    ? mimeType.startsWith(allowed.slice(0, -1))
+    : mimeType === allowed);
+
+const createUploadService = (options = {}) => {
+    const storage = options.storage;
+    const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    const allowedTypes = (options.allowedTypes || DEFAULT_ALLOWED_TYPES).map(type => type.toLowerCase());
+    
+    const readMetadata = (id) => new Promise((resolve, reject) => {
+        const stream = ATTACHMENT_ID_PATTERN.test(id) ? storage.read(`${id}.meta`) : null;
+        if (!stream) return resolve(null);
+        
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => {
+            // A truncated or corrupt file rejects like a failed read instead of throwing here
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+    
+    const removeUpload = (id) => Promise.all(['', '.thumb', '.meta'].map(suffix => storage.remove(`${id}${suffix}`)));
+    
+    // Confirms the file really is an image and writes its thumbnail
+    const processImage = async (id) => {
+        const imaging = loadSharp();
+        if (!imaging) return {};
+        
+        let metadata;
+        try {
+            metadata = await storage.read(id).pipe(imaging()).metadata();
+        } catch (error) {
+            throw uploadError(415, 'That file is not a valid image');
+        }
+        
+        const thumbnail = await storage.read(id)
+            .pipe(imaging({ animated: false })
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 75 }))
+            .toBuffer();
+        await storage.write(`${id}.thumb`, thumbnail);
+        
+        return { width: metadata.width, height: metadata.height, thumbnailUrl: `/uploads/${id}/thumbnail` };
+    };
+    
+    // Streams the single "file" part to storage, enforcing type and size as it goes
+    const receiveUpload = (req) => new Promise((resolve, reject) => {
+        let busboy;
+        try {
+            busboy = Busboy({ headers: req.headers, limits: { files: 1, fields: 0, fileSize: maxBytes } });
+        } catch (error) {
+            return reject(uploadError(400, 'Expected a multipart/form-data upload'));
+        }
+        
+        let upload = null;
+        
+        busboy.on('file', (field, stream, info) => {
+            const mimeType = (info.mimeType || '').toLowerCase();
+            
+            if (upload || field !== 'file') {
+                stream.resume();
+                return;
+            }
+            if (!isAllowedType(mimeType, allowedTypes)) {
+                stream.resume();
+                upload = Promise.reject(uploadError(415, `Files of type ${mimeType || 'unknown'} are not allowed`));
+                upload.catch(() => {});
+                return;
+            }
+            
+            const id = crypto.randomBytes(16).toString('hex');
+            let truncated = false;
+            stream.on('limit', () => {
+                truncated = true;
+            });
+            
+            upload = storage.write(id, stream).then(size => {
+                if (truncated) {
+                    throw uploadError(413, `Files can be at most ${Math.round(maxBytes / 1024 / 1024 * 10) / 10} MB`);
+                }
+                return { id, name: cleanFileName(info.filename), mimeType, size };
+            }).catch(error => removeUpload(id).then(() => {
+                throw error;
+            }));
+            // Settled on 'close'; this only keeps an early failure from counting as unhandled
+            upload.catch(() => {});
+        });
+        
+        busboy.on('error', () => reject(uploadError(400, 'The upload could not be read')));
+        busboy.on('close', () => {
+            if (!upload) return reject(uploadError(400, 'No file was uploaded (expected a "file" field)'));
+            upload.then(resolve, reject);
+        });
+        
+        req.pipe(busboy);
+    });
+    
+    // POST / -> { success, attachment }
+    const uploadRouter = express.Router();
+    uploadRouter.post('/', async (req, res, next) => {
+        try {
+            const file = await receiveUpload(req);
+            const isImage = IMAGE_TYPES.includes(file.mimeType);
+            
+            let image = {};
+            if (isImage) {
+                image = await processImage(file.id).catch(error => removeUpload(file.id).then(() => {
+                    throw error;
+                }));
+            }
+            
+            const attachment = {
+                ...file,
+                kind: isImage ? 'image' : 'file',
+                url: `/uploads/${file.id}`,
+                ...image,
+                uploadedBy: req.uploader && req.uploader.userId,
+                uploadedAt: new Date().toISOString()
+            };
+            await storage.write(`${file.id}.meta`, Buffer.from(JSON.stringify(attachment)));
+            
+            console.log(`📎 Stored upload ${file.id} from ${req.uploader ? req.uploader.username : 'unknown'} (${file.mimeType}, ${file.size} bytes)`);
+            res.status(201).json({ success: true, attachment });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    });
+    
+    // GET /:id and /:id/thumbnail -> the stored bytes
+    const fileRouter = express.Router();
+    const sendStored = (variant) => async (req, res, next) => {
+        try {
+            const attachment = await readMetadata(req.params.id);
+            const key = variant === 'thumbnail' ? `${req.params.id}.thumb` : req.params.id;
+            const stream = attachment && storage.read(key);
+            
+            if (!stream) {
+                return res.status(404).json({ success: false, error: 'File not found' });
+            }
+            
+            const inline = attachment.kind === 'image';
+            res.set({
+                'Content-Type': variant === 'thumbnail' ? 'image/webp' : attachment.mimeType,
+                'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+                'Cache-Control': 'public, max-age=31536000, immutable',
+                // Uploaded bytes are never allowed to run as a page of ours
+                'Content-Security-Policy': "default-src 'none'; sandbox"
+            });
+            if (variant !== 'thumbnail') {
+                res.set('Content-Length', attachment.size);
+            }
+            
+            stream.on('error', next);
+            stream.pipe(res);
+        } catch (error) {
+            next(error);
+        }
+    };
+    fileRouter.get('/:id', sendStored('original'));
+    fileRouter.get('/:id/thumbnail', sendStored('thumbnail'));
+    
+    return {
+        uploadRouter,
+        fileRouter,
+        maxBytes,
+        allowedTypes,
+        
+        init: async () => {
+            await storage.init();
+            if (allowedTypes.some(type => IMAGE_TYPES.includes(type))) {
+                loadSharp();
+            }
+        },
+        
+        // Metadata for attachment ids sent along with a message; null for unknown ids
+        resolve: (ids = []) => Promise.all(ids.map(id => readMetadata(id).catch(() => null))),
+        
+        close: () => storage.close()
+    };
+};
+
+module.exports = { createUploadService, DEFAULT_ALLOWED_TYPES };
@@ -0,0 +1,386 @@
+// ===== INBOUND EVENT VALIDATION =====
+// Every client event is declared here with the shape of its payload. Handlers
+// registered through createEventGuard only ever see payloads that passed,
+// trimmed and stripped of undeclared properties.
+const MESSAGE_MAX_LENGTH = 500;
+const USERNAME_MIN_LENGTH = 2;
+const USERNAME_MAX_LENGTH = 20;
+const ROOM_INPUT_MAX_LENGTH = 40;
+
+const USERNAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.-]*$/u;
+const MESSAGE_ID_PATTERN = /^[0-9a-z]{1,32}$/;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const ATTACHMENT_ID_PATTERN = /^[a-f0-9]{32}$/;
+const ATTACHMENTS_MAX = 5;
+const RECEIPT_BATCH_MAX = 100;
+const MUTE_MAX_SECONDS = 7 * 24 * 60 * 60;
+const BAN_MAX_SECONDS = 365 * 24 * 60 * 60;
+const PRESENCE_STATUSES = ['online', 'away', 'busy', 'dnd'];
+const STATUS_TEXT_MAX_LENGTH = 100;
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const BOT_COMMANDS_MAX = 25;
+// IPv4 or IPv6 (including IPv4-mapped) as socket.io reports them
+const IP_PATTERN = /^(?:\d{1,3}(?:\.\d{1,3}){3}|[0-9a-f:]*:[0-9a-f:.]*)$/i;
+// One emoji, possibly with skin tone, variation selector or ZWJ sequence
+const EMOJI_PATTERN = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f\u20e3]+$/u;
+
+const roomField = { type: 'string', trim: true, minLength: 1, maxLength: ROOM_INPUT_MAX_LENGTH };
+const messageField = { type: 'string', required: true, trim: true, minLength: 1, maxLength: MESSAGE_MAX_LENGTH };
+// Text may be left out of messages that carry attachments; handlers check that one is present
+const messageBodyField = { ...messageField, required: false, minLength: 0 };
+const attachmentsField = {
+    type: 'array',
+    maxItems: ATTACHMENTS_MAX,
+    items: { type: 'string', required: true, pattern: ATTACHMENT_ID_PATTERN, patternMessage: 'attachments must be upload ids' }
+};
+const messageIdField = { type: 'string', required: true, pattern: MESSAGE_ID_PATTERN, patternMessage: 'messageId must be a message id' };
+const emojiField = { type: 'string', required: true, maxLength: 16, pattern: EMOJI_PATTERN, patternMessage: 'emoji must be a single emoji' };
+const userIdField = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+const reasonField = { type: 'string', trim: true, maxLength: 200 };
+const clientIdField = { type: 'string', pattern: CLIENT_ID_PATTERN, patternMessage: 'clientId must be 8-64 letters, digits, "_" or "-"' };
+
+// `null` means the event carries no payload (only an optional ack callback)
+const schemas = {
+    'join-room': { ...roomField, required: true },
+    'leave-room': { ...roomField, required: true },
+    'list-rooms': null,
+    'send-message': {
+        type: 'object',
+        required: true,
+        properties: {
+            message: messageBodyField,
+            attachments: attachmentsField,
+            room: roomField,
+            clientId: clientIdField,
+            parentId: { ...messageIdField, required: false, patternMessage: 'parentId must be a message id' }
+        }
+    },
+    'send-direct-message': {
+        type: 'object',
+        required: true,
+        properties: {
+            to: { type: 'string', required: true, maxLength: 64 },
+            message: messageBodyField,
+            attachments: attachmentsField,
+            clientId: clientIdField
+        }
+    },
+    'edit-message': {
+        type: 'object',
+        required: true,
+        properties: {
+            messageId: messageIdField,
+            message: messageField
+        }
+    },
+    'delete-message': {
+        type: 'object',
+        required: true,
+        properties: {
+            messageId: messageIdField
+        }
+    },
+    'add-reaction': {
+        type: 'object',
+        required: true,
+        properties: {
+            messageId: messageIdField,
+            emoji: emojiField
+        }
+    },
+    'remove-reaction': {
+        type: 'object',
+        required: true,
+        properties: {
+            messageId: messageIdField,
+            emoji: emojiField
+        }
+    },
+    'message-receipt': {
+        type: 'object',
+        required: true,
+        properties: {
+            status: { type: 'string', required: true, enum: ['delivered', 'read'] },
+            messageIds: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                maxItems: RECEIPT_BATCH_MAX,
+                items: { type: 'string', required: true, pattern: MESSAGE_ID_PATTERN, patternMessage: 'messageIds must be message ids' }
+            }
+        }
+    },
+    'sync-messages': {
+        type: 'object',
+        required: true,
+        properties: {
+            room: { ...roomField, required: true },
+            after: { type: 'string', pattern: MESSAGE_ID_PATTERN, patternMessage: 'after must be a message id' }
+        }
+    },
+    'typing': {
+        type: 'object',
+        properties: { room: roomField }
+    },
+    'stop-typing': {
+        type: 'object',
+        properties: { room: roomField }
+    },
+    'kick-user': {
+        type: 'object',
+        required: true,
+        properties: {
+            userId: userIdField,
+            reason: reasonField
+        }
+    },
+    'mute-user': {
+        type: 'object',
+        required: true,
+        properties: {
+            userId: userIdField,
+            // Seconds
+            duration: { type: 'number', required: true, min: 10, max: MUTE_MAX_SECONDS },
+            reason: reasonField
+        }
+    },
+    'unmute-user': {
+        type: 'object',
+        required: true,
+        properties: {
+            userId: userIdField
+        }
+    },
+    // An account, the IPs it is connected from (byIp), a bare IP, or a mix
+    'ban-user': {
+        type: 'object',
+        required: true,
+        properties: {
+            userId: { ...userIdField, required: false },
+            byIp: { type: 'boolean' },
+            ip: { type: 'string', trim: true, maxLength: 45, pattern: IP_PATTERN, patternMessage: 'ip must be an IP address' },
+            // Seconds; permanent when left out
+            duration: { type: 'number', min: 60, max: BAN_MAX_SECONDS },
+            reason: reasonField
+        }
+    },
+    'unban-user': {
+        type: 'object',
+        required: true,
+        properties: {
+            banId: { type: 'string', required: true, pattern: /^[a-f0-9]{16}$/, patternMessage: 'banId must be a ban id' }
+        }
+    },
+    'set-role': {
+        type: 'object',
+        required: true,
+        properties: {
+            userId: userIdField,
+            role: { type: 'string', required: true, enum: ['member', 'moderator', 'admin'] }
+        }
+    },
+    'update-username': {
+        type: 'string',
+        required: true,
+        trim: true,
+        minLength: USERNAME_MIN_LENGTH,
+        maxLength: USERNAME_MAX_LENGTH,
+        pattern: USERNAME_PATTERN,
+        patternMessage: 'Usernames may only contain letters, numbers, spaces, ".", "_" and "-"'
+    },
+    'set-status': {
+        type: 'object',
+        required: true,
+        properties: {
+            status: { type: 'string', required: true, enum: PRESENCE_STATUSES },
+            text: { type: 'string', trim: true, maxLength: STATUS_TEXT_MAX_LENGTH }
+        }
+    },
+    'set-idle': { type: 'boolean', required: true },
+    // Bots only: replaces the bot's slash commands (see lib/bots.js)
+    'register-commands': {
+        type: 'object',
+        required: true,
+        properties: {
+            commands: {
+                type: 'array',
+                required: true,
+                maxItems: BOT_COMMANDS_MAX,
+                items: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        name: {
+                            type: 'string',
+                            required: true,
+                            pattern: COMMAND_NAME_PATTERN,
+                            patternMessage: 'Command names are lowercase letters, digits, "_" or "-", starting with a letter'
+                        },
+                        description: { type: 'string', trim: true, maxLength: 100 },
+                        args: {
+                            type: 'array',
+                            maxItems: 5,
+                            items: {
+                                type: 'object',
+                                required: true,
+                                properties: {
+                                    name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 20 },
+                                    required: { type: 'boolean' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    'ping': null
+};
+
+// Returns { value } with the sanitized payload, or { error, field } on the first problem
+const validate = (schema, input, field = 'payload') => {
+    if (input === undefined || input === null) {
+        return schema.required ? { error: `${field} is required`, field } : { value: undefined };
+    }
+    
+    switch (schema.type) {
+        case 'string': {
+            if (typeof input !== 'string') {
+                return { error: `${field} must be a string`, field };
+            }
+            
+            const value = schema.trim ? input.trim() : input;
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                return {
+                    error: schema.minLength === 1 ? `${field} must not be empty` : `${field} must be at least ${schema.minLength} characters`,
+                    field
+                };
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return { error: `${field} must be at most ${schema.maxLength} characters`, field };
+            }
+            if (schema.pattern && !schema.pattern.test(value)) {
+                return { error: schema.patternMessage || `${field} has an invalid format`, field };
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                return { error: `${field} must be one of: ${schema.enum.join(', ')}`, field };
+            }
+            return { value };
+        }
+        
+        case 'number': {
+            if (typeof input !== 'number' || !Number.isFinite(input)) {
+                return { error: `${field} must be a number`, field };
+            }
+            if ((schema.min !== undefined && input < schema.min) || (schema.max !== undefined && input > schema.max)) {
+                return { error: `${field} must be between ${schema.min} and ${schema.max}`, field };
+            }
+            return { value: input };
+        }
+        
+        case 'boolean': {
+            if (typeof input !== 'boolean') {
+                return { error: `${field} must be true or false`, field };
+            }
+            return { value: input };
+        }
+        
+        case 'array': {
+            if (!Array.isArray(input)) {
+                return { error: `${field} must be a list`, field };
+            }
+            if (schema.minItems !== undefined && input.length < schema.minItems) {
+                return { error: `${field} must have at least ${schema.minItems} entries`, field };
+            }
+            if (schema.maxItems !== undefined && input.length > schema.maxItems) {
+                return { error: `${field} must have at most ${schema.maxItems} entries`, field };
+            }
+            
+            const value = [];
+            for (const item of input) {
+                const result = validate(schema.items, item, field);
+                if (result.error) return result;
+                value.push(result.value);
+            }
+            return { value };
+        }
+        
+        case 'object': {
+            if (typeof input !== 'object' || Array.isArray(input)) {
+                return { error: `${field} must be an object`, field };
+            }
+            
+            // Only declared properties make it through
+            const value = {};
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const result = validate(propertySchema, input[key], key);
+                if (result.error) return result;
+                if (result.value !== undefined) value[key] = result.value;
+            }
+            return { value };
+        }
+        
+        default:
+            throw new Error(`Unsupported schema type "${schema.type}"`);
+    }
+};
+
+// Wraps socket.on so each handler receives (payload, callback) with a validated
+// payload. Invalid payloads and handler crashes are answered through the ack
+// callback when there is one, otherwise with a structured 'error' event.
+// `throttle(event)` may veto an event before validation (see flood-control.js);
+// it notifies the client itself, so a vetoed event only gets an ack reply.
+const createEventGuard = (socket, { throttle } = {}) => {
+    const reject = (event, callback, code, message, field) => {
+        const error = { event, code, message, ...(field ? { field } : {}) };
+        if (typeof callback === 'function') {
+            callback({ success: false, error: message, code, ...(field ? { field } : {}) });
+        } else {
+            socket.emit('error', error);
+        }
+    };
+    
+    return (event, handler) => {
+        if (!(event in schemas)) {
+            throw new Error(`No schema declared for socket event "${event}"`);
+        }
+        
+        socket.on(event, (...args) => {
+            const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+            
+            const limited = throttle && throttle(event);
+            if (limited) {
+                if (typeof callback === 'function') {
+                    callback({ success: false, error: limited.message, code: limited.code, retryAfter: limited.retryAfter });
+                }
+                return;
+            }
+            
+            const schema = schemas[event];
+            const result = schema ? validate(schema, args[0]) : { value: undefined };
+            
+            if (result.error) {
+                console.warn(`🚫 Rejected ${event} from ${socket.id}: ${result.error}`);
+                return reject(event, callback, 'INVALID_PAYLOAD', result.error, result.field);
+            }
+            
+            try {
+                handler(result.value, callback);
+            } catch (error) {
+                console.error(`Handler for ${event} failed (${socket.id}):`, error);
+                reject(event, callback, 'INTERNAL_ERROR', 'Something went wrong handling that request');
+            }
+        });
+    };
+};
+
+module.exports = {
+    schemas,
+    validate,
+    createEventGuard,
+    MESSAGE_MAX_LENGTH,
+    MESSAGE_ID_PATTERN,
+    ATTACHMENT_ID_PATTERN,
+    USERNAME_MAX_LENGTH,
+    PRESENCE_STATUSES
+};
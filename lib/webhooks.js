@@ -0,0 +1,555 @@
+// ===== WEBHOOKS =====
+// Integrations in both directions. An incoming webhook is a secret URL
+// (POST /api/hooks/<token>) that posts into one room under a bot name; only a
+// hash of its token is kept. An outgoing webhook POSTs room messages matching
+// its rooms or keywords to a URL, signed with HMAC-SHA256 and retried with
+// backoff, and every delivery is logged. Hooks are stored like moderation
+// state: in memory, written to a JSON file on every change and shared between
+// processes through a `replication` channel. The delivery log, which changes
+// with every attempt, has a file of its own that is written at most once every
+// DELIVERY_SAVE_DELAY_MS, by the process that made the delivery. Posting as a
+// bot lives in server.js (the `onMessage` of createIncomingHookRouter).
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const express = require('express');
+const { authenticateRequest } = require('./auth');
+const { hasRole } = require('./moderation');
+const { tokenize } = require('./search');
+const { schemas, validate } = require('./validation');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'webhooks.json');
+const INCOMING_HOOK_PATH = '/api/hooks';
+const DELIVERY_LOG_MAX = 100;
+const DELIVERY_SAVE_DELAY_MS = 1000;
+const DELIVERY_PAGE_MAX = 100;
+const DEFAULT_ATTEMPTS = 4;
+const DEFAULT_RETRY_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 10000;
+// Worth another try: no answer at all, timeouts, throttling and server errors
+const RETRY_STATUSES = [408, 429];
+const HOOK_ROOMS_MAX = 20;
+const HOOK_KEYWORDS_MAX = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const createToken = () => crypto.randomBytes(24).toString('base64url');
+const createSecret = () => crypto.randomBytes(32).toString('hex');
+
+// What a receiver checks: HMAC-SHA256 of "<timestamp>.<body>" with the hook's secret
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Keywords match whole words, ignoring case and accents: "deploy" matches
+// "Deploy failed" but not "deployment"
+const phraseOf = (text) => ` ${tokenize(text).join(' ')} `;
+
+const matchKeyword = (hook, words) => {
+    if (!hook.keywords.length) return null;
+    return hook.keywords.find(keyword => words.includes(phraseOf(keyword))) || null;
+};
+
+const toPublicIncoming = ({ tokenHash, ...hook }) => hook;
+const toPublicOutgoing = ({ secret, ...hook }) => hook;
+
+const createWebhookStore = (options = {}) => {
+    const filePath = options.path || DEFAULT_PATH;
+    // webhooks.json -> webhooks.deliveries.json
+    const deliveriesPath = options.deliveriesPath || filePath.replace(/(\.json)?$/, '.deliveries.json');
+    const saveDelayMs = options.saveDelayMs === undefined ? DELIVERY_SAVE_DELAY_MS : options.saveDelayMs;
+    const replication = options.replication;
+    const incoming = new Map();
+    const outgoing = new Map();
+    // hookId -> deliveries, oldest first
+    const deliveries = new Map();
+    
+    let writeQueue = Promise.resolve();
+    const write = (target, data) => {
+        writeQueue = writeQueue.then(async () => {
+            const tempPath = `${target}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tempPath, target);
+        }).catch(error => console.error('Failed to save webhooks:', error.message));
+        return writeQueue;
+    };
+    
+    const persist = () => write(filePath, {
+        incoming: Array.from(incoming.values()),
+        outgoing: Array.from(outgoing.values())
+    });
+    
+    // Deliveries change with every attempt, so they are batched
+    let deliveriesTimer = null;
+    const persistDeliveries = () => {
+        clearTimeout(deliveriesTimer);
+        deliveriesTimer = null;
+        return write(deliveriesPath, Array.from(deliveries.values()).flat());
+    };
+    const schedulePersistDeliveries = () => {
+        if (deliveriesTimer) return;
+        deliveriesTimer = setTimeout(persistDeliveries, saveDelayMs);
+        deliveriesTimer.unref();
+    };
+    
+    const apply = (change) => {
+        switch (change.type) {
+            case 'incoming':
+                incoming.set(change.hook.id, change.hook);
+                break;
+            case 'remove-incoming':
+                incoming.delete(change.hookId);
+                break;
+            case 'outgoing':
+                outgoing.set(change.hook.id, change.hook);
+                break;
+            case 'remove-outgoing':
+                outgoing.delete(change.hookId);
+                deliveries.delete(change.hookId);
+                break;
+            case 'delivery': {
+                const log = (deliveries.get(change.delivery.hookId) || [])
+                    .filter(delivery => delivery.id !== change.delivery.id)
+                    .concat(change.delivery);
+                deliveries.set(change.delivery.hookId, log.slice(-DELIVERY_LOG_MAX));
+                break;
+            }
+        }
+    };
+    
+    const commit = (change) => {
+        apply(change);
+        if (replication) replication.publish(change);
+        if (change.type === 'delivery') {
+            schedulePersistDeliveries();
+            return;
+        }
+        persist();
+        if (change.type === 'remove-outgoing') schedulePersistDeliveries();
+    };
+    
+    // Other processes save their own deliveries
+    if (replication) {
+        replication.subscribe(change => {
+            apply(change);
+            if (change.type !== 'delivery') persist();
+        });
+    }
+    
+    const store = {
+        init: async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            if (fs.existsSync(deliveriesPath)) {
+                const saved = JSON.parse(await fs.promises.readFile(deliveriesPath, 'utf8'));
+                saved.forEach(delivery => apply({ type: 'delivery', delivery }));
+            }
+            if (!fs.existsSync(filePath)) return store;
+            
+            const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            (saved.incoming || []).forEach(hook => incoming.set(hook.id, hook));
+            (saved.outgoing || []).forEach(hook => outgoing.set(hook.id, hook));
+            // Files from before the delivery log had its own: move it over
+            if (saved.deliveries && !fs.existsSync(deliveriesPath)) {
+                saved.deliveries.forEach(delivery => apply({ type: 'delivery', delivery }));
+                persistDeliveries();
+                await persist();
+            }
+            console.log(`🪝 Loaded ${incoming.size} incoming and ${outgoing.size} outgoing webhooks from ${filePath}`);
+            return store;
+        },
+        
+        listIncoming: () => Array.from(incoming.values(), toPublicIncoming),
+        
+        listOutgoing: () => Array.from(outgoing.values(), toPublicOutgoing),
+        
+        // { name, room, createdBy } -> { hook, token }; the token is only ever returned here
+        addIncoming: (hook) => {
+            const token = createToken();
+            const entry = { id: crypto.randomBytes(8).toString('hex'), createdAt: new Date().toISOString(), ...hook, tokenHash: hashToken(token) };
+            commit({ type: 'incoming', hook: entry });
+            return { hook: toPublicIncoming(entry), token };
+        },
+        
+        // A new token for an existing hook; the old one stops working at once
+        rotateIncomingToken: (hookId) => {
+            const hook = incoming.get(hookId);
+            if (!hook) return null;
+            
+            const token = createToken();
+            const entry = { ...hook, tokenHash: hashToken(token), rotatedAt: new Date().toISOString() };
+            commit({ type: 'incoming', hook: entry });
+            return { hook: toPublicIncoming(entry), token };
+        },
+        
+        removeIncoming: (hookId) => {
+            const hook = incoming.get(hookId);
+            if (!hook) return null;
+            commit({ type: 'remove-incoming', hookId });
+            return toPublicIncoming(hook);
+        },
+        
+        findIncomingByToken: (token) => {
+            const tokenHash = hashToken(token);
+            const hook = Array.from(incoming.values()).find(entry => entry.tokenHash === tokenHash);
+            return hook ? toPublicIncoming(hook) : null;
+        },
+        
+        // { name, url, rooms, keywords, createdBy } -> { hook, secret }
+        addOutgoing: (hook) => {
+            const secret = createSecret();
+            const entry = { id: crypto.randomBytes(8).toString('hex'), createdAt: new Date().toISOString(), rooms: [], keywords: [], ...hook, secret };
+            commit({ type: 'outgoing', hook: entry });
+            return { hook: toPublicOutgoing(entry), secret };
+        },
+        
+        rotateOutgoingSecret: (hookId) => {
+            const hook = outgoing.get(hookId);
+            if (!hook) return null;
+            
+            const secret = createSecret();
+            const entry = { ...hook, secret, rotatedAt: new Date().toISOString() };
+            commit({ type: 'outgoing', hook: entry });
+            return { hook: toPublicOutgoing(entry), secret };
+        },
+        
+        removeOutgoing: (hookId) => {
+            const hook = outgoing.get(hookId);
+            if (!hook) return null;
+            commit({ type: 'remove-outgoing', hookId });
+            return toPublicOutgoing(hook);
+        },
+        
+        // Includes the secret: for signing deliveries, never for responses
+        getOutgoing: (hookId) => outgoing.get(hookId) || null,
+        
+        // Outgoing hooks interested in a room message, each with the keyword it matched
+        matchOutgoing: (message) => {
+            const words = phraseOf(message.message);
+            const matches = [];
+            outgoing.forEach(hook => {
+                if (hook.rooms.length && !hook.rooms.includes(message.room)) return;
+                const keyword = matchKeyword(hook, words);
+                if (hook.keywords.length && !keyword) return;
+                matches.push({ hook, keyword });
+            });
+            return matches;
+        },
+        
+        // Adds a delivery or replaces it by id; each hook keeps its last DELIVERY_LOG_MAX
+        recordDelivery: (delivery) => {
+            commit({ type: 'delivery', delivery });
+            return delivery;
+        },
+        
+        // Newest first
+        listDeliveries: (hookId, limit = DELIVERY_PAGE_MAX) => (deliveries.get(hookId) || []).slice(-limit).reverse(),
+        
+        // Writes out any deliveries still waiting for their batch
+        close: () => (deliveriesTimer ? persistDeliveries() : writeQueue)
+    };
+    
+    return store;
+};
+
+// One POST; resolves with the response status or the error, never rejects
+const post = (url, body, headers, timeoutMs) => new Promise(resolve => {
+    const started = Date.now();
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const request = transport.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: timeoutMs
+    }, (response) => {
+        // Receivers only need to acknowledge; whatever they send back is dropped
+        response.resume();
+        resolve({ status: response.statusCode, durationMs: Date.now() - started });
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response within ${timeoutMs} ms`)));
+    request.on('error', error => resolve({ error: error.message, durationMs: Date.now() - started }));
+    request.end(body);
+});
+
+// Sends payloads to outgoing hooks. A delivery is tried up to `attempts`
+// times, waiting retryMs, then 4x as long before each further try; every
+// attempt is written to the hook's delivery log.
+const createWebhookDispatcher = ({ store, attempts = DEFAULT_ATTEMPTS, retryMs = DEFAULT_RETRY_MS, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+    
+    const deliver = async (hookId, event, data, maxAttempts = attempts) => {
+        let delivery = store.recordDelivery({
+            id: crypto.randomBytes(8).toString('hex'),
+            hookId,
+            event,
+            messageId: data.message ? data.message.messageId : undefined,
+            room: data.message ? data.message.room : undefined,
+            status: 'pending',
+            attempts: [],
+            createdAt: new Date().toISOString()
+        });
+        
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            // Read every time: the hook may have been removed or its secret rotated meanwhile
+            const hook = store.getOutgoing(hookId);
+            if (!hook) return delivery;
+            
+            const timestamp = new Date().toISOString();
+            const body = JSON.stringify({ event, delivery: delivery.id, hook: { id: hook.id, name: hook.name }, timestamp, ...data });
+            const result = await post(hook.url, body, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'SocketChat-Webhooks/1.0',
+                'X-Webhook-Event': event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${sign(hook.secret, timestamp, body)}`
+            }, timeoutMs);
+            
+            const delivered = result.status >= 200 && result.status < 300;
+            const retry = !delivered && attempt < maxAttempts && (!result.status || RETRY_STATUSES.includes(result.status) || result.status >= 500);
+            delivery = store.recordDelivery({
+                ...delivery,
+                status: delivered ? 'delivered' : retry ? 'pending' : 'failed',
+                responseStatus: result.status,
+                error: result.error,
+                attempts: delivery.attempts.concat({ at: timestamp, ...result }),
+                completedAt: retry ? undefined : new Date().toISOString()
+            });
+            if (!retry) break;
+            
+            await wait(retryMs * 4 ** (attempt - 1));
+        }
+        
+        if (delivery.status === 'failed') {
+            console.warn(`🪝 Webhook ${hookId} delivery ${delivery.id} failed: ${delivery.error || `HTTP ${delivery.responseStatus}`}`);
+        }
+        return delivery;
+    };
+    
+    return {
+        // Offers a room message to every matching hook. Bot messages are skipped
+        // so that a hook answering through an incoming webhook can't loop.
+        dispatch: (message) => {
+            if (message.bot || message.conversationId) return;
+            
+            store.matchOutgoing(message).forEach(({ hook, keyword }) => {
+                const { messageId, parentId, room, userId, username, action, attachments, mentions, timestamp } = message;
+                deliver(hook.id, 'message', {
+                    keyword: keyword || undefined,
+                    message: { messageId, parentId, room, userId, username, message: message.message, action, attachments, mentions, timestamp }
+                }).catch(error => console.error(`Webhook ${hook.id} delivery crashed:`, error.message));
+            });
+        },
+        
+        // A single attempt, so admins can check a receiver straight away
+        ping: (hookId) => deliver(hookId, 'ping', {}, 1)
+    };
+};
+
+// ===== ROUTES =====
+const hookNameField = { ...schemas['update-username'], patternMessage: 'Bot names may only contain letters, numbers, spaces, ".", "_" and "-"' };
+
+const incomingHookSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: hookNameField,
+        room: schemas['join-room']
+    }
+};
+
+const outgoingHookSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: hookNameField,
+        url: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 2000 },
+        rooms: { type: 'array', maxItems: HOOK_ROOMS_MAX, items: schemas['join-room'] },
+        keywords: {
+            type: 'array',
+            maxItems: HOOK_KEYWORDS_MAX,
+            items: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 50 }
+        }
+    }
+};
+
+// `text` as well, so tools that speak Slack's format work unchanged
+const hookMessageSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        text: schemas['send-message'].properties.message,
+        message: schemas['send-message'].properties.message
+    }
+};
+
+const STATUS_BY_CODE = {
+    INVALID_PAYLOAD: 400,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404
+};
+
+const HOOK_NOT_FOUND = { success: false, code: 'NOT_FOUND', error: 'Webhook not found' };
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Admin management, mounted at /api/webhooks:
+// GET    /                           both kinds of hooks (without tokens or secrets)
+// POST   /incoming                   { name, room } -> { hook, token, url }
+// POST   /incoming/:id/token         a new token for the hook
+// DELETE /incoming/:id
+// POST   /outgoing                   { name, url, rooms?, keywords? } -> { hook, secret }
+// POST   /outgoing/:id/secret        a new signing secret
+// DELETE /outgoing/:id
+// GET    /outgoing/:id/deliveries?limit=50
+// POST   /outgoing/:id/ping          one signed "ping" delivery, answered with its result
+// `onChange({ action, actor, webhook })` is called after every change, e.g. for the audit trail.
+const createWebhookRouter = ({ store, dispatcher, accounts, tokens, roleOf, normalizeRoomName, onChange }) => {
+    const router = express.Router();
+    
+    router.use(authenticateRequest({ tokens, accounts }));
+    router.use((req, res, next) => {
+        req.actor = { userId: req.account.id, username: req.account.username, role: roleOf(req.account) };
+        if (!hasRole(req.actor.role, 'admin')) {
+            return res.status(403).json({ success: false, error: 'Admins only' });
+        }
+        next();
+    });
+    
+    const changed = (req, action, hook, kind) => {
+        console.log(`🪝 ${req.actor.username}: ${action} ${kind} webhook "${hook.name}" (${hook.id})`);
+        if (onChange) onChange({ action, actor: req.actor, webhook: { id: hook.id, kind, name: hook.name } });
+    };
+    
+    const invalid = (res, result) => res.status(400).json({ success: false, code: 'INVALID_PAYLOAD', error: result.error, field: result.field });
+    
+    const incomingUrl = (req, token) => `${req.protocol}://${req.get('host')}${INCOMING_HOOK_PATH}/${token}`;
+    
+    router.get('/', (req, res) => {
+        res.json({ success: true, incoming: store.listIncoming(), outgoing: store.listOutgoing() });
+    });
+    
+    router.post('/incoming', (req, res) => {
+        const result = validate(incomingHookSchema, req.body);
+        if (result.error) return invalid(res, result);
+        
+        const room = normalizeRoomName(result.value.room);
+        if (!room) return invalid(res, { error: 'Invalid room name', field: 'room' });
+        
+        const { hook, token } = store.addIncoming({ name: result.value.name, room, createdBy: req.actor });
+        changed(req, 'create-webhook', hook, 'incoming');
+        res.status(201).json({ success: true, hook, token, url: incomingUrl(req, token) });
+    });
+    
+    router.post('/incoming/:id/token', (req, res) => {
+        const rotated = store.rotateIncomingToken(req.params.id);
+        if (!rotated) return res.status(404).json(HOOK_NOT_FOUND);
+        
+        changed(req, 'rotate-webhook', rotated.hook, 'incoming');
+        res.json({ success: true, hook: rotated.hook, token: rotated.token, url: incomingUrl(req, rotated.token) });
+    });
+    
+    router.delete('/incoming/:id', (req, res) => {
+        const hook = store.removeIncoming(req.params.id);
+        if (!hook) return res.status(404).json(HOOK_NOT_FOUND);
+        
+        changed(req, 'delete-webhook', hook, 'incoming');
+        res.json({ success: true, hook });
+    });
+    
+    router.post('/outgoing', (req, res) => {
+        const result = validate(outgoingHookSchema, req.body);
+        if (result.error) return invalid(res, result);
+        if (!isHttpUrl(result.value.url)) {
+            return invalid(res, { error: 'url must be an http or https URL', field: 'url' });
+        }
+        
+        const rooms = (result.value.rooms || []).map(normalizeRoomName);
+        if (rooms.some(room => !room)) return invalid(res, { error: 'Invalid room name', field: 'rooms' });
+        
+        const { hook, secret } = store.addOutgoing({
+            name: result.value.name,
+            url: result.value.url,
+            rooms: Array.from(new Set(rooms)),
+            keywords: Array.from(new Set(result.value.keywords || [])).filter(keyword => tokenize(keyword).length),
+            createdBy: req.actor
+        });
+        changed(req, 'create-webhook', hook, 'outgoing');
+        res.status(201).json({ success: true, hook, secret });
+    });
+    
+    router.post('/outgoing/:id/secret', (req, res) => {
+        const rotated = store.rotateOutgoingSecret(req.params.id);
+        if (!rotated) return res.status(404).json(HOOK_NOT_FOUND);
+        
+        changed(req, 'rotate-webhook', rotated.hook, 'outgoing');
+        res.json({ success: true, hook: rotated.hook, secret: rotated.secret });
+    });
+    
+    router.delete('/outgoing/:id', (req, res) => {
+        const hook = store.removeOutgoing(req.params.id);
+        if (!hook) return res.status(404).json(HOOK_NOT_FOUND);
+        
+        changed(req, 'delete-webhook', hook, 'outgoing');
+        res.json({ success: true, hook });
+    });
+    
+    router.get('/outgoing/:id/deliveries', (req, res) => {
+        if (!store.getOutgoing(req.params.id)) return res.status(404).json(HOOK_NOT_FOUND);
+        
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, DELIVERY_PAGE_MAX);
+        const deliveries = store.listDeliveries(req.params.id, limit);
+        res.json({ success: true, count: deliveries.length, deliveries });
+    });
+    
+    router.post('/outgoing/:id/ping', (req, res, next) => {
+        if (!store.getOutgoing(req.params.id)) return res.status(404).json(HOOK_NOT_FOUND);
+        
+        dispatcher.ping(req.params.id)
+            .then(delivery => res.json({ success: delivery.status === 'delivered', delivery }))
+            .catch(next);
+    });
+    
+    return router;
+};
+
+// POST /:token  { text } or { message }, mounted at INCOMING_HOOK_PATH. The
+// token in the URL is the only credential. `onMessage(hook, text)` posts the
+// message and returns (or resolves to) { success, message } or an error payload.
+const createIncomingHookRouter = ({ store, onMessage }) => {
+    const router = express.Router();
+    
+    router.post('/:token', (req, res, next) => {
+        const hook = store.findIncomingByToken(req.params.token);
+        if (!hook) return res.status(404).json(HOOK_NOT_FOUND);
+        
+        const result = validate(hookMessageSchema, req.body);
+        if (result.error) {
+            return res.status(400).json({ success: false, code: 'INVALID_PAYLOAD', error: result.error, field: result.field });
+        }
+        
+        const text = result.value.text || result.value.message;
+        if (!text) {
+            return res.status(400).json({ success: false, code: 'INVALID_PAYLOAD', error: 'text must not be empty', field: 'text' });
+        }
+        
+        Promise.resolve(onMessage(hook, text))
+            .then(outcome => res.status(outcome.success ? 200 : STATUS_BY_CODE[outcome.code] || 400).json(outcome))
+            .catch(next);
+    });
+    
+    return router;
+};
+
+module.exports = {
+    createWebhookStore,
+    createWebhookDispatcher,
+    createWebhookRouter,
+    createIncomingHookRouter,
+    sign,
+    INCOMING_HOOK_PATH
+};
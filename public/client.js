@@ -2,6 +2,43 @@
 const isProduction = window.location.hostname !== 'localhost' && 
                     window.location.hostname !== '127.0.0.1';
 
+// Persistent session id, so reconnects and reloads resume the same presence
+const getSessionId = () => {
+    let sessionId = localStorage.getItem('sessionId');
+    if (!sessionId) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        sessionId = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('sessionId', sessionId);
+    }
+    return sessionId;
+};
+
+// How long a sent message may wait for the server's ack before it is marked failed
+const ACK_TIMEOUT_MS = 10000;
+// Receipts are batched so a burst of messages costs one event per status
+const RECEIPT_FLUSH_MS = 1000;
+const RECEIPT_BATCH_MAX = 100;
+// Offered by the reaction picker; any emoji sent by other clients still renders
+const REACTION_CHOICES = ['👍', '❤️', '😂', '😮', '😢', '🎉', '🙏', '👀'];
+// Later statuses never get downgraded by a late ack or receipt
+const MESSAGE_STATUS_ORDER = ['rejected', 'failed', 'pending', 'sent', 'delivered', 'read'];
+// Must match the server's per-message attachment limit
+const ATTACHMENTS_MAX = 5;
+
+// The server forgets a typer after 5 seconds, so keep reminding it while typing
+const TYPING_REFRESH_MS = 3000;
+const TYPING_NAMES_MAX = 2;
+
+// Without keyboard or pointer input for this long the tab reports itself idle
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const IDLE_CHECK_MS = 15000;
+const STATUS_LABELS = { online: 'Online', away: 'Away', busy: 'Busy', dnd: 'Do not disturb', offline: 'Offline' };
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_PAGE_SIZE = 20;
+// How long the message a search result jumped to stays highlighted
+const SEARCH_HIT_MS = 2500;
+
 // Dynamic Socket.IO connection based on environment
 const socketOptions = {
     // For production on Render
@@ -12,8 +49,12 @@ const socketOptions = {
     reconnectionDelay: 1000,
     reconnectionDelayMax: 5000,
     timeout: 20000,
-    forceNew: true,
-    path: '/socket.io/'
+    path: '/socket.io/',
+    // Evaluated on every (re)connect, so signing in/out takes effect on the next handshake
+    auth: (cb) => cb({
+        token: localStorage.getItem('authToken'),
+        sessionId: getSessionId()
+    })
 };
 
 // Initialize Socket.IO connection
@@ -26,12 +67,56 @@ const state = {
     connected: false,
     username: 'Anonymous',
     userId: null,
+    identityId: null,
+    guest: true,
+    guestsAllowed: true,
+    role: 'member',
+    status: 'online',
+    statusText: '',
+    idle: false,
+    lastActivity: Date.now(),
+    removedBy: null,
+    muteTimer: null,
     activeUsers: [],
     messages: [],
-    typingUsers: new Set(),
+    currentRoom: 'general',
+    rooms: [],
+    joinedRooms: new Set(['general']),
+    unreadRooms: {},
+    directMessages: {},
+    unreadDirect: {},
+    dmUser: null,
+    throttledUntil: 0,
+    throttleTimer: null,
+    floodDisconnected: false,
+    loadingHistory: false,
+    historyExhausted: {},
+    // room -> true while an older stretch of its history is shown, without its latest messages
+    detachedRooms: {},
+    search: null,
+    searchTimer: null,
+    pendingReceipts: { delivered: new Set(), read: new Set() },
+    sentReceipts: { delivered: new Set(), read: new Set() },
+    receiptTimer: null,
+    editWindowMs: 0,
+    uploadLimits: { maxBytes: 10 * 1024 * 1024, allowedTypes: [] },
+    // Handed out by the server on every connect; also needed to view files when guests aren't allowed
+    uploadToken: null,
+    privateFiles: false,
+    uploads: [],
+    commands: [],
+    thread: null,
+    mentionSuggest: null,
+    unreadMentions: 0,
+    baseTitle: document.title,
+    // room -> [{ userId, username }] of everyone else typing there
+    typingUsers: {},
     isTyping: false,
+    typingSentAt: 0,
     typingTimeout: null,
     theme: localStorage.getItem('theme') || 'light',
+    plainText: localStorage.getItem('plainText') === 'true',
+    showPreview: false,
     pingStartTime: null
 };
 
@@ -44,17 +129,43 @@ const elements = {
     pingValue: document.getElementById('pingValue'),
     shortId: document.getElementById('shortId'),
     fullConnectionId: document.getElementById('fullConnectionId'),
+    searchInput: document.getElementById('searchInput'),
+    searchResults: document.getElementById('searchResults'),
     
     // Theme
     themeToggle: document.getElementById('themeToggle'),
+    formatToggle: document.getElementById('formatToggle'),
+    
+    // Auth
+    authButton: document.getElementById('authButton'),
+    authModal: document.getElementById('authModal'),
+    authForm: document.getElementById('authForm'),
+    authUsername: document.getElementById('authUsername'),
+    authPassword: document.getElementById('authPassword'),
+    authError: document.getElementById('authError'),
+    registerButton: document.getElementById('registerButton'),
+    guestButton: document.getElementById('guestButton'),
     
     // Sidebar
+    roomsContainer: document.getElementById('roomsContainer'),
+    roomInput: document.getElementById('roomInput'),
+    joinRoomBtn: document.getElementById('joinRoomBtn'),
+    currentRoomName: document.getElementById('currentRoomName'),
     activeUsersCount: document.getElementById('activeUsersCount'),
     usersContainer: document.getElementById('usersContainer'),
     clearChatBtn: document.getElementById('clearChatBtn'),
+    exportChatBtn: document.getElementById('exportChatBtn'),
+    exportPanel: document.getElementById('exportPanel'),
+    exportFormat: document.getElementById('exportFormat'),
+    exportSince: document.getElementById('exportSince'),
+    exportUntil: document.getElementById('exportUntil'),
     
     // Chat
+    conversationTitle: document.getElementById('conversationTitle'),
+    closeDmBtn: document.getElementById('closeDmBtn'),
+    roomTopic: document.getElementById('roomTopic'),
     messagesContainer: document.getElementById('messagesContainer'),
+    jumpLatestBtn: document.getElementById('jumpLatestBtn'),
     typingIndicator: document.getElementById('typingIndicator'),
     typingText: document.getElementById('typingText'),
     
@@ -62,9 +173,25 @@ const elements = {
     userAvatar: document.getElementById('userAvatar'),
     avatarText: document.getElementById('avatarText'),
     usernameInput: document.getElementById('usernameInput'),
+    statusSelect: document.getElementById('statusSelect'),
+    statusTextInput: document.getElementById('statusTextInput'),
     messageInput: document.getElementById('messageInput'),
     sendButton: document.getElementById('sendButton'),
     charCount: document.getElementById('charCount'),
+    composerNotice: document.getElementById('composerNotice'),
+    composerPreview: document.getElementById('composerPreview'),
+    previewToggle: document.getElementById('previewToggle'),
+    mentionSuggestions: document.getElementById('mentionSuggestions'),
+    attachButton: document.getElementById('attachButton'),
+    fileInput: document.getElementById('fileInput'),
+    attachmentTray: document.getElementById('attachmentTray'),
+    
+    // Thread panel
+    threadPanel: document.getElementById('threadPanel'),
+    threadMessages: document.getElementById('threadMessages'),
+    threadInput: document.getElementById('threadInput'),
+    threadSendBtn: document.getElementById('threadSendBtn'),
+    closeThreadBtn: document.getElementById('closeThreadBtn'),
     
     // Footer
     serverInfo: document.getElementById('serverInfo')
@@ -90,6 +217,108 @@ const utils = {
         });
     },
     
+    // "just now", "5 min ago", "3 h ago", then the date
+    formatLastSeen: (timestamp) => {
+        const minutes = Math.floor((Date.now() - Date.parse(timestamp)) / 60000);
+        if (!(minutes >= 1)) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+        return new Date(timestamp).toLocaleDateString();
+    },
+    
+    // REST calls go to the same server the socket talks to
+    apiUrl: (path) => isProduction ? path : `http://localhost:3000${path}`,
+    
+    // The session token for REST calls, which the server wants when guests are off
+    authHeaders: () => {
+        const token = localStorage.getItem('authToken');
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    },
+    
+    // Stored files, with the upload token when the server wants one to show them
+    fileUrl: (path) => state.privateFiles && state.uploadToken
+        ? utils.apiUrl(`${path}?token=${encodeURIComponent(state.uploadToken)}`)
+        : utils.apiUrl(path),
+    
+    // Identifies a message before the server has assigned it a messageId
+    createClientId: () => {
+        const bytes = crypto.getRandomValues(new Uint8Array(12));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+    
+    formatBytes: (bytes) => {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    },
+    
+    // Same "type/*" wildcard rule as the server; an empty list means unknown, so allow
+    isAllowedFileType: (type) => {
+        const allowed = state.uploadLimits.allowedTypes;
+        if (!allowed || allowed.length === 0) return true;
+        return allowed.some(entry => entry.endsWith('/*')
+            ? type.startsWith(entry.slice(0, -1))
+            : type === entry);
+    },
+    
+    // Same rule as the server: "//text" is an escaped slash, not a command
+    isCommand: (text) => text.startsWith('/') && !text.startsWith('//'),
+    
+    escapeRegExp: (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+    
+    // "deploy from:alice in:#ops after:2026-01-01" -> /api/search parameters
+    parseSearchInput: (text) => {
+        const filters = { from: 'author', in: 'room', after: 'since', before: 'until' };
+        const params = new URLSearchParams();
+        const terms = [];
+        
+        text.trim().split(/\s+/).filter(Boolean).forEach(word => {
+            const filter = word.match(/^(from|in|after|before):(.+)$/i);
+            if (filter) {
+                params.set(filters[filter[1].toLowerCase()], filter[2].replace(/^[@#]/, ''));
+            } else {
+                terms.push(word);
+            }
+        });
+        
+        if (terms.length) params.set('q', terms.join(' '));
+        return params;
+    },
+    
+    // Escaped snippet text with the server's highlight ranges wrapped in <mark>
+    highlightSnippet: ({ text, highlights }) => {
+        let html = '';
+        let position = 0;
+        highlights.forEach(([start, end]) => {
+            html += utils.escapeHtml(text.slice(position, start)) + `<mark>${utils.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + utils.escapeHtml(text.slice(position));
+    },
+    
+    // Wraps the resolved @mentions in already-escaped message HTML
+    highlightMentions: (html, mentions) => {
+        if (!mentions || mentions.length === 0) return html;
+        
+        const names = mentions
+            .map(mention => utils.escapeRegExp(utils.escapeHtml(mention.username)))
+            .sort((a, b) => b.length - a.length);
+        const pattern = new RegExp(`@(${names.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+        
+        return html.replace(pattern, (match, name) => {
+            const mention = mentions.find(entry => utils.escapeHtml(entry.username).toLowerCase() === name.toLowerCase());
+            const isMe = mention && mention.userId === state.identityId;
+            return `<span class="mention ${isMe ? 'mention-me' : ''}">${match}</span>`;
+        });
+    },
+    
+    // Asked on a user gesture (sending a message), as browsers require
+    requestNotificationPermission: () => {
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().catch(() => {});
+        }
+    },
+    
     escapeHtml: (text) => {
         if (!text) return '';
         const div = document.createElement('div');
@@ -136,6 +365,8 @@ const ui = {
             elements.themeToggle.innerHTML = '<i class="fas fa-sun"></i>';
         }
         
+        ui.updateFormatToggle();
+        
         // Set initial avatar
         ui.updateUserAvatar();
         
@@ -145,50 +376,208 @@ const ui = {
         // Show connection status
         ui.updateConnectionStatus('connecting');
         
+        // Whether the sign-in dialog may offer guest access
+        fetch(utils.apiUrl('/api/auth/config'))
+            .then(res => res.json())
+            .then(data => {
+                state.guestsAllowed = data.guestsAllowed !== false;
+            })
+            .catch(error => console.error('Failed to load auth config:', error));
+        
         console.log('🚀 SocketChat Client initialized');
     },
     
     setupEventListeners: () => {
         // Theme toggle
         elements.themeToggle.addEventListener('click', ui.toggleTheme);
+        elements.formatToggle.addEventListener('click', ui.togglePlainText);
+        elements.previewToggle.addEventListener('click', ui.togglePreview);
+        
+        // Sign in / sign out
+        elements.authButton.addEventListener('click', () => {
+            if (state.guest) {
+                ui.showAuthModal();
+            } else {
+                ui.signOut();
+            }
+        });
+        
+        elements.authForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            ui.authenticate('login');
+        });
+        
+        elements.registerButton.addEventListener('click', () => {
+            ui.authenticate('register');
+        });
+        
+        elements.guestButton.addEventListener('click', () => {
+            ui.hideAuthModal();
+            if (!socket.connected) socket.connect();
+        });
         
         // Message input
         elements.messageInput.addEventListener('input', () => {
             const length = elements.messageInput.value.length;
             elements.charCount.textContent = length;
             
-            // Show typing indicator
-            if (length > 0 && !state.isTyping) {
-                socket.emit('typing', state.username);
+            // Show typing indicator (rooms only)
+            if (length > 0 && !state.dmUser && (!state.isTyping || Date.now() - state.typingSentAt > TYPING_REFRESH_MS)) {
+                socket.emit('typing', { room: state.currentRoom });
                 state.isTyping = true;
+                state.typingSentAt = Date.now();
             }
             
+            ui.updateMentionSuggestions();
+            ui.updatePreview();
+            
             // Clear typing indicator after timeout
             clearTimeout(state.typingTimeout);
             state.typingTimeout = setTimeout(() => {
                 if (state.isTyping) {
-                    socket.emit('stop-typing');
-                    state.isTyping = false;
+                    ui.stopTyping();
                 }
             }, 1500);
         });
         
         elements.messageInput.addEventListener('keydown', (e) => {
+            if (ui.handleMentionKey(e)) return;
+            
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 ui.sendMessage();
             }
         });
         
+        elements.messageInput.addEventListener('click', ui.updateMentionSuggestions);
+        elements.messageInput.addEventListener('blur', ui.hideMentionSuggestions);
+        
+        // mousedown rather than click, so the input keeps its focus and caret
+        elements.mentionSuggestions.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            ui.acceptMention(Number(option.dataset.index));
+        });
+        
         // Send button
         elements.sendButton.addEventListener('click', ui.sendMessage);
         
+        // Attachments: the paperclip, dropping files on the input, or pasting them
+        elements.attachButton.addEventListener('click', () => elements.fileInput.click());
+        elements.fileInput.addEventListener('change', () => {
+            ui.addFiles(elements.fileInput.files);
+            elements.fileInput.value = '';
+        });
+        
+        elements.messageInput.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            elements.messageInput.classList.add('drop-target');
+        });
+        elements.messageInput.addEventListener('dragleave', () => {
+            elements.messageInput.classList.remove('drop-target');
+        });
+        elements.messageInput.addEventListener('drop', (e) => {
+            elements.messageInput.classList.remove('drop-target');
+            if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            ui.addFiles(e.dataTransfer.files);
+        });
+        
+        elements.messageInput.addEventListener('paste', (e) => {
+            const files = e.clipboardData ? Array.from(e.clipboardData.files) : [];
+            if (files.length === 0) return;
+            e.preventDefault();
+            ui.addFiles(files);
+        });
+        
+        elements.attachmentTray.addEventListener('click', (e) => {
+            const button = e.target.closest('.attachment-remove');
+            if (button) ui.removeUpload(button.dataset.uploadId);
+        });
+        
+        // Scrolling to the top loads older history, and to the bottom newer history
+        // when an older stretch of the room is shown
+        elements.messagesContainer.addEventListener('scroll', () => {
+            const container = elements.messagesContainer;
+            if (container.scrollTop < 50) {
+                ui.loadOlderMessages();
+            } else if (container.scrollHeight - container.scrollTop - container.clientHeight < 50) {
+                ui.loadNewerMessages();
+            }
+        });
+        
+        elements.jumpLatestBtn.addEventListener('click', () => {
+            ui.showLatest(state.currentRoom);
+        });
+        
+        // Message search
+        elements.searchInput.addEventListener('input', () => {
+            clearTimeout(state.searchTimer);
+            state.searchTimer = setTimeout(ui.search, SEARCH_DEBOUNCE_MS);
+        });
+        
+        elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                clearTimeout(state.searchTimer);
+                ui.search();
+            } else if (e.key === 'Escape') {
+                elements.searchInput.value = '';
+                state.search = null;
+                ui.hideSearchResults();
+            }
+        });
+        
+        elements.searchInput.addEventListener('focus', () => {
+            if (state.search) elements.searchResults.hidden = false;
+        });
+        
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.header-search')) ui.hideSearchResults();
+        });
+        
         // Clear chat button
         elements.clearChatBtn.addEventListener('click', () => {
             if (confirm('Clear all messages in this chat?')) {
-                state.messages = [];
-                elements.messagesContainer.innerHTML = '';
-                ui.showSystemMessage('Chat cleared', 'info');
+                ui.clearChat();
+            }
+        });
+        
+        elements.exportChatBtn.addEventListener('click', () => {
+            elements.exportPanel.hidden = !elements.exportPanel.hidden;
+        });
+        
+        elements.exportPanel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            ui.exportChat();
+        });
+        
+        // Leave the direct message view
+        elements.closeDmBtn.addEventListener('click', () => {
+            ui.switchRoom(state.currentRoom);
+        });
+        
+        // Thread panel
+        elements.closeThreadBtn.addEventListener('click', ui.closeThread);
+        elements.threadSendBtn.addEventListener('click', ui.sendReply);
+        elements.threadInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                ui.sendReply();
+            } else if (e.key === 'Escape') {
+                ui.closeThread();
+            }
+        });
+        
+        // Join / create room
+        elements.joinRoomBtn.addEventListener('click', () => {
+            ui.joinRoom(elements.roomInput.value);
+        });
+        
+        elements.roomInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                ui.joinRoom(elements.roomInput.value);
             }
         });
         
@@ -209,6 +598,29 @@ const ui = {
             }
         });
         
+        // Status picker
+        elements.statusSelect.addEventListener('change', () => {
+            ui.setStatus(elements.statusSelect.value, state.statusText);
+        });
+        
+        elements.statusTextInput.addEventListener('change', () => {
+            const text = elements.statusTextInput.value.trim();
+            if (text !== state.statusText) {
+                ui.setStatus(state.status, text);
+            }
+        });
+        
+        elements.statusTextInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                elements.statusTextInput.blur();
+            }
+        });
+        
+        // Any input marks the tab active again; see the idle check in DOMContentLoaded
+        ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, ui.markActive, { passive: true });
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Ctrl+K to focus input
@@ -229,8 +641,7 @@ const ui = {
                 elements.messageInput.value = '';
                 elements.charCount.textContent = '0';
                 if (state.isTyping) {
-                    socket.emit('stop-typing');
-                    state.isTyping = false;
+                    ui.stopTyping();
                 }
             }
         });
@@ -244,12 +655,73 @@ const ui = {
         
         window.addEventListener('blur', () => {
             if (state.isTyping) {
-                socket.emit('stop-typing');
-                state.isTyping = false;
+                ui.stopTyping();
             }
         });
     },
     
+    showAuthModal: (message = '') => {
+        elements.authError.textContent = message;
+        elements.guestButton.hidden = !state.guestsAllowed;
+        elements.authModal.classList.add('active');
+        elements.authUsername.focus();
+    },
+    
+    hideAuthModal: () => {
+        elements.authModal.classList.remove('active');
+        elements.authError.textContent = '';
+        elements.authPassword.value = '';
+    },
+    
+    authenticate: (action) => {
+        const username = elements.authUsername.value.trim();
+        const password = elements.authPassword.value;
+        
+        fetch(utils.apiUrl(`/api/auth/${action}`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        })
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) {
+                    elements.authError.textContent = data.error || 'Authentication failed';
+                    return;
+                }
+                
+                localStorage.setItem('authToken', data.token);
+                ui.hideAuthModal();
+                ui.reconnect();
+                utils.showToast(`Signed in as ${utils.escapeHtml(data.user.username)}`, 'success');
+            })
+            .catch(error => {
+                console.error('Authentication error:', error);
+                elements.authError.textContent = 'Could not reach the server';
+            });
+    },
+    
+    signOut: () => {
+        localStorage.removeItem('authToken');
+        ui.reconnect();
+        utils.showToast('Signed out', 'info');
+    },
+    
+    // A fresh handshake picks up the current token
+    reconnect: () => {
+        socket.disconnect();
+        socket.connect();
+    },
+    
+    updateAuthState: () => {
+        elements.authButton.title = state.guest ? 'Sign In' : 'Sign Out';
+        elements.authButton.innerHTML = state.guest
+            ? '<i class="fas fa-sign-in-alt"></i>'
+            : '<i class="fas fa-sign-out-alt"></i>';
+        
+        // Account names are fixed; only guests pick their own
+        elements.usernameInput.readOnly = !state.guest;
+    },
+    
     toggleTheme: () => {
         const isDark = document.body.classList.toggle('dark-mode');
         state.theme = isDark ? 'dark' : 'light';
@@ -262,136 +734,1254 @@ const ui = {
         utils.showToast(`Theme changed to ${state.theme} mode`, 'info');
     },
     
+    // Per-user preference: show everyone's messages without Markdown formatting
+    togglePlainText: () => {
+        state.plainText = !state.plainText;
+        localStorage.setItem('plainText', state.plainText);
+        
+        ui.updateFormatToggle();
+        ui.renderMessages();
+        ui.renderThread();
+        utils.showToast(state.plainText ? 'Showing messages as plain text' : 'Showing formatted messages', 'info');
+    },
+    
+    updateFormatToggle: () => {
+        elements.formatToggle.classList.toggle('active', state.plainText);
+        elements.formatToggle.title = state.plainText ? 'Show formatted messages' : 'Show messages as plain text';
+        elements.formatToggle.innerHTML = state.plainText
+            ? '<i class="fas fa-font"></i>'
+            : '<i class="fas fa-code"></i>';
+    },
+    
+    togglePreview: () => {
+        state.showPreview = !state.showPreview;
+        elements.previewToggle.classList.toggle('active', state.showPreview);
+        ui.updatePreview();
+        elements.messageInput.focus();
+    },
+    
+    updatePreview: () => {
+        const text = elements.messageInput.value.trim();
+        elements.composerPreview.hidden = !state.showPreview || !text;
+        if (!elements.composerPreview.hidden) {
+            elements.composerPreview.innerHTML = ui.renderMessageBody({ message: text });
+        }
+    },
+    
+    // Message text as HTML: escaped plain text, or sanitized Markdown
+    renderMessageBody: (data) => {
+        const decorate = (html) => utils.highlightMentions(html, data.mentions);
+        const body = state.plainText
+            ? decorate(utils.escapeHtml(data.message))
+            : markdown.render(data.message, { decorateText: decorate });
+        
+        // "/me waves" reads as "* alice waves", inside the first paragraph if there is one
+        if (!data.action) return body;
+        const actor = `<span class="action-actor">* ${utils.escapeHtml(data.username || 'Anonymous')}</span> `;
+        return body.startsWith('<p>') ? body.replace('<p>', `<p>${actor}`) : actor + body;
+    },
+    
     sendMessage: () => {
         const message = elements.messageInput.value.trim();
-        if (!message) return;
+        if (state.uploads.some(upload => !upload.attachment && !upload.error)) {
+            utils.showToast('Please wait for your uploads to finish', 'warning');
+            return;
+        }
+        const attachments = state.uploads.filter(upload => upload.attachment).map(upload => upload.attachment);
+        if (!message && attachments.length === 0) return;
+        
+        utils.requestNotificationPermission();
+        ui.hideMentionSuggestions();
         
-        socket.emit('send-message', {
+        // Sending brings the room back to its latest messages
+        if (!state.dmUser && state.detachedRooms[state.currentRoom]) {
+            ui.showLatest(state.currentRoom);
+        }
+        
+        // Commands only exist in rooms; in a direct message "/..." is just text
+        if (!state.dmUser && utils.isCommand(message)) {
+            ui.runCommand(message, { room: state.currentRoom, attachments });
+            ui.resetComposer();
+            return;
+        }
+        
+        // Shown straight away as pending; the server's ack fills in the rest
+        const pending = {
+            clientId: utils.createClientId(),
+            id: state.userId,
+            userId: state.identityId,
+            username: state.username,
             message: message,
-            username: state.username
-        });
+            attachments: attachments.length ? attachments : undefined,
+            time: utils.formatTime(),
+            timestamp: new Date().toISOString(),
+            status: 'pending'
+        };
+        
+        if (state.dmUser) {
+            ui.addDirectMessage({ ...pending, to: state.dmUser.id, toUsername: state.dmUser.username });
+        } else {
+            ui.addMessage({ ...pending, room: state.currentRoom });
+        }
+        ui.deliverMessage(pending.clientId);
         
+        ui.resetComposer();
+    },
+    
+    resetComposer: () => {
         elements.messageInput.value = '';
         elements.charCount.textContent = '0';
+        state.uploads = [];
+        ui.renderAttachmentTray();
+        ui.updatePreview();
         
         if (state.isTyping) {
-            socket.emit('stop-typing');
-            state.isTyping = false;
+            ui.stopTyping();
         }
         
         elements.messageInput.focus();
     },
     
-    updateConnectionStatus: (status) => {
-        switch(status) {
-            case 'connecting':
-                elements.statusIndicator.className = 'status-indicator connecting';
-                elements.connectionStatus.textContent = 'Connecting...';
-                elements.serverInfo.textContent = 'Establishing connection...';
-                break;
-            case 'connected':
-                elements.statusIndicator.className = 'status-indicator connected';
-                elements.connectionStatus.textContent = 'Connected';
-                elements.serverInfo.textContent = isProduction 
-                    ? `Connected to ${window.location.hostname}`
-                    : 'Connected to local server';
-                break;
-            case 'disconnected':
-                elements.statusIndicator.className = 'status-indicator';
-                elements.connectionStatus.textContent = 'Disconnected';
-                elements.serverInfo.textContent = 'Disconnected from server';
-                break;
-            case 'error':
-                elements.statusIndicator.className = 'status-indicator error';
-                elements.connectionStatus.textContent = 'Connection Error';
-                elements.serverInfo.textContent = 'Connection error - Retrying...';
-                break;
-            case 'reconnecting':
-                elements.statusIndicator.className = 'status-indicator reconnecting';
-                elements.connectionStatus.textContent = 'Reconnecting...';
-                elements.serverInfo.textContent = 'Reconnecting to server...';
-                break;
-        }
+    // ----- Slash commands -----
+    // Replies arrive as 'command-reply'; commands like /me come back as normal messages
+    runCommand: (text, { room, parentId, attachments = [] }) => {
+        const payload = {
+            room,
+            message: text,
+            parentId,
+            attachments: attachments.length ? attachments.map(attachment => attachment.id) : undefined,
+            clientId: utils.createClientId()
+        };
+        
+        socket.timeout(ACK_TIMEOUT_MS).emit('send-message', payload, (err, response) => {
+            if (err || !response) {
+                utils.showToast('The command timed out, please try again', 'error');
+                return;
+            }
+            if (!response.success) {
+                ui.showSystemMessage(`⚠️ ${utils.escapeHtml(response.error)}`, 'error', room);
+                return;
+            }
+            if (response.action === 'clear') {
+                ui.clearChat();
+            }
+        });
     },
     
-    updateUserCount: (count) => {
-        elements.userCount.textContent = count;
-        elements.activeUsersCount.textContent = count;
+    clearChat: () => {
+        state.messages = state.messages.filter(message => message.room !== state.currentRoom);
+        elements.messagesContainer.innerHTML = '';
+        ui.showSystemMessage('Chat cleared', 'info');
     },
     
-    updateActiveUsers: (users) => {
-        state.activeUsers = users;
-        elements.usersContainer.innerHTML = '';
+    // Downloads the conversation on screen; the dates are whole days in local time
+    exportChat: () => {
+        const params = new URLSearchParams({ format: elements.exportFormat.value });
+        if (elements.exportSince.value) {
+            params.set('since', new Date(`${elements.exportSince.value}T00:00:00`).toISOString());
+        }
+        if (elements.exportUntil.value) {
+            params.set('until', new Date(`${elements.exportUntil.value}T23:59:59.999`).toISOString());
+        }
         
-        if (!users || users.length === 0) {
-            elements.usersContainer.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-user-clock"></i>
-                    <p>No other users online</p>
-                </div>
-            `;
+        const download = (href, filename) => {
+            const link = document.createElement('a');
+            link.href = href;
+            if (filename) link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        };
+        
+        // Rooms stream straight to disk while anyone may read them
+        const roomUrl = utils.apiUrl(`/api/transcripts/rooms/${encodeURIComponent(state.currentRoom)}?${params}`);
+        if (!state.dmUser && state.guestsAllowed) {
+            download(roomUrl);
+            elements.exportPanel.hidden = true;
             return;
         }
         
-        users.forEach(user => {
-            if (!user || !user.id) return;
-            
-            const isCurrentUser = user.id === state.userId;
-            const userEl = document.createElement('div');
-            userEl.className = `user-item ${isCurrentUser ? 'current-user' : ''}`;
-            userEl.innerHTML = `
-                <div class="user-avatar" style="background: linear-gradient(135deg, ${utils.generateColorFromId(user.id)}, ${utils.generateColorFromId(user.id + '2')})">
-                    ${utils.getInitials(user.username || 'User')}
-                </div>
-                <div class="user-details">
-                    <div class="user-name">${utils.escapeHtml(user.username || 'User')} ${isCurrentUser ? '(You)' : ''}</div>
-                    <div class="user-status">Online</div>
-                </div>
-            `;
-            
-            if (!isCurrentUser) {
-                userEl.addEventListener('click', () => {
-                    elements.messageInput.value = `@${user.username || 'User'} ${elements.messageInput.value}`;
-                    elements.messageInput.focus();
+        // Otherwise they, like direct messages, need the session token, which a plain link can't send
+        const token = localStorage.getItem('authToken');
+        if (state.dmUser && (state.guest || !token || !state.dmUser.userId)) {
+            utils.showToast('Sign in to export direct messages', 'warning');
+            return;
+        }
+        
+        const url = state.dmUser
+            ? utils.apiUrl(`/api/transcripts/direct/${encodeURIComponent(state.dmUser.userId)}?${params}`)
+            : roomUrl;
+        fetch(url, { headers: utils.authHeaders() })
+            .then(res => {
+                if (!res.ok) return res.json().then(data => { throw new Error(data.error); });
+                
+                const disposition = res.headers.get('Content-Disposition') || '';
+                const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || 'transcript';
+                return res.blob().then(blob => {
+                    const url = URL.createObjectURL(blob);
+                    download(url, filename);
+                    setTimeout(() => URL.revokeObjectURL(url), 1000);
                 });
+            })
+            .then(() => {
+                elements.exportPanel.hidden = true;
+            })
+            .catch(error => {
+                console.error('Export failed:', error);
+                utils.showToast(error.message || 'Could not export this conversation', 'error');
+            });
+    },
+    
+    // ----- Attachments -----
+    addFiles: (files) => {
+        Array.from(files).forEach(file => {
+            if (state.uploads.length >= ATTACHMENTS_MAX) {
+                utils.showToast(`You can attach at most ${ATTACHMENTS_MAX} files to a message`, 'warning');
+                return;
+            }
+            if (file.size > state.uploadLimits.maxBytes) {
+                utils.showToast(`${utils.escapeHtml(file.name)} is larger than ${utils.formatBytes(state.uploadLimits.maxBytes)}`, 'error');
+                return;
+            }
+            if (!utils.isAllowedFileType(file.type)) {
+                utils.showToast(`${utils.escapeHtml(file.name)} is not a file type you can share here`, 'error');
+                return;
             }
             
-            elements.usersContainer.appendChild(userEl);
+            const upload = { id: utils.createClientId(), name: file.name, size: file.size, progress: 0, attachment: null, error: null };
+            state.uploads.push(upload);
+            ui.uploadFile(upload, file);
         });
+        ui.renderAttachmentTray();
+        elements.messageInput.focus();
     },
     
-    addMessage: (data) => {
-        const isSystem = data.type === 'system';
-        const isSelf = data.id === state.userId;
+    // XMLHttpRequest rather than fetch, for upload progress events
+    uploadFile: (upload, file) => {
+        const form = new FormData();
+        form.append('file', file, file.name);
         
-        const messageEl = document.createElement('div');
-        messageEl.className = `message ${isSystem ? 'system' : isSelf ? 'self' : 'other'}`;
+        const xhr = new XMLHttpRequest();
+        upload.xhr = xhr;
+        xhr.open('POST', utils.apiUrl('/api/uploads'));
+        xhr.setRequestHeader('Authorization', `Bearer ${state.uploadToken}`);
+        xhr.responseType = 'json';
         
-        if (!isSystem) {
-            messageEl.innerHTML = `
-                <div class="message-content">
-                    <div class="message-header">
-                        <span class="message-sender">${utils.escapeHtml(data.username || 'Anonymous')}</span>
-                        <span class="message-time">${data.time || utils.formatTime()}</span>
-                    </div>
-                    <div class="message-bubble">${utils.escapeHtml(data.message)}</div>
-                </div>
-            `;
-        } else {
-            messageEl.innerHTML = `
-                <div class="message-content">
-                    <div class="message-bubble">${data.message}</div>
-                </div>
-            `;
-        }
+        xhr.upload.addEventListener('progress', (e) => {
+            if (!e.lengthComputable) return;
+            upload.progress = e.loaded / e.total;
+            ui.renderAttachmentTray();
+        });
+        xhr.addEventListener('load', () => {
+            const body = xhr.response || {};
+            if (xhr.status === 201 && body.attachment) {
+                upload.attachment = body.attachment;
+                upload.progress = 1;
+            } else {
+                upload.error = body.error || 'Upload failed';
+                utils.showToast(utils.escapeHtml(`${upload.name}: ${upload.error}`), 'error');
+            }
+            ui.renderAttachmentTray();
+        });
+        xhr.addEventListener('error', () => {
+            upload.error = 'Upload failed';
+            utils.showToast(utils.escapeHtml(`${upload.name}: ${upload.error}`), 'error');
+            ui.renderAttachmentTray();
+        });
         
-        // Remove welcome message if it exists
-        const welcomeMessage = elements.messagesContainer.querySelector('.welcome-message');
-        if (welcomeMessage && state.messages.length > 0) {
-            welcomeMessage.style.display = 'none';
+        xhr.send(form);
+    },
+    
+    removeUpload: (id) => {
+        const upload = state.uploads.find(entry => entry.id === id);
+        if (!upload) return;
+        
+        if (!upload.attachment && !upload.error) upload.xhr.abort();
+        state.uploads = state.uploads.filter(entry => entry !== upload);
+        ui.renderAttachmentTray();
+    },
+    
+    renderAttachmentTray: () => {
+        elements.attachmentTray.hidden = state.uploads.length === 0;
+        elements.attachmentTray.innerHTML = state.uploads.map(upload => `
+            <div class="attachment-chip ${upload.error ? 'failed' : upload.attachment ? 'done' : 'uploading'}"
+                 title="${markdown.escape(upload.error || upload.name)}">
+                <i class="fas ${upload.error ? 'fa-exclamation-circle' : 'fa-paperclip'}"></i>
+                <span class="attachment-name">${utils.escapeHtml(upload.name)}</span>
+                <span class="attachment-size">${utils.formatBytes(upload.size)}</span>
+                <button class="attachment-remove" type="button" data-upload-id="${upload.id}" title="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+                <span class="attachment-progress" style="width: ${Math.round(upload.progress * 100)}%"></span>
+            </div>
+        `).join('');
+    },
+    
+    // Image previews and download cards for a message's attachments
+    renderAttachments: (data) => {
+        if (!data.attachments || data.attachments.length === 0) return '';
+        
+        // markdown.escape also escapes quotes, as these values end up in attributes
+        const items = data.attachments.map(attachment => {
+            const url = markdown.escape(utils.fileUrl(attachment.url));
+            const name = markdown.escape(attachment.name);
+            
+            if (attachment.kind === 'image') {
+                const preview = markdown.escape(utils.fileUrl(attachment.thumbnailUrl || attachment.url));
+                return `
+                    <a class="attachment-image" href="${url}" target="_blank" rel="noopener noreferrer" title="${name}">
+                        <img src="${preview}" alt="${name}" loading="lazy">
+                    </a>
+                `;
+            }
+            return `
+                <a class="attachment-file" href="${url}" download="${name}" rel="noopener noreferrer">
+                    <i class="fas fa-file-alt"></i>
+                    <span class="attachment-name">${name}</span>
+                    <span class="attachment-size">${utils.formatBytes(attachment.size)}</span>
+                    <i class="fas fa-download"></i>
+                </a>
+            `;
+        });
+        
+        return `<div class="message-attachments">${items.join('')}</div>`;
+    },
+    
+    // ----- @mention and /command autocomplete -----
+    updateMentionSuggestions: () => {
+        const input = elements.messageInput;
+        const beforeCaret = input.value.slice(0, input.selectionStart);
+        if (state.dmUser) return ui.hideMentionSuggestions();
+        
+        if (utils.isCommand(input.value)) {
+            return ui.updateCommandSuggestions(beforeCaret);
+        }
+        
+        const match = beforeCaret.match(/(?:^|\s)@([^\s@]*)$/);
+        if (!match) return ui.hideMentionSuggestions();
+        
+        const query = match[1].toLowerCase();
+        const seen = new Set();
+        const matches = state.activeUsers
+            .filter(user => {
+                if (!user.username || user.status === 'offline' || user.userId === state.identityId || seen.has(user.userId)) return false;
+                seen.add(user.userId);
+                return user.username.toLowerCase().startsWith(query);
+            })
+            .slice(0, 8);
+        
+        if (matches.length === 0) return ui.hideMentionSuggestions();
+        
+        state.mentionSuggest = { kind: 'mention', start: input.selectionStart - match[1].length - 1, matches, index: 0 };
+        ui.renderMentionSuggestions();
+    },
+    
+    // Command names while the first word is typed, then that command's arguments as a hint
+    updateCommandSuggestions: (beforeCaret) => {
+        const typingName = beforeCaret.match(/^\/(\S*)$/);
+        if (typingName) {
+            const query = typingName[1].toLowerCase();
+            const matches = state.commands.filter(command => command.name.startsWith(query));
+            if (matches.length === 0) return ui.hideMentionSuggestions();
+            
+            state.mentionSuggest = { kind: 'command', start: 0, matches, index: 0 };
+            return ui.renderMentionSuggestions();
+        }
+        
+        const typed = beforeCaret.match(/^\/(\S+)\s/);
+        const command = typed && state.commands.find(entry => entry.name === typed[1].toLowerCase());
+        if (!command || command.args.length === 0) return ui.hideMentionSuggestions();
+        
+        state.mentionSuggest = { kind: 'hint', start: 0, matches: [command], index: -1 };
+        ui.renderMentionSuggestions();
+    },
+    
+    renderMentionSuggestions: () => {
+        const { kind, matches, index } = state.mentionSuggest;
+        
+        if (kind !== 'mention') {
+            elements.mentionSuggestions.innerHTML = matches.map((command, i) => `
+                <li class="mention-option command-option ${i === index ? 'active' : ''} ${kind === 'hint' ? 'command-hint' : ''}"
+                    ${kind === 'command' ? `data-index="${i}" role="option"` : ''}>
+                    <code class="command-usage">${utils.escapeHtml(command.usage)}</code>
+                    <span class="command-description">${utils.escapeHtml(command.description)}</span>
+                </li>
+            `).join('');
+            elements.mentionSuggestions.hidden = false;
+            return;
+        }
+        
+        elements.mentionSuggestions.innerHTML = matches.map((user, i) => `
+            <li class="mention-option ${i === index ? 'active' : ''}" data-index="${i}" role="option">
+                <span class="mention-avatar" style="background: ${utils.generateColorFromId(user.id)}">${utils.getInitials(user.username)}</span>
+                ${utils.escapeHtml(user.username)}
+            </li>
+        `).join('');
+        elements.mentionSuggestions.hidden = false;
+    },
+    
+    hideMentionSuggestions: () => {
+        state.mentionSuggest = null;
+        elements.mentionSuggestions.hidden = true;
+    },
+    
+    // Returns true when the key was used by the open suggestion list
+    handleMentionKey: (e) => {
+        const suggest = state.mentionSuggest;
+        // An argument hint is only there to read; keys go to the input as usual
+        if (!suggest || suggest.kind === 'hint') return false;
+        
+        const count = suggest.matches.length;
+        switch (e.key) {
+            case 'ArrowDown':
+                suggest.index = (suggest.index + 1) % count;
+                break;
+            case 'ArrowUp':
+                suggest.index = (suggest.index - 1 + count) % count;
+                break;
+            case 'Enter':
+            case 'Tab':
+                e.preventDefault();
+                ui.acceptMention(suggest.index);
+                return true;
+            case 'Escape':
+                ui.hideMentionSuggestions();
+                return true;
+            default:
+                return false;
+        }
+        
+        e.preventDefault();
+        ui.renderMentionSuggestions();
+        return true;
+    },
+    
+    acceptMention: (index) => {
+        const suggest = state.mentionSuggest;
+        const match = suggest && suggest.matches[index];
+        if (!match || suggest.kind === 'hint') return;
+        
+        const input = elements.messageInput;
+        const inserted = suggest.kind === 'command' ? `/${match.name} ` : `@${match.username} `;
+        input.value = input.value.slice(0, suggest.start) + inserted + input.value.slice(input.selectionStart);
+        
+        const caret = suggest.start + inserted.length;
+        input.setSelectionRange(caret, caret);
+        elements.charCount.textContent = input.value.length;
+        ui.hideMentionSuggestions();
+        ui.updatePreview();
+        input.focus();
+        
+        // Go straight on to the argument hint
+        if (suggest.kind === 'command') ui.updateMentionSuggestions();
+    },
+    
+    // ----- Mention notifications -----
+    mentionsMe: (data) => {
+        return !ui.isOwnMessage(data) && (data.mentions || []).some(mention => mention.userId === state.identityId);
+    },
+    
+    notifyMention: (data) => {
+        const inView = document.visibilityState === 'visible' &&
+            !state.dmUser && data.room === state.currentRoom && !data.parentId;
+        if (inView) return;
+        
+        const where = data.parentId ? `a thread in #${data.room}` : `#${data.room}`;
+        if (document.visibilityState !== 'visible') {
+            state.unreadMentions += 1;
+            ui.updateTitleBadge();
+            
+            if ('Notification' in window && Notification.permission === 'granted' && !ui.notificationsPaused()) {
+                const notification = new Notification(`${data.username || 'Someone'} mentioned you in ${where}`, {
+                    body: data.message,
+                    tag: data.messageId
+                });
+                notification.onclick = () => {
+                    window.focus();
+                    if (data.parentId) {
+                        ui.openThread(data.parentId);
+                    } else if (data.room !== state.currentRoom || state.dmUser) {
+                        ui.switchRoom(data.room);
+                    }
+                    notification.close();
+                };
+            }
+        } else if (!ui.notificationsPaused()) {
+            utils.showToast(`${utils.escapeHtml(data.username || 'Someone')} mentioned you in ${utils.escapeHtml(where)}`, 'info');
+        }
+    },
+    
+    updateTitleBadge: () => {
+        document.title = state.unreadMentions > 0 ? `(${state.unreadMentions}) ${state.baseTitle}` : state.baseTitle;
+    },
+    
+    sendReply: () => {
+        const message = elements.threadInput.value.trim();
+        if (!message || !state.thread) return;
+        
+        if (utils.isCommand(message)) {
+            ui.runCommand(message, { room: state.thread.room, parentId: state.thread.messageId });
+            elements.threadInput.value = '';
+            return;
+        }
+        
+        const pending = {
+            clientId: utils.createClientId(),
+            parentId: state.thread.messageId,
+            id: state.userId,
+            userId: state.identityId,
+            username: state.username,
+            room: state.thread.room,
+            message: message,
+            time: utils.formatTime(),
+            timestamp: new Date().toISOString(),
+            status: 'pending'
+        };
+        
+        ui.addMessage(pending);
+        ui.deliverMessage(pending.clientId);
+        
+        elements.threadInput.value = '';
+        elements.threadInput.focus();
+    },
+    
+    // (Re)sends a locally stored message; the clientId makes retries safe
+    deliverMessage: (clientId) => {
+        const message = ui.findMessage({ clientId });
+        if (!message) return;
+        
+        const event = message.to ? 'send-direct-message' : 'send-message';
+        const attachments = message.attachments ? message.attachments.map(attachment => attachment.id) : undefined;
+        const payload = message.to
+            ? { to: message.to, message: message.message, attachments, clientId }
+            : { room: message.room, message: message.message, attachments, clientId, parentId: message.parentId };
+        
+        ui.updateMessage(message, { status: 'pending' }, true);
+        
+        socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, response) => {
+            // A filter's verdict won't change on retry, so rejected messages get no Retry button
+            if (response?.code === 'MESSAGE_REJECTED') {
+                ui.updateMessage(message, { status: 'rejected', rejectedReason: response.error }, true);
+                utils.showToast(utils.escapeHtml(response.error), 'error');
+                return;
+            }
+            if (err || !response || !response.success) {
+                ui.updateMessage(message, { status: 'failed' }, true);
+                if (response?.code === 'MUTED') {
+                    ui.showMuted(response.until);
+                }
+                if (response?.error) {
+                    utils.showToast(utils.escapeHtml(response.error), 'error');
+                }
+                return;
+            }
+            ui.updateMessage(message, { ...response.message, status: 'sent' });
+        });
+    },
+    
+    // Looks a message up by messageId or clientId in rooms and DMs alike
+    findMessage: ({ messageId, clientId }) => {
+        const matches = (message) => (messageId && message.messageId === messageId) ||
+            (clientId && message.clientId === clientId);
+        
+        return state.messages.find(matches) ||
+            Object.values(state.directMessages).flat().find(matches) ||
+            null;
+    },
+    
+    // Merges server data into a stored message and redraws it if it is on screen.
+    // Statuses only move forward unless `force` is set (e.g. retrying a failed send).
+    updateMessage: (message, changes, force = false) => {
+        const previousStatus = message.status;
+        Object.assign(message, changes);
+        
+        if (!force && previousStatus &&
+            MESSAGE_STATUS_ORDER.indexOf(previousStatus) > MESSAGE_STATUS_ORDER.indexOf(message.status)) {
+            message.status = previousStatus;
+        }
+        
+        // A thread's root message can be on screen twice: in the room and atop the thread panel
+        const selector = [
+            message.clientId && `[data-client-id="${message.clientId}"]`,
+            message.messageId && `[data-message-id="${message.messageId}"]`
+        ].filter(Boolean).join(', ');
+        [elements.messagesContainer, elements.threadMessages].forEach(container => {
+            const current = container.querySelector(selector);
+            if (current) {
+                current.replaceWith(ui.createMessageElement(message));
+            }
+        });
+    },
+    
+    openThread: (messageId) => {
+        const parent = ui.findMessage({ messageId });
+        if (!parent) return;
+        
+        state.thread = { messageId, room: parent.room };
+        elements.threadPanel.hidden = false;
+        ui.renderThread();
+        elements.threadInput.focus();
+        
+        fetch(utils.apiUrl(`/api/messages/${encodeURIComponent(messageId)}/thread`), { headers: utils.authHeaders() })
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) throw new Error(data.error);
+                if (!state.thread || state.thread.messageId !== messageId) return;
+                
+                ui.updateMessage(parent, data.parent);
+                const known = new Set(state.messages.map(message => message.messageId).filter(Boolean));
+                const replies = data.replies.filter(reply => !known.has(reply.messageId));
+                state.messages = state.messages
+                    .concat(replies)
+                    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+                ui.renderThread();
+            })
+            .catch(error => {
+                console.error('Failed to load thread:', error);
+                utils.showToast('Could not load this thread', 'error');
+            });
+    },
+    
+    closeThread: () => {
+        state.thread = null;
+        elements.threadPanel.hidden = true;
+        elements.threadMessages.innerHTML = '';
+        elements.threadInput.value = '';
+    },
+    
+    renderThread: () => {
+        if (!state.thread) return;
+        
+        const parent = ui.findMessage({ messageId: state.thread.messageId });
+        const replies = state.messages.filter(message => message.parentId === state.thread.messageId);
+        
+        elements.threadMessages.innerHTML = '';
+        if (parent) {
+            const parentEl = ui.createMessageElement(parent);
+            parentEl.classList.add('thread-root');
+            elements.threadMessages.appendChild(parentEl);
+        }
+        replies.forEach(reply => elements.threadMessages.appendChild(ui.createMessageElement(reply)));
+        
+        elements.threadMessages.scrollTop = elements.threadMessages.scrollHeight;
+        if (document.visibilityState === 'visible') {
+            replies.forEach(reply => ui.queueReceipt(reply, 'read'));
+        }
+    },
+    
+    canEditMessage: (data) => {
+        if (!state.editWindowMs) return true;
+        return Date.now() - Date.parse(data.timestamp) <= state.editWindowMs;
+    },
+    
+    // Swaps the bubble for a textarea; Enter saves, Escape cancels
+    startEditing: (messageEl, data) => {
+        const bubble = messageEl.querySelector('.message-bubble');
+        if (!bubble || messageEl.classList.contains('editing')) return;
+        
+        const editor = document.createElement('textarea');
+        editor.className = 'message-editor';
+        editor.maxLength = elements.messageInput.maxLength;
+        editor.value = data.message;
+        
+        messageEl.classList.add('editing');
+        bubble.replaceWith(editor);
+        editor.focus();
+        editor.setSelectionRange(editor.value.length, editor.value.length);
+        
+        const finish = () => messageEl.replaceWith(ui.createMessageElement(data));
+        
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                finish();
+            } else if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                
+                const message = editor.value.trim();
+                if (!message || message === data.message) return finish();
+                
+                socket.emit('edit-message', { messageId: data.messageId, message }, (response) => {
+                    if (!response || !response.success) {
+                        utils.showToast(utils.escapeHtml(response?.error || 'Message could not be edited'), 'error');
+                        return;
+                    }
+                    ui.updateMessage(data, { message: response.message.message, editedAt: response.message.editedAt });
+                });
+            }
+        });
+        editor.addEventListener('blur', finish);
+    },
+    
+    deleteMessage: (data) => {
+        if (!confirm('Delete this message for everyone?')) return;
+        
+        socket.emit('delete-message', { messageId: data.messageId }, (response) => {
+            if (!response || !response.success) {
+                utils.showToast(utils.escapeHtml(response?.error || 'Message could not be deleted'), 'error');
+                return;
+            }
+            ui.updateMessage(data, { deleted: true, message: '' });
+        });
+    },
+    
+    renderThreadSummary: (data) => {
+        const last = data.lastReply;
+        const preview = last
+            ? `<span class="thread-preview"><strong>${utils.escapeHtml(last.username)}:</strong> ${utils.escapeHtml(last.message)}</span>`
+            : '';
+        
+        return `
+            <button class="thread-summary" type="button">
+                <i class="fas fa-comment-dots"></i>
+                <span class="thread-count">${data.replyCount} ${data.replyCount === 1 ? 'reply' : 'replies'}</span>
+                ${preview}
+            </button>
+        `;
+    },
+    
+    toggleReaction: (data, emoji) => {
+        const reaction = (data.reactions || []).find(entry => entry.emoji === emoji);
+        const reacted = Boolean(reaction && reaction.users.some(entry => entry.userId === state.identityId));
+        
+        socket.emit(reacted ? 'remove-reaction' : 'add-reaction', { messageId: data.messageId, emoji }, (response) => {
+            if (!response || !response.success) {
+                utils.showToast(utils.escapeHtml(response?.error || 'Reaction could not be saved'), 'error');
+            }
+        });
+    },
+    
+    renderReactions: (data) => {
+        const chips = (data.reactions || []).map(reaction => {
+            const mine = reaction.users.some(entry => entry.userId === state.identityId);
+            const names = reaction.users.map(entry => entry.username).join(', ');
+            return `
+                <button class="reaction-chip ${mine ? 'mine' : ''}" type="button"
+                        data-emoji="${utils.escapeHtml(reaction.emoji)}" title="${utils.escapeHtml(names)}">
+                    <span class="reaction-emoji">${utils.escapeHtml(reaction.emoji)}</span>
+                    <span class="reaction-count">${reaction.count}</span>
+                </button>
+            `;
+        }).join('');
+        
+        const choices = REACTION_CHOICES.map(emoji =>
+            `<button class="reaction-choice" type="button" data-emoji="${emoji}">${emoji}</button>`
+        ).join('');
+        
+        return `
+            <div class="message-reactions">
+                ${chips}
+                <button class="reaction-add" type="button" title="Add reaction"><i class="far fa-smile"></i></button>
+                <div class="reaction-picker">${choices}</div>
+            </div>
+        `;
+    },
+    
+    applyReceipt: (data) => {
+        const message = ui.findMessage({ messageId: data.messageId });
+        if (!message) return;
+        
+        const readers = { readBy: message.readBy || [], deliveredTo: message.deliveredTo || [] };
+        const list = data.status === 'read' ? 'readBy' : 'deliveredTo';
+        if (!readers[list].includes(data.username)) {
+            readers[list] = readers[list].concat(data.username);
+        }
+        
+        ui.updateMessage(message, { ...readers, status: data.status });
+    },
+    
+    queueReceipt: (message, status) => {
+        if (!message.messageId || ui.isOwnMessage(message) || message.type === 'system') return;
+        if (state.sentReceipts[status].has(message.messageId)) return;
+        
+        state.sentReceipts[status].add(message.messageId);
+        state.pendingReceipts[status].add(message.messageId);
+        
+        if (!state.receiptTimer) {
+            state.receiptTimer = setTimeout(ui.flushReceipts, RECEIPT_FLUSH_MS);
+        }
+    },
+    
+    flushReceipts: () => {
+        state.receiptTimer = null;
+        
+        Object.entries(state.pendingReceipts).forEach(([status, ids]) => {
+            const messageIds = Array.from(ids);
+            ids.clear();
+            
+            for (let i = 0; i < messageIds.length; i += RECEIPT_BATCH_MAX) {
+                socket.emit('message-receipt', { status, messageIds: messageIds.slice(i, i + RECEIPT_BATCH_MAX) });
+            }
+        });
+    },
+    
+    // Everything in the open conversation counts as read while the tab is visible
+    markConversationRead: () => {
+        if (document.visibilityState !== 'visible') return;
+        
+        const messages = state.dmUser
+            ? state.directMessages[state.dmUser.id] || []
+            : state.messages.filter(message => message.room === state.currentRoom && !message.parentId);
+        
+        messages.slice(-RECEIPT_BATCH_MAX).forEach(message => ui.queueReceipt(message, 'read'));
+    },
+    
+    // Server-side flood control: warn, mute or disconnect (see 'rate-limited')
+    showRateLimit: (data) => {
+        if (data.action === 'disconnect') {
+            state.floodDisconnected = true;
+            ui.showSystemMessage('⛔ You were disconnected for sending too much too fast. Refresh the page to reconnect.');
+            utils.showToast('Disconnected for flooding', 'error');
+            return;
+        }
+        
+        const isMuted = data.action === 'mute';
+        state.throttledUntil = Math.max(state.throttledUntil, Date.now() + (data.retryAfter || 1000));
+        
+        elements.sendButton.disabled = isMuted;
+        elements.messageInput.classList.add('throttled');
+        
+        const update = () => {
+            const remaining = Math.ceil((state.throttledUntil - Date.now()) / 1000);
+            if (remaining <= 0) {
+                clearInterval(state.throttleTimer);
+                state.throttleTimer = null;
+                elements.composerNotice.textContent = '';
+                elements.composerNotice.classList.remove('active');
+                elements.messageInput.classList.remove('throttled');
+                elements.sendButton.disabled = false;
+                return;
+            }
+            
+            elements.composerNotice.textContent = isMuted
+                ? `🔇 Muted for flooding (${remaining}s)`
+                : `🐢 Slow down! Try again in ${remaining}s`;
+            elements.composerNotice.classList.add('active');
+        };
+        
+        clearInterval(state.throttleTimer);
+        state.throttleTimer = setInterval(update, 250);
+        update();
+    },
+    
+    // Moderator mutes last until a set time unless lifted earlier; the notice goes with them
+    showMuted: (until) => {
+        clearTimeout(state.muteTimer);
+        state.muteTimer = setTimeout(ui.clearMuted, Math.max(0, Date.parse(until) - Date.now()));
+        elements.composerNotice.textContent = `🔇 You are muted until ${new Date(until).toLocaleString()}`;
+        elements.composerNotice.classList.add('active');
+    },
+    
+    clearMuted: () => {
+        clearTimeout(state.muteTimer);
+        state.muteTimer = null;
+        elements.composerNotice.textContent = '';
+        elements.composerNotice.classList.remove('active');
+    },
+    
+    // Kicked or banned: the server closed the connection and we stay off
+    showRemoved: (kind, data) => {
+        state.removedBy = kind;
+        const by = data.by ? ` by ${utils.escapeHtml(data.by)}` : '';
+        const reason = data.reason ? `: ${utils.escapeHtml(data.reason)}` : '';
+        const until = kind === 'ban'
+            ? (data.until ? ` until ${new Date(data.until).toLocaleString()}` : ' permanently')
+            : '';
+        const verb = kind === 'ban' ? `banned${until}` : 'kicked from the chat';
+        ui.showSystemMessage(`⛔ You were ${verb}${by}${reason}. Refresh the page to reconnect.`, 'error');
+        utils.showToast(kind === 'ban' ? 'You have been banned' : 'You have been kicked', 'error');
+    },
+    
+    // ----- Presence -----
+    setStatus: (status, text) => {
+        socket.timeout(ACK_TIMEOUT_MS).emit('set-status', { status, text }, (err, response) => {
+            if (err || !response || !response.success) {
+                utils.showToast(utils.escapeHtml(response?.error || 'Could not update your status'), 'error');
+                ui.renderStatusPicker();
+                return;
+            }
+            ui.applyStatus(response);
+        });
+    },
+    
+    applyStatus: ({ status, text }) => {
+        state.status = status || 'online';
+        state.statusText = text || '';
+        ui.renderStatusPicker();
+    },
+    
+    renderStatusPicker: () => {
+        elements.statusSelect.value = state.status;
+        elements.statusSelect.className = `status-select presence-${state.status}`;
+        if (document.activeElement !== elements.statusTextInput) {
+            elements.statusTextInput.value = state.statusText;
+        }
+    },
+    
+    // Only the way back from idle is reported here, so constant input costs nothing
+    markActive: () => {
+        state.lastActivity = Date.now();
+        if (state.idle) {
+            ui.setIdle(false);
+        }
+    },
+    
+    setIdle: (idle) => {
+        state.idle = idle;
+        if (socket.connected) {
+            socket.emit('set-idle', idle);
+        }
+    },
+    
+    // Do not disturb holds back toasts and desktop notifications; unread counts still go up
+    notificationsPaused: () => state.status === 'dnd',
+    
+    stopTyping: () => {
+        socket.emit('stop-typing', { room: state.currentRoom });
+        state.isTyping = false;
+    },
+    
+    joinRoom: (name, onJoined) => {
+        const room = (name || '').trim().replace(/^#+/, '');
+        if (!room) return;
+        
+        socket.emit('join-room', room, (response) => {
+            if (!response || !response.success) {
+                utils.showToast(response?.error || 'Could not join room', 'error');
+                return;
+            }
+            
+            elements.roomInput.value = '';
+            ui.switchRoom(response.room);
+            if (onJoined) onJoined(response.room);
+        });
+    },
+    
+    leaveRoom: (room) => {
+        socket.emit('leave-room', room, (response) => {
+            if (!response || !response.success) {
+                utils.showToast(response?.error || 'Could not leave room', 'error');
+            }
+        });
+    },
+    
+    switchRoom: (room) => {
+        if (state.isTyping) {
+            ui.stopTyping();
+        }
+        
+        if (state.thread && state.thread.room !== room) {
+            ui.closeThread();
+        }
+        
+        const previousRoom = state.currentRoom;
+        state.currentRoom = room;
+        state.dmUser = null;
+        delete state.unreadRooms[room];
+        // Coming back to a room shows it as it is now, not where a search left it
+        if (previousRoom !== room && state.detachedRooms[previousRoom]) {
+            ui.showLatest(previousRoom);
+        }
+        elements.currentRoomName.textContent = `#${room}`;
+        elements.conversationTitle.textContent = `#${room}`;
+        elements.closeDmBtn.hidden = true;
+        ui.renderRoomTopic();
+        
+        ui.renderTypingIndicator();
+        ui.renderMessages();
+        ui.updateRoomList(state.rooms);
+        
+        // Refresh the member list for the room we switched to
+        fetch(utils.apiUrl(`/api/users?room=${encodeURIComponent(room)}&offline=true`))
+            .then(res => res.json())
+            .then(data => {
+                if (data.success && state.currentRoom === room) {
+                    ui.updateActiveUsers(data.users);
+                }
+            })
+            .catch(error => console.error('Failed to load room users:', error));
+    },
+    
+    openDirectMessage: (user) => {
+        if (state.isTyping) {
+            ui.stopTyping();
+        }
+        
+        ui.closeThread();
+        state.dmUser = { id: user.id, userId: user.userId, username: user.username };
+        delete state.unreadDirect[user.id];
+        elements.conversationTitle.textContent = `@${user.username || 'User'}`;
+        elements.closeDmBtn.hidden = false;
+        ui.renderRoomTopic();
+        
+        ui.renderTypingIndicator();
+        ui.renderMessages();
+        ui.updateActiveUsers(state.activeUsers);
+        ui.updateRoomList(state.rooms);
+        elements.messageInput.focus();
+    },
+    
+    addDirectMessage: (data) => {
+        // Our own message coming back from the server replaces its pending copy
+        const existing = ui.findMessage(data);
+        if (existing) {
+            ui.updateMessage(existing, { ...data, status: 'sent' });
+            return;
+        }
+        
+        const isSelf = ui.isOwnMessage(data);
+        const otherId = isSelf ? data.to : data.id;
+        const otherName = isSelf ? data.toUsername : data.username;
+        
+        if (!state.directMessages[otherId]) {
+            state.directMessages[otherId] = [];
+        }
+        state.directMessages[otherId].push(data);
+        
+        ui.queueReceipt(data, 'delivered');
+        
+        if (state.dmUser && state.dmUser.id === otherId) {
+            elements.messagesContainer.appendChild(ui.createMessageElement(data));
+            ui.markConversationRead();
+            requestAnimationFrame(() => {
+                elements.messagesContainer.scrollTo({
+                    top: elements.messagesContainer.scrollHeight,
+                    behavior: 'smooth'
+                });
+            });
+            return;
+        }
+        
+        if (!isSelf) {
+            state.unreadDirect[otherId] = (state.unreadDirect[otherId] || 0) + 1;
+            ui.updateActiveUsers(state.activeUsers);
+            if (!ui.notificationsPaused()) {
+                utils.showToast(`New direct message from ${utils.escapeHtml(otherName || 'User')}`, 'info');
+            }
+        }
+    },
+    
+    renderRoomTopic: () => {
+        const room = state.rooms.find(entry => entry.name === state.currentRoom);
+        const topic = !state.dmUser && room && room.topic;
+        elements.roomTopic.hidden = !topic;
+        elements.roomTopic.textContent = topic || '';
+        elements.roomTopic.title = topic || '';
+    },
+    
+    updateRoomList: (rooms) => {
+        state.rooms = rooms || [];
+        elements.roomsContainer.innerHTML = '';
+        
+        // Rooms we are in but that the server hasn't listed yet still get shown
+        const names = new Set(state.rooms.map(room => room.name));
+        state.joinedRooms.forEach(name => {
+            if (!names.has(name)) state.rooms.push({ name, userCount: 0 });
+        });
+        
+        state.rooms.forEach(room => {
+            const isJoined = state.joinedRooms.has(room.name);
+            const isCurrent = room.name === state.currentRoom && !state.dmUser;
+            const unread = state.unreadRooms[room.name] || 0;
+            
+            const roomEl = document.createElement('div');
+            roomEl.className = `room-item ${isCurrent ? 'active' : ''} ${isJoined ? 'joined' : ''}`;
+            roomEl.innerHTML = `
+                <span class="room-name">#${utils.escapeHtml(room.name)}</span>
+                <span class="room-meta">
+                    ${unread > 0 ? `<span class="room-unread">${unread}</span>` : ''}
+                    <span class="room-count">${room.userCount || 0}</span>
+                    ${isJoined && room.name !== 'general' ? '<button class="room-leave" title="Leave room"><i class="fas fa-times"></i></button>' : ''}
+                </span>
+            `;
+            
+            roomEl.addEventListener('click', () => {
+                if (isJoined) {
+                    ui.switchRoom(room.name);
+                } else {
+                    ui.joinRoom(room.name);
+                }
+            });
+            
+            const leaveBtn = roomEl.querySelector('.room-leave');
+            if (leaveBtn) {
+                leaveBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    ui.leaveRoom(room.name);
+                });
+            }
+            
+            elements.roomsContainer.appendChild(roomEl);
+        });
+        
+        ui.renderRoomTopic();
+    },
+    
+    updateConnectionStatus: (status) => {
+        switch(status) {
+            case 'connecting':
+                elements.statusIndicator.className = 'status-indicator connecting';
+                elements.connectionStatus.textContent = 'Connecting...';
+                elements.serverInfo.textContent = 'Establishing connection...';
+                break;
+            case 'connected':
+                elements.statusIndicator.className = 'status-indicator connected';
+                elements.connectionStatus.textContent = 'Connected';
+                elements.serverInfo.textContent = isProduction 
+                    ? `Connected to ${window.location.hostname}`
+                    : 'Connected to local server';
+                break;
+            case 'disconnected':
+                elements.statusIndicator.className = 'status-indicator';
+                elements.connectionStatus.textContent = 'Disconnected';
+                elements.serverInfo.textContent = 'Disconnected from server';
+                break;
+            case 'error':
+                elements.statusIndicator.className = 'status-indicator error';
+                elements.connectionStatus.textContent = 'Connection Error';
+                elements.serverInfo.textContent = 'Connection error - Retrying...';
+                break;
+            case 'reconnecting':
+                elements.statusIndicator.className = 'status-indicator reconnecting';
+                elements.connectionStatus.textContent = 'Reconnecting...';
+                elements.serverInfo.textContent = 'Reconnecting to server...';
+                break;
+        }
+    },
+    
+    updateUserCount: (count) => {
+        // The sidebar badge counts the current room only, see 'active-users-update'
+        elements.userCount.textContent = count;
+    },
+    
+    updateActiveUsers: (users) => {
+        state.activeUsers = users;
+        elements.usersContainer.innerHTML = '';
+        elements.activeUsersCount.textContent = (users || []).filter(user => user.status !== 'offline').length;
+        
+        if (!users || users.length === 0) {
+            elements.usersContainer.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-user-clock"></i>
+                    <p>No other users online</p>
+                </div>
+            `;
+            return;
+        }
+        
+        users.forEach(user => {
+            if (!user || !user.userId) return;
+            
+            // Entries are per user: all of our own tabs share one
+            const isCurrentUser = user.userId === state.identityId;
+            const isOffline = user.status === 'offline';
+            const isDmOpen = !isOffline && state.dmUser && state.dmUser.id === user.id;
+            const unread = (!isOffline && state.unreadDirect[user.id]) || 0;
+            const presence = STATUS_LABELS[user.status] ? user.status : 'online';
+            const statusLine = isOffline
+                ? `Last seen ${utils.formatLastSeen(user.lastSeen)}`
+                : STATUS_LABELS[presence] + (user.statusText ? ` · ${user.statusText}` : '');
+            const roleBadge = user.bot
+                ? '<span class="role-badge role-bot">Bot</span>'
+                : user.role && user.role !== 'member'
+                    ? `<span class="role-badge role-${user.role}">${user.role === 'admin' ? 'Admin' : 'Mod'}</span>`
+                    : '';
+            const userEl = document.createElement('div');
+            userEl.className = `user-item ${isCurrentUser ? 'current-user' : ''} ${isDmOpen ? 'dm-open' : ''} ${isOffline ? 'offline' : ''}`;
+            userEl.innerHTML = `
+                <div class="user-avatar" style="background: linear-gradient(135deg, ${utils.generateColorFromId(user.userId)}, ${utils.generateColorFromId(user.userId + '2')})">
+                    ${utils.getInitials(user.username || 'User')}
+                    <span class="presence-dot presence-${presence}" title="${STATUS_LABELS[presence]}"></span>
+                </div>
+                <div class="user-details">
+                    <div class="user-name">${utils.escapeHtml(user.username || 'User')} ${isCurrentUser ? '(You)' : ''} ${roleBadge}</div>
+                    <div class="user-status" title="${utils.escapeHtml(statusLine)}">${utils.escapeHtml(statusLine)}</div>
+                </div>
+                ${unread > 0 ? `<span class="dm-unread">${unread}</span>` : ''}
+                ${!isCurrentUser && !isOffline ? '<button class="dm-button" title="Direct message"><i class="fas fa-envelope"></i></button>' : ''}
+            `;
+            
+            if (!isCurrentUser && !isOffline) {
+                userEl.addEventListener('click', () => {
+                    elements.messageInput.value = `@${user.username || 'User'} ${elements.messageInput.value}`;
+                    elements.messageInput.focus();
+                });
+                
+                userEl.querySelector('.dm-button').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    ui.openDirectMessage(user);
+                });
+            }
+            
+            elements.usersContainer.appendChild(userEl);
+        });
+    },
+    
+    addMessage: (data) => {
+        const room = data.room || state.currentRoom;
+        data.room = room;
+        
+        // History and live delivery can overlap after a reconnect, and our own
+        // messages arrive once more after their pending copy was added
+        const existing = data.type !== 'system' && ui.findMessage(data);
+        if (existing) {
+            if (data.messageId) ui.updateMessage(existing, { ...data, status: 'sent' });
+            return;
+        }
+        
+        if (data.type !== 'system' && !data.status) {
+            ui.queueReceipt(data, 'delivered');
+        }
+        
+        if (ui.mentionsMe(data)) {
+            ui.notifyMention(data);
         }
         
-        elements.messagesContainer.appendChild(messageEl);
+        // Newer messages of a room shown further back load by scrolling down instead
+        if (state.detachedRooms[room] && !data.parentId && data.type !== 'system') {
+            return;
+        }
+        
+        // Store message
+        state.messages.push(data);
+        
+        // Limit messages to prevent memory issues; trimmed ones can be loaded again from the server
+        if (state.messages.length > 1000) {
+            const removed = state.messages.shift();
+            state.historyExhausted[removed.room] = false;
+            if (removed.room === state.currentRoom && !removed.parentId) {
+                const firstMessage = elements.messagesContainer.querySelector('.message');
+                if (firstMessage) firstMessage.remove();
+            }
+        }
+        
+        // Replies live in their thread, never in the main stream
+        if (data.parentId) {
+            if (state.thread && state.thread.messageId === data.parentId) {
+                const threadEl = ui.createMessageElement(data);
+                elements.threadMessages.appendChild(threadEl);
+                threadEl.scrollIntoView({ behavior: 'smooth', block: 'end' });
+                if (document.visibilityState === 'visible') ui.queueReceipt(data, 'read');
+            }
+            return;
+        }
+        
+        // Messages for other rooms only bump that room's unread counter
+        if (room !== state.currentRoom || state.dmUser) {
+            if (data.type !== 'system') {
+                state.unreadRooms[room] = (state.unreadRooms[room] || 0) + 1;
+                ui.updateRoomList(state.rooms);
+            }
+            return;
+        }
+        
+        // Remove welcome message if it exists
+        const welcomeMessage = elements.messagesContainer.querySelector('.welcome-message');
+        if (welcomeMessage && state.messages.length > 0) {
+            welcomeMessage.style.display = 'none';
+        }
+        
+        elements.messagesContainer.appendChild(ui.createMessageElement(data));
+        ui.markConversationRead();
         
         // Auto-scroll to bottom with animation
         requestAnimationFrame(() => {
@@ -400,34 +1990,520 @@ const ui = {
                 behavior: 'smooth'
             });
         });
+    },
+    
+    loadHistory: (room, history) => {
+        // A room shown further back catches up by scrolling down instead
+        if (!history || history.length === 0 || state.detachedRooms[room]) return;
         
-        // Store message
-        state.messages.push(data);
+        const known = new Set(state.messages.map(message => message.messageId).filter(Boolean));
+        const fresh = history
+            .filter(message => !known.has(message.messageId))
+            .filter(message => {
+                // A message still pending locally may show up in a sync before its ack
+                const pending = message.clientId && ui.findMessage({ clientId: message.clientId });
+                if (pending) ui.updateMessage(pending, { ...message, status: 'sent' });
+                return !pending;
+            })
+            .map(message => ({ ...message, room }));
         
-        // Limit messages to prevent memory issues
-        if (state.messages.length > 1000) {
-            state.messages.shift();
-            const firstMessage = elements.messagesContainer.querySelector('.message');
-            if (firstMessage) firstMessage.remove();
+        if (fresh.length === 0) return;
+        
+        state.messages = state.messages
+            .concat(fresh)
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        
+        if (room === state.currentRoom && !state.dmUser) {
+            ui.renderMessages();
+        }
+    },
+    
+    loadOlderMessages: () => {
+        const room = state.currentRoom;
+        if (state.dmUser || state.loadingHistory || state.historyExhausted[room]) return;
+        
+        const oldest = state.messages.find(message => message.room === room && message.messageId);
+        const params = new URLSearchParams({ room, limit: 50 });
+        if (oldest) params.set('before', oldest.messageId);
+        
+        state.loadingHistory = true;
+        
+        fetch(utils.apiUrl(`/api/messages?${params}`), { headers: utils.authHeaders() })
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) throw new Error(data.error);
+                
+                if (!data.hasMore) {
+                    state.historyExhausted[room] = true;
+                }
+                ui.prependMessages(room, data.messages);
+            })
+            .catch(error => {
+                console.error('Failed to load older messages:', error);
+                utils.showToast('Could not load older messages', 'error');
+            })
+            .finally(() => {
+                state.loadingHistory = false;
+            });
+    },
+    
+    prependMessages: (room, messages) => {
+        const known = new Set(state.messages.map(message => message.messageId).filter(Boolean));
+        const older = messages
+            .filter(message => !known.has(message.messageId))
+            .map(message => ({ ...message, room }));
+        
+        if (older.length === 0) return;
+        
+        state.messages = older.concat(state.messages);
+        
+        if (room !== state.currentRoom || state.dmUser) return;
+        
+        const shown = older.filter(message => !message.parentId);
+        // Keep the viewport on the message the user was looking at
+        const container = elements.messagesContainer;
+        const previousHeight = container.scrollHeight;
+        const fragment = document.createDocumentFragment();
+        shown.forEach(message => fragment.appendChild(ui.createMessageElement(message)));
+        container.insertBefore(fragment, container.firstChild);
+        container.scrollTop += container.scrollHeight - previousHeight;
+    },
+    
+    // Fetch whatever this room received after the newest message we have
+    syncMessages: (room) => {
+        // Scrolling down catches up a room shown further back
+        if (state.detachedRooms[room]) return;
+        
+        const after = state.messages
+            .filter(message => message.room === room && message.messageId)
+            .reduce((latest, message) => (message.messageId > latest ? message.messageId : latest), '');
+        
+        socket.emit('sync-messages', { room, after: after || null }, (response) => {
+            if (!response || !response.success) return;
+            
+            ui.loadHistory(room, response.messages);
+            if (response.hasMore) {
+                ui.syncMessages(room);
+            }
+        });
+    },
+    
+    // Pages forward through a room shown further back (after jumping to a search result)
+    loadNewerMessages: () => {
+        const room = state.currentRoom;
+        if (state.dmUser || state.loadingHistory || !state.detachedRooms[room]) return;
+        
+        const newest = state.messages
+            .filter(message => message.room === room && message.messageId)
+            .reduce((latest, message) => (message.messageId > latest ? message.messageId : latest), '');
+        const params = new URLSearchParams({ room, limit: 50, after: newest });
+        
+        state.loadingHistory = true;
+        
+        fetch(utils.apiUrl(`/api/messages?${params}`), { headers: utils.authHeaders() })
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) throw new Error(data.error);
+                
+                ui.appendMessages(room, data.messages);
+                if (!data.hasMore) {
+                    // Caught up: live messages show again, and any that came in meanwhile are fetched
+                    delete state.detachedRooms[room];
+                    ui.renderJumpLatest();
+                    ui.syncMessages(room);
+                }
+            })
+            .catch(error => {
+                console.error('Failed to load newer messages:', error);
+                utils.showToast('Could not load newer messages', 'error');
+            })
+            .finally(() => {
+                state.loadingHistory = false;
+            });
+    },
+    
+    appendMessages: (room, messages) => {
+        const known = new Set(state.messages.map(message => message.messageId).filter(Boolean));
+        const newer = messages
+            .filter(message => !known.has(message.messageId))
+            .map(message => ({ ...message, room }));
+        
+        if (newer.length === 0) return;
+        
+        state.messages = state.messages
+            .concat(newer)
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        
+        if (room !== state.currentRoom || state.dmUser) return;
+        
+        // Below what is on screen, so the viewport stays where it is
+        const fragment = document.createDocumentFragment();
+        newer
+            .filter(message => !message.parentId)
+            .forEach(message => fragment.appendChild(ui.createMessageElement(message)));
+        elements.messagesContainer.appendChild(fragment);
+    },
+    
+    // Replaces the loaded history of a room with its latest messages
+    showLatest: (room) => {
+        delete state.detachedRooms[room];
+        state.historyExhausted[room] = false;
+        // Pending and system messages have no id and stay
+        state.messages = state.messages.filter(message => message.room !== room || !message.messageId);
+        if (room === state.currentRoom && !state.dmUser) ui.renderMessages();
+        
+        fetch(utils.apiUrl(`/api/messages?${new URLSearchParams({ room, limit: 50 })}`), { headers: utils.authHeaders() })
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) throw new Error(data.error);
+                
+                if (!data.hasMore) {
+                    state.historyExhausted[room] = true;
+                }
+                ui.loadHistory(room, data.messages);
+            })
+            .catch(error => {
+                console.error('Failed to load latest messages:', error);
+                utils.showToast('Could not load the latest messages', 'error');
+            });
+    },
+    
+    renderJumpLatest: () => {
+        elements.jumpLatestBtn.hidden = Boolean(state.dmUser) || !state.detachedRooms[state.currentRoom];
+    },
+    
+    // Header search; "from:", "in:", "after:" and "before:" words become filters
+    search: () => {
+        const params = utils.parseSearchInput(elements.searchInput.value);
+        if (!params.has('q') && !params.has('author')) {
+            state.search = null;
+            ui.hideSearchResults();
+            return;
+        }
+        
+        state.search = { params: params.toString(), results: [], hasMore: false, loading: false, error: null };
+        ui.loadSearchResults();
+    },
+    
+    loadSearchResults: () => {
+        const search = state.search;
+        if (!search || search.loading) return;
+        
+        const params = new URLSearchParams(search.params);
+        params.set('limit', SEARCH_PAGE_SIZE);
+        params.set('offset', search.results.length);
+        search.loading = true;
+        
+        fetch(utils.apiUrl(`/api/search?${params}`), { headers: utils.authHeaders() })
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) throw new Error(data.error);
+                
+                search.results = search.results.concat(data.results);
+                search.hasMore = data.hasMore;
+            })
+            .catch(error => {
+                console.error('Search failed:', error);
+                search.error = error.message;
+            })
+            .finally(() => {
+                search.loading = false;
+                // A newer search may have replaced this one meanwhile
+                if (state.search === search) ui.renderSearchResults();
+            });
+    },
+    
+    renderSearchResults: () => {
+        const search = state.search;
+        const container = elements.searchResults;
+        container.innerHTML = '';
+        container.hidden = false;
+        
+        if (search.error || search.results.length === 0) {
+            container.innerHTML = `<div class="search-empty">${utils.escapeHtml(search.error || 'No messages found')}</div>`;
+            return;
+        }
+        
+        search.results.forEach(result => {
+            const message = result.message;
+            const resultEl = document.createElement('div');
+            resultEl.className = 'search-result';
+            resultEl.innerHTML = `
+                <div class="search-result-meta">
+                    <span class="search-result-room">#${utils.escapeHtml(message.room)}</span>
+                    <span>${utils.escapeHtml(message.username || 'Anonymous')}</span>
+                    <span>${new Date(message.timestamp).toLocaleString()}</span>
+                </div>
+                <div class="search-result-snippet">${utils.highlightSnippet(result.snippet)}</div>
+            `;
+            resultEl.addEventListener('click', () => {
+                ui.hideSearchResults();
+                ui.jumpToMessage(message);
+            });
+            container.appendChild(resultEl);
+        });
+        
+        if (search.hasMore) {
+            const moreEl = document.createElement('div');
+            moreEl.className = 'search-more';
+            moreEl.textContent = 'Show more results';
+            moreEl.addEventListener('click', ui.loadSearchResults);
+            container.appendChild(moreEl);
+        }
+    },
+    
+    hideSearchResults: () => {
+        elements.searchResults.hidden = true;
+    },
+    
+    // Opens the room of a search result around the message; replies open in their thread
+    jumpToMessage: (message) => {
+        const anchorId = message.parentId || message.messageId;
+        const show = (room) => {
+            if (room !== state.currentRoom || state.dmUser) ui.switchRoom(room);
+            
+            ui.loadContext(room, anchorId).then(found => {
+                if (!found) return;
+                ui.highlightMessage(anchorId);
+                if (message.parentId) ui.openThread(message.parentId);
+            });
+        };
+        
+        if (state.joinedRooms.has(message.room)) {
+            show(message.room);
+        } else {
+            ui.joinRoom(message.room, show);
+        }
+    },
+    
+    // Resolves to true once the message is loaded: when it isn't already, the
+    // history around it replaces what was loaded for the room
+    loadContext: (room, messageId) => {
+        const loaded = ui.findMessage({ messageId });
+        if (loaded && loaded.room === room) return Promise.resolve(true);
+        
+        return fetch(utils.apiUrl(`/api/messages/${encodeURIComponent(messageId)}/context`), { headers: utils.authHeaders() })
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) throw new Error(data.error);
+                
+                const around = data.before
+                    .concat(data.message, data.after)
+                    .map(message => ({ ...message, room }));
+                state.messages = state.messages
+                    .filter(message => message.room !== room || !message.messageId)
+                    .concat(around)
+                    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+                state.historyExhausted[room] = !data.hasMoreBefore;
+                if (data.hasMoreAfter) {
+                    state.detachedRooms[room] = true;
+                } else {
+                    delete state.detachedRooms[room];
+                }
+                
+                if (room === state.currentRoom && !state.dmUser) ui.renderMessages();
+                return true;
+            })
+            .catch(error => {
+                console.error('Failed to load message context:', error);
+                utils.showToast('Could not load that message', 'error');
+                return false;
+            });
+    },
+    
+    highlightMessage: (messageId) => {
+        const messageEl = elements.messagesContainer.querySelector(`[data-message-id="${messageId}"]`);
+        if (!messageEl) return;
+        
+        messageEl.scrollIntoView({ block: 'center' });
+        messageEl.classList.add('search-hit');
+        setTimeout(() => messageEl.classList.remove('search-hit'), SEARCH_HIT_MS);
+    },
+    
+    isOwnMessage: (data) => {
+        return data.userId ? data.userId === state.identityId : data.id === state.userId;
+    },
+    
+    renderMessages: () => {
+        elements.messagesContainer.innerHTML = '';
+        
+        const messages = state.dmUser
+            ? state.directMessages[state.dmUser.id] || []
+            : state.messages.filter(message => message.room === state.currentRoom && !message.parentId);
+        
+        messages.forEach(message => {
+            elements.messagesContainer.appendChild(ui.createMessageElement(message));
+        });
+        
+        elements.messagesContainer.scrollTop = elements.messagesContainer.scrollHeight;
+        ui.markConversationRead();
+        ui.renderJumpLatest();
+    },
+    
+    // Ticks next to the time of our own messages
+    renderMessageStatus: (data) => {
+        const status = data.status || (data.messageId ? 'sent' : 'pending');
+        const readers = status === 'read' ? data.readBy : status === 'delivered' ? data.deliveredTo : null;
+        const titles = {
+            pending: 'Sending…',
+            sent: 'Sent',
+            delivered: 'Delivered',
+            read: 'Read',
+            failed: 'Not sent',
+            rejected: `Not sent: ${data.rejectedReason || 'blocked by a filter'}`
+        };
+        const icons = {
+            pending: 'fa-clock',
+            sent: 'fa-check',
+            delivered: 'fa-check-double',
+            read: 'fa-check-double',
+            failed: 'fa-exclamation-circle',
+            rejected: 'fa-ban'
+        };
+        const title = readers && readers.length > 0 && !data.to
+            ? `${titles[status]} by ${readers.join(', ')}`
+            : titles[status];
+        
+        return `
+            <span class="message-status status-${status}" title="${utils.escapeHtml(title)}">
+                <i class="fas ${icons[status]}"></i>
+            </span>
+            ${status === 'failed' ? '<button class="message-retry" type="button">Retry</button>' : ''}
+        `;
+    },
+    
+    createMessageElement: (data) => {
+        const isSystem = data.type === 'system';
+        const isSelf = ui.isOwnMessage(data);
+        
+        const messageEl = document.createElement('div');
+        messageEl.className = `message ${isSystem ? 'system' : isSelf ? 'self' : 'other'}`;
+        if (data.messageId) messageEl.dataset.messageId = data.messageId;
+        if (data.clientId) messageEl.dataset.clientId = data.clientId;
+        
+        if (data.deleted) {
+            messageEl.classList.add('deleted');
+            messageEl.innerHTML = `
+                <div class="message-content">
+                    <div class="message-header">
+                        <span class="message-sender">${utils.escapeHtml(data.username || 'Anonymous')}</span>
+                        <span class="message-time">${data.time || utils.formatTime()}</span>
+                    </div>
+                    <div class="message-bubble message-tombstone">
+                        <i class="fas fa-ban"></i> This message was deleted
+                    </div>
+                    ${data.replyCount ? ui.renderThreadSummary(data) : ''}
+                </div>
+            `;
+        } else if (!isSystem) {
+            if (ui.mentionsMe(data)) {
+                messageEl.classList.add('mentioned');
+            }
+            
+            // Only confirmed messages can be changed, never pending or failed ones
+            const canChange = isSelf && data.messageId && !['pending', 'failed', 'rejected'].includes(data.status);
+            const canEdit = canChange && ui.canEditMessage(data);
+            const canReply = data.messageId && !data.parentId && !data.conversationId && !data.to;
+            
+            messageEl.innerHTML = `
+                <div class="message-content">
+                    <div class="message-header">
+                        <span class="message-sender">${utils.escapeHtml(data.username || 'Anonymous')}</span>
+                        ${data.bot ? '<span class="role-badge role-bot">Bot</span>' : ''}
+                        <span class="message-time">${data.time || utils.formatTime()}</span>
+                        ${data.editedAt ? `<span class="message-edited" title="Edited ${utils.formatTime(new Date(data.editedAt))}">(edited)</span>` : ''}
+                        ${isSelf ? ui.renderMessageStatus(data) : ''}
+                        <span class="message-actions">
+                            ${canReply ? '<button class="message-action reply" type="button" title="Reply in thread"><i class="fas fa-reply"></i></button>' : ''}
+                            ${canEdit ? '<button class="message-action edit" type="button" title="Edit"><i class="fas fa-pen"></i></button>' : ''}
+                            ${canChange ? '<button class="message-action delete" type="button" title="Delete"><i class="fas fa-trash"></i></button>' : ''}
+                        </span>
+                    </div>
+                    ${data.message ? `<div class="message-bubble ${state.plainText ? 'plain' : 'formatted'} ${data.action ? 'action' : ''}">${ui.renderMessageBody(data)}</div>` : ''}
+                    ${ui.renderAttachments(data)}
+                    ${data.replyCount ? ui.renderThreadSummary(data) : ''}
+                    ${data.messageId ? ui.renderReactions(data) : ''}
+                </div>
+            `;
+            
+            const reactionBar = messageEl.querySelector('.message-reactions');
+            if (reactionBar) {
+                reactionBar.addEventListener('click', (e) => {
+                    const target = e.target.closest('button');
+                    if (!target) return;
+                    
+                    if (target.classList.contains('reaction-add')) {
+                        reactionBar.classList.toggle('picking');
+                        return;
+                    }
+                    reactionBar.classList.remove('picking');
+                    ui.toggleReaction(data, target.dataset.emoji);
+                });
+            }
+            
+            const retryButton = messageEl.querySelector('.message-retry');
+            if (retryButton) {
+                retryButton.addEventListener('click', () => ui.deliverMessage(data.clientId));
+            }
+            
+            const editButton = messageEl.querySelector('.message-action.edit');
+            if (editButton) {
+                editButton.addEventListener('click', () => {
+                    // The window may have closed since this element was drawn
+                    if (!ui.canEditMessage(data)) {
+                        utils.showToast('This message can no longer be edited', 'warning');
+                        return messageEl.replaceWith(ui.createMessageElement(data));
+                    }
+                    ui.startEditing(messageEl, data);
+                });
+            }
+            
+            const deleteButton = messageEl.querySelector('.message-action.delete');
+            if (deleteButton) {
+                deleteButton.addEventListener('click', () => ui.deleteMessage(data));
+            }
+        } else {
+            messageEl.innerHTML = `
+                <div class="message-content">
+                    <div class="message-bubble">${data.message}</div>
+                </div>
+            `;
         }
+        
+        // Threads stay reachable even when their root message was deleted
+        messageEl.querySelectorAll('.message-action.reply, .thread-summary').forEach(button => {
+            button.addEventListener('click', () => ui.openThread(data.messageId));
+        });
+        
+        return messageEl;
     },
     
-    showSystemMessage: (text, type = 'info') => {
+    showSystemMessage: (text, type = 'info', room = state.currentRoom) => {
         ui.addMessage({
             type: 'system',
             message: text,
-            time: utils.formatTime()
+            room: room,
+            time: utils.formatTime(),
+            timestamp: new Date().toISOString()
         });
     },
     
-    showTypingIndicator: (username) => {
-        elements.typingIndicator.classList.add('active');
-        elements.typingText.textContent = `${username || 'Someone'} is typing...`;
-    },
-    
-    hideTypingIndicator: () => {
-        elements.typingIndicator.classList.remove('active');
-        elements.typingText.textContent = '';
+    // Who else is typing in the room on screen; nothing in direct messages
+    renderTypingIndicator: () => {
+        const typers = state.dmUser ? [] : state.typingUsers[state.currentRoom] || [];
+        const names = typers.map(typer => typer.username || 'Someone');
+        
+        let text = '';
+        if (names.length === 1) {
+            text = `${names[0]} is typing…`;
+        } else if (names.length > 1 && names.length <= TYPING_NAMES_MAX) {
+            text = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are typing…`;
+        } else if (names.length > TYPING_NAMES_MAX) {
+            text = 'Several people are typing…';
+        }
+        
+        elements.typingIndicator.classList.toggle('active', Boolean(text));
+        elements.typingText.textContent = text;
     },
     
     updateUserAvatar: () => {
@@ -460,7 +2536,12 @@ socket.on('disconnect', (reason) => {
     state.connected = false;
     ui.updateConnectionStatus('disconnected');
     
-    if (reason === 'io server disconnect') {
+    // Updates missed while offline would leave these stale
+    state.typingUsers = {};
+    state.isTyping = false;
+    ui.renderTypingIndicator();
+    
+    if (reason === 'io server disconnect' && !state.floodDisconnected && !state.removedBy) {
         // Server initiated disconnect, need to manually reconnect
         socket.connect();
     }
@@ -471,6 +2552,20 @@ socket.on('disconnect', (reason) => {
 socket.on('connect_error', (error) => {
     console.error('Connection error:', error.message);
     ui.updateConnectionStatus('error');
+    
+    // Rejected by the server's auth middleware: no automatic retry happens
+    if (error.message === 'Invalid or expired session') {
+        localStorage.removeItem('authToken');
+        ui.showAuthModal('Your session has expired. Please sign in again.');
+        return;
+    }
+    
+    if (error.message === 'Authentication required') {
+        state.guestsAllowed = false;
+        ui.showAuthModal('Please sign in to join the chat.');
+        return;
+    }
+    
     utils.showToast(`Connection error: ${error.message}`, 'error');
 });
 
@@ -499,15 +2594,58 @@ socket.on('welcome', (data) => {
     console.log('👋 Welcome message received:', data);
     
     state.username = data.username || 'Anonymous';
+    state.guest = data.guest !== false;
+    state.identityId = data.userId;
+    state.editWindowMs = data.messageEditWindow || 0;
+    state.role = data.role || 'member';
+    state.commands = data.commands || [];
+    // Every new connection starts out active on the server
+    state.idle = false;
+    ui.applyStatus(data.status || {});
+    if (data.uploads) {
+        state.uploadLimits = { maxBytes: data.uploads.maxBytes, allowedTypes: data.uploads.allowedTypes };
+        state.uploadToken = data.uploads.token;
+        state.privateFiles = Boolean(data.uploads.privateFiles);
+        elements.fileInput.accept = data.uploads.allowedTypes.join(',');
+    }
     elements.usernameInput.value = state.username;
     ui.updateUserCount(data.usersCount || 0);
+    ui.updateAuthState();
+    
+    if (!data.resumed) {
+        ui.showSystemMessage(`Welcome ${state.username}! You are now connected to the chat.`, 'info', data.room);
+        
+        // Guests get their chosen name back once the old session has expired
+        const guestName = localStorage.getItem('guestName');
+        if (state.guest && guestName && guestName !== state.username) {
+            socket.emit('update-username', guestName);
+        }
+    }
+    
+    if (data.rooms) {
+        ui.updateRoomList(data.rooms);
+    }
     
-    ui.showSystemMessage(`Welcome ${state.username}! You are now connected to the chat.`);
+    ui.loadHistory(data.room, data.history);
     
-    if (data.activeUsers) {
+    if (data.activeUsers && state.currentRoom === data.room) {
         ui.updateActiveUsers(data.activeUsers);
     }
     
+    // Rejoin every room either side remembers, then catch up on what we missed
+    const rooms = new Set([...state.joinedRooms, ...(data.joinedRooms || [])]);
+    rooms.forEach(room => {
+        if (room === data.room) {
+            ui.syncMessages(room);
+        } else {
+            socket.emit('join-room', room, (response) => {
+                if (response && response.success) {
+                    ui.syncMessages(room);
+                }
+            });
+        }
+    });
+    
     // Update UI elements
     ui.updateUserAvatar();
 });
@@ -516,32 +2654,188 @@ socket.on('user-count-update', (count) => {
     ui.updateUserCount(count);
 });
 
-socket.on('active-users-update', (users) => {
-    ui.updateActiveUsers(users);
+// Our status changed, possibly from another tab
+socket.on('status-updated', (data) => {
+    ui.applyStatus(data);
+});
+
+socket.on('active-users-update', (data) => {
+    if (data.room === state.currentRoom) {
+        ui.updateActiveUsers(data.users);
+    }
+});
+
+socket.on('room-list', (rooms) => {
+    ui.updateRoomList(rooms);
+});
+
+socket.on('room-topic', (data) => {
+    const room = state.rooms.find(entry => entry.name === data.room);
+    if (room) {
+        room.topic = data.topic;
+        ui.renderRoomTopic();
+    }
+});
+
+// Output of a slash command, for us alone or for the whole room
+socket.on('command-reply', (data) => {
+    const text = utils.escapeHtml(data.text).replace(/\n/g, '<br>');
+    ui.showSystemMessage(data.scope === 'room' ? `📢 ${text}` : text, 'info', data.room);
+});
+
+socket.on('kicked', (data) => {
+    ui.showRemoved('kick', data);
+});
+
+socket.on('banned', (data) => {
+    ui.showRemoved('ban', data);
+});
+
+socket.on('muted', (data) => {
+    ui.showMuted(data.until);
+    utils.showToast(utils.escapeHtml(`You were muted by ${data.by}${data.reason ? `: ${data.reason}` : ''}`), 'warning');
+});
+
+socket.on('unmuted', (data) => {
+    ui.clearMuted();
+    utils.showToast(`${utils.escapeHtml(data.by)} lifted your mute`, 'success');
+});
+
+socket.on('role-updated', (data) => {
+    state.role = data.role;
+    state.commands = data.commands || state.commands;
+    utils.showToast(`${utils.escapeHtml(data.by)} made you ${data.role === 'member' ? 'a member' : `a ${data.role}`}`, 'info');
+});
+
+// A bot registered, changed or lost its slash commands
+socket.on('bot-commands', (data) => {
+    state.commands = state.commands
+        .filter(command => command.botId !== data.botId)
+        .concat(data.commands || []);
+});
+
+// Messages the filters let through but flagged; only moderators get these
+socket.on('message-flagged', (data) => {
+    const where = data.direct ? 'a direct message' : `#${utils.escapeHtml(data.room)}`;
+    const excerpt = data.excerpt ? ` “${utils.escapeHtml(data.excerpt)}”` : '';
+    ui.showSystemMessage(
+        `🚩 ${utils.escapeHtml(data.username)} in ${where}${excerpt} was flagged (${utils.escapeHtml(data.reasons.join('; '))})`,
+        'warning'
+    );
+});
+
+// Kicks, mutes and bans of other people in our rooms
+socket.on('moderation-notice', (data) => {
+    const verbs = { kick: 'was kicked', mute: 'was muted', ban: 'was banned' };
+    const reason = data.reason ? `: ${utils.escapeHtml(data.reason)}` : '';
+    ui.showSystemMessage(
+        `🛡️ ${utils.escapeHtml(data.username)} ${verbs[data.action] || 'was moderated'} by ${utils.escapeHtml(data.by)}${reason}`,
+        'warning',
+        data.room
+    );
+});
+
+socket.on('room-joined', (data) => {
+    if (!state.joinedRooms.has(data.room)) {
+        state.joinedRooms.add(data.room);
+        ui.showSystemMessage(`You joined #${data.room}`, 'info', data.room);
+    }
+    ui.loadHistory(data.room, data.history);
+    ui.updateRoomList(state.rooms);
+});
+
+socket.on('room-left', (data) => {
+    state.joinedRooms.delete(data.room);
+    delete state.unreadRooms[data.room];
+    delete state.typingUsers[data.room];
+    state.messages = state.messages.filter(message => message.room !== data.room);
+    
+    if (state.currentRoom === data.room) {
+        ui.switchRoom('general');
+    } else {
+        ui.updateRoomList(state.rooms);
+    }
 });
 
 socket.on('user-joined', (data) => {
     const username = data.username || `User_${data.id ? data.id.substring(0, 6) : 'Unknown'}`;
-    ui.showSystemMessage(`👋 ${username} joined the chat`);
+    ui.showSystemMessage(`👋 ${username} joined #${data.room}`, 'info', data.room);
 });
 
 socket.on('user-left', (data) => {
     const username = data.username || `User_${data.id ? data.id.substring(0, 6) : 'Unknown'}`;
-    ui.showSystemMessage(`👋 ${username} left the chat`);
+    ui.showSystemMessage(`👋 ${username} left #${data.room}`, 'info', data.room);
 });
 
 socket.on('new-message', (data) => {
     ui.addMessage(data);
 });
 
-socket.on('user-typing', (data) => {
-    if (data.id !== state.userId) {
-        ui.showTypingIndicator(data.username);
+socket.on('new-direct-message', (data) => {
+    ui.addDirectMessage(data);
+});
+
+socket.on('message-edited', (data) => {
+    const message = ui.findMessage(data);
+    if (message) {
+        ui.updateMessage(message, { message: data.message, mentions: data.mentions, editedAt: data.editedAt });
+    }
+});
+
+socket.on('message-deleted', (data) => {
+    const message = ui.findMessage(data);
+    if (message) {
+        ui.updateMessage(message, { deleted: true, deletedAt: data.deletedAt, message: '' });
+    }
+});
+
+socket.on('thread-updated', (data) => {
+    const message = ui.findMessage(data);
+    if (message) {
+        ui.updateMessage(message, { replyCount: data.replyCount, lastReply: data.lastReply });
+    }
+});
+
+// Someone replied in a thread we started or took part in
+socket.on('thread-reply', (data) => {
+    if (state.thread && state.thread.messageId === data.parentId && document.visibilityState === 'visible') return;
+    if (ui.notificationsPaused()) return;
+    
+    const author = utils.escapeHtml(data.message.username || 'Someone');
+    utils.showToast(`${author} replied in a thread in #${utils.escapeHtml(data.room)}`, 'info');
+});
+
+socket.on('reactions-updated', (data) => {
+    const message = ui.findMessage(data);
+    if (message) {
+        ui.updateMessage(message, { reactions: data.reactions });
     }
 });
 
-socket.on('user-stop-typing', () => {
-    ui.hideTypingIndicator();
+socket.on('message-receipt', (data) => {
+    ui.applyReceipt(data);
+});
+
+// The full list of typers in a room, whenever it changes
+socket.on('typing-update', (data) => {
+    state.typingUsers[data.room] = data.typers.filter(typer => typer.userId !== state.identityId);
+    if (data.room === state.currentRoom) {
+        ui.renderTypingIndicator();
+    }
+});
+
+socket.on('rate-limited', (data) => {
+    ui.showRateLimit(data);
+});
+
+socket.on('error', (data) => {
+    console.warn('Server rejected a request:', data);
+    utils.showToast(utils.escapeHtml(data?.message || 'Something went wrong'), 'error');
+    
+    // Put back the name the server still knows us by
+    if (data?.event === 'update-username') {
+        elements.usernameInput.value = state.username;
+    }
 });
 
 socket.on('username-changed', (data) => {
@@ -563,6 +2857,13 @@ socket.on('username-updated', (data) => {
         state.username = data.newUsername || state.username;
         elements.usernameInput.value = state.username;
         ui.updateUserAvatar();
+        
+        if (state.guest) {
+            localStorage.setItem('guestName', state.username);
+        }
+    } else {
+        elements.usernameInput.value = state.username;
+        utils.showToast(data.error || 'Could not change username', 'error');
     }
 });
 
@@ -591,12 +2892,22 @@ socket.on('server-shutdown', (data) => {
 document.addEventListener('DOMContentLoaded', () => {
     ui.init();
     
-    // Auto-clear typing indicator after 3 seconds
+    // Coming back to the tab reads whatever arrived in the meantime
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'visible') return;
+        
+        state.unreadMentions = 0;
+        ui.updateTitleBadge();
+        ui.markConversationRead();
+    });
+    
+    // Report the tab idle after a while without input; others see us as away
+    // once all our tabs are idle
     setInterval(() => {
-        if (elements.typingIndicator.classList.contains('active')) {
-            ui.hideTypingIndicator();
+        if (!state.idle && Date.now() - state.lastActivity > IDLE_TIMEOUT_MS) {
+            ui.setIdle(true);
         }
-    }, 3000);
+    }, IDLE_CHECK_MS);
     
     // Ping server every 30 seconds to measure latency and keep connection alive
     setInterval(() => {
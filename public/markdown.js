@@ -0,0 +1,277 @@
+// ===== SAFE MARKDOWN =====
+// A small Markdown subset for chat messages: **bold**, *italics*, `inline code`,
+// ``` fenced code ``` with highlighting, lists, > quotes and autolinked URLs.
+// The renderer escapes every piece of user text itself and only ever emits the
+// tags below; its output then goes through a strict allow-list sanitizer, so a
+// mistake in either step alone can't let markup through.
+
+const markdown = (() => {
+    const ALLOWED_TAGS = {
+        P: [], BR: [], STRONG: [], EM: [], CODE: ['class'], PRE: [],
+        UL: [], OL: [], LI: [], BLOCKQUOTE: [], SPAN: ['class'],
+        A: ['href', 'rel', 'target']
+    };
+    const ALLOWED_CLASS = /^(tok-(comment|string|number|keyword)|language-[a-z0-9+#-]{1,20}|mention|mention-me)$/;
+    const SAFE_PROTOCOLS = ['http:', 'https:'];
+    
+    // Also escapes quotes, since output can end up inside attributes
+    const escape = (text) => text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    
+    // ----- Syntax highlighting -----
+    const CLIKE_KEYWORDS = [
+        'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+        'export', 'extends', 'false', 'finally', 'for', 'func', 'function', 'if', 'implements',
+        'import', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+        'return', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+        'var', 'void', 'while', 'async', 'await', 'yield', 'fn', 'impl', 'mut', 'pub', 'use', 'undefined'
+    ];
+    const LANGUAGES = {
+        clike: { comments: ['//', '/*'], keywords: CLIKE_KEYWORDS },
+        python: {
+            comments: ['#'],
+            keywords: [
+                'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+                'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import',
+                'in', 'is', 'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return',
+                'True', 'try', 'while', 'with', 'yield'
+            ]
+        },
+        shell: {
+            comments: ['#'],
+            keywords: ['if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while', 'case', 'esac', 'function', 'export', 'local', 'return']
+        },
+        sql: {
+            comments: ['--'],
+            keywords: [
+                'select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create',
+                'table', 'index', 'join', 'left', 'right', 'inner', 'outer', 'on', 'group', 'by', 'order',
+                'limit', 'and', 'or', 'not', 'null', 'as', 'distinct', 'having', 'primary', 'key'
+            ],
+            caseInsensitive: true
+        }
+    };
+    const LANGUAGE_ALIASES = {
+        js: 'clike', javascript: 'clike', ts: 'clike', typescript: 'clike', json: 'clike',
+        java: 'clike', c: 'clike', cpp: 'clike', 'c++': 'clike', cs: 'clike', csharp: 'clike',
+        go: 'clike', rust: 'clike', php: 'clike', swift: 'clike', kotlin: 'clike',
+        py: 'python', python: 'python',
+        sh: 'shell', bash: 'shell', shell: 'shell', zsh: 'shell',
+        sql: 'sql'
+    };
+    
+    const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    
+    const tokenizers = {};
+    const getTokenizer = (name) => {
+        if (tokenizers[name]) return tokenizers[name];
+        
+        const language = LANGUAGES[name];
+        const comments = language.comments.map(start => start === '/*'
+            ? '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'
+            : `${escapeRegExp(start)}[^\\n]*`);
+        const parts = [
+            `(${comments.join('|')})`,
+            '("(?:\\\\.|[^"\\\\\\n])*"?|\'(?:\\\\.|[^\'\\\\\\n])*\'?|`(?:\\\\.|[^`\\\\])*`?)',
+            '(\\b\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b|\\b0x[0-9a-f]+\\b)',
+            `(\\b(?:${language.keywords.join('|')})\\b)`
+        ];
+        
+        tokenizers[name] = new RegExp(parts.join('|'), language.caseInsensitive ? 'gi' : 'g');
+        return tokenizers[name];
+    };
+    
+    const highlight = (code, lang) => {
+        const name = LANGUAGE_ALIASES[(lang || '').toLowerCase()];
+        if (!name) return escape(code);
+        
+        const pattern = getTokenizer(name);
+        const classes = ['tok-comment', 'tok-string', 'tok-number', 'tok-keyword'];
+        let html = '';
+        let last = 0;
+        let match;
+        
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(code)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            const group = match.slice(1).findIndex(Boolean);
+            html += escape(code.slice(last, match.index));
+            html += `<span class="${classes[group]}">${escape(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + escape(code.slice(last));
+    };
+    
+    // ----- Inline formatting -----
+    const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]*[^\s<>"'`.,:;!?)\]}]/gi;
+    
+    const linkFor = (url) => {
+        const href = /^www\./i.test(url) ? `https://${url}` : url;
+        return `<a href="${escape(href)}" rel="noopener noreferrer" target="_blank">${escape(url)}</a>`;
+    };
+    
+    // Code spans and links are set aside as placeholders so emphasis can't reach into them
+    const renderInline = (text, decorateText) => {
+        const protectedHtml = [];
+        const protect = (html) => `\u0000${protectedHtml.push(html) - 1}\u0000`;
+        
+        let working = text
+            .replace(/`([^`\n]+)`/g, (match, code) => protect(`<code>${escape(code)}</code>`))
+            .replace(URL_PATTERN, url => protect(linkFor(url)));
+        
+        working = escape(working);
+        if (decorateText) working = decorateText(working);
+        
+        working = working
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            // An underscore after a backslash never opens emphasis, so ¯\_(ツ)_/¯ survives
+            .replace(/(^|[^\w\\])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>');
+        
+        return working.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedHtml[Number(index)]);
+    };
+    
+    // ----- Blocks -----
+    const LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const FENCE = /^\s*```\s*([\w+#-]*)\s*$/;
+    
+    const render = (source, { decorateText } = {}) => {
+        // Placeholders use NUL, so it must never come from the user
+        const lines = String(source || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        
+        const flushParagraph = () => {
+            if (paragraph.length === 0) return;
+            blocks.push(`<p>${paragraph.map(line => renderInline(line, decorateText)).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const fence = line.match(FENCE);
+            
+            if (fence) {
+                flushParagraph();
+                const code = [];
+                i++;
+                while (i < lines.length && !FENCE.test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                const lang = fence[1].toLowerCase();
+                const langClass = lang ? ` class="language-${escape(lang)}"` : '';
+                blocks.push(`<pre><code${langClass}>${highlight(code.join('\n'), lang)}</code></pre>`);
+                continue;
+            }
+            
+            if (/^\s*>/.test(line)) {
+                flushParagraph();
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                i--;
+                blocks.push(`<blockquote>${quoted.map(text => renderInline(text, decorateText)).join('<br>')}</blockquote>`);
+                continue;
+            }
+            
+            const item = line.match(LIST_ITEM);
+            if (item) {
+                flushParagraph();
+                const ordered = /\d/.test(item[1]);
+                const items = [];
+                while (i < lines.length) {
+                    const next = lines[i].match(LIST_ITEM);
+                    if (!next || /\d/.test(next[1]) !== ordered) break;
+                    items.push(`<li>${renderInline(next[2], decorateText)}</li>`);
+                    i++;
+                }
+                i--;
+                const tag = ordered ? 'ol' : 'ul';
+                blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+                continue;
+            }
+            
+            if (line.trim() === '') {
+                flushParagraph();
+            } else {
+                paragraph.push(line);
+            }
+        }
+        flushParagraph();
+        
+        return sanitize(blocks.join(''));
+    };
+    
+    // ----- Sanitizer -----
+    // Parses into an inert <template> and keeps only allow-listed tags, attributes,
+    // classes and link protocols; anything else is reduced to its text.
+    const sanitize = (html, doc = typeof document !== 'undefined' ? document : null) => {
+        const template = doc.createElement('template');
+        template.innerHTML = html;
+        
+        const clean = (node) => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === 3) return;
+                
+                if (child.nodeType !== 1 || !ALLOWED_TAGS[child.nodeName]) {
+                    const text = child.nodeType === 1 ? child.textContent : '';
+                    child.replaceWith(doc.createTextNode(text));
+                    return;
+                }
+                
+                const allowedAttributes = ALLOWED_TAGS[child.nodeName];
+                Array.from(child.attributes).forEach(attribute => {
+                    if (!allowedAttributes.includes(attribute.name)) {
+                        child.removeAttribute(attribute.name);
+                    }
+                });
+                
+                if (child.hasAttribute('class')) {
+                    const classes = child.getAttribute('class').split(/\s+/).filter(name => ALLOWED_CLASS.test(name));
+                    if (classes.length) {
+                        child.setAttribute('class', classes.join(' '));
+                    } else {
+                        child.removeAttribute('class');
+                    }
+                }
+                
+                if (child.nodeName === 'A') {
+                    let url = null;
+                    try {
+                        url = new URL(child.getAttribute('href') || '');
+                    } catch (error) {
+                        url = null;
+                    }
+                    if (!url || !SAFE_PROTOCOLS.includes(url.protocol)) {
+                        child.replaceWith(doc.createTextNode(child.textContent));
+                        return;
+                    }
+                    child.setAttribute('rel', 'noopener noreferrer');
+                    child.setAttribute('target', '_blank');
+                }
+                
+                clean(child);
+            });
+        };
+        
+        clean(template.content);
+        return template.innerHTML;
+    };
+    
+    return { render, sanitize, highlight, escape };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = markdown;
+}
@@ -1,13 +1,43 @@
 const express = require('express');
 const http = require('http');
+const cluster = require('cluster');
 const socketIO = require('socket.io');
+const { createAdapter } = require('@socket.io/cluster-adapter');
+const { setupWorker } = require('@socket.io/sticky');
 const path = require('path');
+const fs = require('fs');
 const cors = require('cors'); // Add this line
+const crypto = require('crypto');
+const { createMessageStore, createMessageId } = require('./lib/store');
+const { createAccountStore } = require('./lib/accounts');
+const { createTokenService, createAuthRouter, createSocketAuth, authenticateRequest, authenticateUploader } = require('./lib/auth');
+const { createEventGuard, schemas, validate, MESSAGE_ID_PATTERN, MESSAGE_MAX_LENGTH } = require('./lib/validation');
+const { createFloodControl, BOT_CONFIG } = require('./lib/flood-control');
+const { findMentions } = require('./lib/mentions');
+const { parseQuery, buildSnippet } = require('./lib/search');
+const { createCommandRegistry, isCommand } = require('./lib/commands');
+const { createModerationStore, createModerationRouter, hasRole, roleRank } = require('./lib/moderation');
+const { createMessagePipeline, DEFAULT_CONFIG: DEFAULT_FILTER_CONFIG } = require('./lib/filters');
+const { createAttachmentStorage } = require('./lib/attachments');
+const { createUploadService } = require('./lib/uploads');
+const { createSharedState } = require('./lib/shared-state');
+const { createTranscriptRouter } = require('./lib/transcripts');
+const { createWebhookStore, createWebhookDispatcher, createWebhookRouter, createIncomingHookRouter, INCOMING_HOOK_PATH } = require('./lib/webhooks');
+const { createBotStore, createBotRouter, authenticateBot, getBotKey, commandAnswerSchema } = require('./lib/bots');
+const compression = require('compression');
+const rateLimit = require('express-rate-limit');
 
 const app = express();
 const server = http.createServer(app);
 
 // ===== MIDDLEWARE CONFIGURATION =====
+// TRUST_PROXY=<hops> when running behind a reverse proxy (e.g. 1 on Render),
+// so client IPs come from X-Forwarded-For
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY, 10) || 0;
+if (TRUST_PROXY) {
+    app.set('trust proxy', TRUST_PROXY);
+}
+
 // Enable CORS for production
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
@@ -27,6 +57,21 @@ app.use((req, res, next) => {
     next();
 });
 
+// Compression
+app.use(compression());
+
+// Rate limiting (must be registered before the routes it protects)
+const limiter = rateLimit({
+    windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 15) * 60 * 1000, // minutes
+    limit: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100, // requests per IP per window
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { success: false, error: 'Too many requests from this IP' },
+    // Bots have per-bot limits of their own (see FLOOD CONTROL)
+    skip: (req) => Boolean(botStore.findByKey(getBotKey(req)))
+});
+app.use('/api/', limiter);
+
 // ===== SOCKET.IO CONFIGURATION =====
 const io = socketIO(server, {
     cors: {
@@ -40,18 +85,1374 @@ const io = socketIO(server, {
     allowEIO3: true, // Socket.IO v2 compatibility
     pingTimeout: 60000, // Increase for Render
     pingInterval: 25000,
-    cookie: false
+    cookie: false,
+    maxHttpBufferSize: 1e5, // Nothing a client sends over the socket comes close to 100 KB
+    // Brief disconnects keep the same socket id, rooms and any packets missed meanwhile
+    connectionStateRecovery: {
+        maxDisconnectionDuration: 2 * 60 * 1000,
+        skipMiddlewares: true
+    }
+});
+
+// ===== CLUSTER MODE =====
+// Started by cluster.js this process is one of several workers behind a single
+// port: broadcasts reach every worker's sockets through the cluster adapter and
+// presence, rooms, accounts and moderation live in the shared state.
+const CLUSTERED = cluster.isWorker;
+if (CLUSTERED) {
+    io.adapter(createAdapter());
+}
+const sharedState = createSharedState({ type: CLUSTERED ? 'cluster' : 'memory' });
+
+// ===== AUTHENTICATION =====
+// ALLOW_GUESTS=false requires every socket to present a session token
+const GUESTS_ALLOWED = process.env.ALLOW_GUESTS !== 'false';
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL, 10) || 7 * 24 * 60 * 60;
+
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️ JWT_SECRET is not set, using a random secret: sessions will not survive a restart');
+}
+
+const accountStore = createAccountStore({
+    path: process.env.ACCOUNTS_PATH,
+    replication: sharedState.channel('accounts')
+});
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const tokenService = createTokenService({
+    secret: JWT_SECRET,
+    ttlSeconds: SESSION_TTL_SECONDS
+});
+// Every socket is handed an upload token on connect, guests included. They are
+// signed with their own key so one can never pass for a session token.
+const uploadTokenService = createTokenService({
+    secret: crypto.createHmac('sha256', JWT_SECRET).update('uploads').digest('hex'),
+    ttlSeconds: SESSION_TTL_SECONDS
+});
+
+// Bot accounts and their API keys (see lib/bots.js)
+const botStore = createBotStore({
+    path: process.env.BOTS_PATH,
+    replication: sharedState.channel('bots')
+});
+
+io.use(createSocketAuth({
+    accounts: accountStore,
+    tokens: tokenService,
+    guestsAllowed: GUESTS_ALLOWED,
+    bots: botStore
+}));
+
+// ===== FLOOD CONTROL =====
+// SOCKET_RATE_LIMITS: JSON overrides for lib/flood-control.js defaults, e.g.
+// {"limits":{"send-message":{"socket":{"capacity":3,"perSecond":0.5}}},"escalation":{"muteAfter":3}}
+// BOT_RATE_LIMITS does the same for bots, whose limits are kept apart from people's
+const parseRateLimitOverrides = (variable) => {
+    if (!process.env[variable]) return {};
+    try {
+        return JSON.parse(process.env[variable]);
+    } catch (error) {
+        console.error(`⚠️ Ignoring invalid ${variable}:`, error.message);
+        return {};
+    }
+};
+
+const floodControl = createFloodControl(parseRateLimitOverrides('SOCKET_RATE_LIMITS'));
+const botFloodControl = createFloodControl(parseRateLimitOverrides('BOT_RATE_LIMITS'), BOT_CONFIG);
+
+// Behind a trusted proxy the real client is the first X-Forwarded-For entry
+const getClientIp = (socket) => {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (TRUST_PROXY && forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+};
+
+// ===== MESSAGE HISTORY =====
+// MESSAGE_STORE: memory (default) | file | sqlite
+const messageStore = createMessageStore({
+    type: process.env.MESSAGE_STORE,
+    path: process.env.MESSAGE_STORE_PATH
+});
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 50;
+
+// History is a nice-to-have: a failing store must never break the live chat
+const loadHistory = (room) => messageStore.recent(room, HISTORY_LIMIT)
+    .catch(error => {
+        console.error(`Failed to load history for ${room}:`, error.message);
+        return [];
+    });
+
+const saveMessage = (message) => messageStore.save(message)
+    .catch(error => console.error(`Failed to save message ${message.messageId}:`, error.message));
+
+// ===== ATTACHMENTS =====
+// UPLOAD_STORAGE: disk (default), under UPLOAD_DIR
+const uploads = createUploadService({
+    storage: createAttachmentStorage({
+        type: process.env.UPLOAD_STORAGE,
+        dir: process.env.UPLOAD_DIR
+    }),
+    maxBytes: (parseFloat(process.env.UPLOAD_MAX_MB) || 10) * 1024 * 1024,
+    allowedTypes: process.env.UPLOAD_ALLOWED_TYPES
+        ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+        : undefined
+});
+
+// Swaps the upload ids a client sent for their stored metadata
+const resolveAttachments = (ids) => {
+    if (!ids || ids.length === 0) return Promise.resolve({ success: true, attachments: [] });
+    
+    return uploads.resolve([...new Set(ids)]).then(attachments => attachments.includes(null)
+        ? { success: false, code: 'NOT_FOUND', error: 'An attachment could not be found; try uploading it again' }
+        : { success: true, attachments });
+};
+
+const EMPTY_MESSAGE = { success: false, code: 'INVALID_PAYLOAD', error: 'message must not be empty', field: 'message' };
+
+// ===== DELIVERY RECEIPTS =====
+// Client-generated ids make resends idempotent: the same clientId from the same
+// user within this window gets the original message back instead of a duplicate.
+// Per process: in cluster mode a resend that reaches another worker isn't recognized.
+const RECENT_CLIENT_IDS_MAX = 2000;
+const recentClientIds = new Map();
+
+const rememberClientId = (userId, clientId, message) => {
+    if (!clientId) return;
+    recentClientIds.set(`${userId}:${clientId}`, message);
+    if (recentClientIds.size > RECENT_CLIENT_IDS_MAX) {
+        recentClientIds.delete(recentClientIds.keys().next().value);
+    }
+};
+
+const findByClientId = (userId, clientId) => clientId ? recentClientIds.get(`${userId}:${clientId}`) : null;
+
+// Who has already acknowledged which message, so authors hear about each reader
+// once (per process, like recentClientIds)
+const RECEIPTS_MAX = 5000;
+const receipts = new Map();
+
+const recordReceipt = (messageId, status, userId) => {
+    let entry = receipts.get(messageId);
+    if (!entry) {
+        entry = { delivered: new Set(), read: new Set() };
+        receipts.set(messageId, entry);
+        if (receipts.size > RECEIPTS_MAX) {
+            receipts.delete(receipts.keys().next().value);
+        }
+    }
+    
+    // Reading a message implies it was delivered
+    const statuses = status === 'read' ? ['delivered', 'read'] : ['delivered'];
+    const fresh = statuses.filter(name => !entry[name].has(userId));
+    fresh.forEach(name => entry[name].add(userId));
+    return fresh.length > 0;
+};
+
+// Only someone the message was actually sent to may acknowledge it
+const canReceive = (user, message) => {
+    if (message.conversationId) return message.toUserId === user.userId;
+    return user.rooms.includes(message.room);
+};
+
+// ===== CHANGING SENT MESSAGES =====
+// MESSAGE_EDIT_WINDOW: seconds after sending during which a message can still
+// be edited (0 = no limit). Authors can always delete their own messages.
+const MESSAGE_EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW, 10) || 0) * 1000;
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// Everyone who received the original message
+const audienceOf = (message) => message.conversationId
+    ? io.to(userChannel(message.userId)).to(userChannel(message.toUserId))
+    : io.to(roomChannel(message.room));
+
+const MESSAGE_NOT_FOUND = { success: false, code: 'NOT_FOUND', error: 'Message not found' };
+
+const checkAuthor = (message, userId) => {
+    if (!message || message.deleted) return MESSAGE_NOT_FOUND;
+    if (message.userId !== userId) {
+        return { success: false, code: 'FORBIDDEN', error: 'You can only change your own messages' };
+    }
+    return null;
+};
+
+// Read-modify-write of a stored message, serialized per messageId so that
+// concurrent edits and reactions never overwrite each other. The queue is per
+// process, so in cluster mode two workers changing one message at once still can.
+// `change(message)` returns an error response, or { success, message, changed }
+// where an unchanged message is neither saved nor announced.
+const messageLocks = new Map();
+
+const updateStoredMessage = (messageId, change) => {
+    const previous = messageLocks.get(messageId) || Promise.resolve();
+    const update = previous
+        .then(() => messageStore.get(messageId))
+        .then(message => {
+            const result = change(message);
+            if (!result.success || result.changed === false) return result;
+            return messageStore.save(result.message).then(() => result);
+        });
+    
+    const settled = update.catch(() => {}).then(() => {
+        if (messageLocks.get(messageId) === settled) messageLocks.delete(messageId);
+    });
+    messageLocks.set(messageId, settled);
+    return update;
+};
+
+// Reactions are stored on the message already aggregated:
+// [{ emoji, count, users: [{ userId, username }] }], in first-use order
+const applyReaction = (reactions = [], emoji, user, adding) => {
+    const existing = reactions.find(reaction => reaction.emoji === emoji);
+    const reacted = Boolean(existing && existing.users.some(entry => entry.userId === user.userId));
+    
+    if (adding === reacted) return null;
+    
+    if (adding) {
+        const entry = { userId: user.userId, username: user.username };
+        return existing
+            ? reactions.map(reaction => reaction === existing
+                ? { ...reaction, count: reaction.count + 1, users: reaction.users.concat(entry) }
+                : reaction)
+            : reactions.concat({ emoji, count: 1, users: [entry] });
+    }
+    
+    return reactions
+        .map(reaction => reaction === existing
+            ? { ...reaction, count: reaction.count - 1, users: reaction.users.filter(entry => entry.userId !== user.userId) }
+            : reaction)
+        .filter(reaction => reaction.count > 0);
+};
+
+// ===== THREADS =====
+// Replies are ordinary room messages with a `parentId`; the parent keeps a
+// reply count, a preview of the latest reply and who has taken part.
+const THREAD_LIMIT = 200;
+const THREAD_PREVIEW_LENGTH = 100;
+const THREAD_PARTICIPANTS_MAX = 50;
+
+const threadPreview = (reply) => ({
+    messageId: reply.messageId,
+    userId: reply.userId,
+    username: reply.username,
+    message: (reply.message || (reply.attachments ? `📎 ${reply.attachments[0].name}` : '')).substring(0, THREAD_PREVIEW_LENGTH),
+    timestamp: reply.timestamp
+});
+
+const announceThread = (parent) => {
+    io.to(roomChannel(parent.room)).emit('thread-updated', {
+        messageId: parent.messageId,
+        room: parent.room,
+        replyCount: parent.replyCount,
+        lastReply: parent.lastReply
+    });
+};
+
+const recordReply = (reply) => updateStoredMessage(reply.parentId, (parent) => {
+    if (!parent) return MESSAGE_NOT_FOUND;
+    
+    const participants = parent.threadParticipants || [];
+    return {
+        success: true,
+        message: {
+            ...parent,
+            replyCount: (parent.replyCount || 0) + 1,
+            lastReply: threadPreview(reply),
+            threadParticipants: participants.includes(reply.userId)
+                ? participants
+                : participants.concat(reply.userId).slice(-THREAD_PARTICIPANTS_MAX)
+        }
+    };
+}).then(result => {
+    if (!result.success) return;
+    
+    const parent = result.message;
+    announceThread(parent);
+    
+    // The author of the parent and everyone who replied before hear about it
+    const notify = new Set([parent.userId, ...parent.threadParticipants]);
+    notify.delete(reply.userId);
+    notify.forEach(userId => {
+        io.to(userChannel(userId)).emit('thread-reply', {
+            parentId: parent.messageId,
+            room: parent.room,
+            message: reply
+        });
+    });
+}).catch(error => console.error(`Failed to record reply to ${reply.parentId}:`, error.message));
+
+// The other way round for a deleted reply: one reply fewer, and if it was the
+// one previewed, the latest reply still standing takes its place
+const removeReply = (reply) => messageStore.replies(reply.room, reply.parentId, THREAD_LIMIT)
+    .then(replies => {
+        const latest = replies.filter(entry => !entry.deleted && entry.messageId !== reply.messageId).pop();
+        return updateStoredMessage(reply.parentId, (parent) => {
+            if (!parent) return MESSAGE_NOT_FOUND;
+            
+            const previewed = parent.lastReply && parent.lastReply.messageId === reply.messageId;
+            return {
+                success: true,
+                message: {
+                    ...parent,
+                    replyCount: Math.max((parent.replyCount || 0) - 1, 0),
+                    lastReply: previewed ? (latest ? threadPreview(latest) : undefined) : parent.lastReply
+                }
+            };
+        });
+    })
+    .then(result => {
+        if (result.success) announceThread(result.message);
+    })
+    .catch(error => console.error(`Failed to remove reply from ${reply.parentId}:`, error.message));
+
+// ===== STORE ACTIVE USERS =====
+// Socket id -> user, across all processes. Entries are plain data: after
+// changing one, set() it again so the other workers see the change.
+const activeUsers = sharedState.map('users', { perProcess: true });
+
+// Only these fields are ever sent to clients (never the IP address)
+const toPublicUser = (user) => ({
+    id: user.id,
+    userId: user.userId,
+    username: user.username,
+    guest: user.guest,
+    bot: user.bot,
+    role: user.role,
+    rooms: user.rooms,
+    connectedAt: user.connectedAt,
+    lastSeen: user.lastSeen
+});
+
+// ===== ROOMS =====
+const DEFAULT_ROOM = 'general';
+const ROOM_NAME_MAX_LENGTH = 30;
+const ROOM_TOPIC_MAX_LENGTH = 200;
+const rooms = sharedState.map('rooms');
+
+// A restarted worker must not reset the default room the others already share
+sharedState.ready().then(() => {
+    if (rooms.has(DEFAULT_ROOM)) return;
+    rooms.set(DEFAULT_ROOM, {
+        name: DEFAULT_ROOM,
+        createdAt: new Date().toISOString(),
+        createdBy: null,
+        ownerId: null,
+        topic: null
+    });
+});
+
+// "#Dev Ops" -> "dev-ops"; returns null when nothing usable is left
+const normalizeRoomName = (name) => {
+    if (typeof name !== 'string') return null;
+    const normalized = name
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .replace(/[^a-z0-9_-]/g, '')
+        .substring(0, ROOM_NAME_MAX_LENGTH);
+    return normalized || null;
+};
+
+// Socket.IO rooms share a namespace with socket ids, so prefix ours
+const roomChannel = (room) => `room:${room}`;
+
+// Every socket of a user joins this channel; direct messages are only ever sent here
+const userChannel = (userId) => `user:${userId}`;
+
+// Same key for both participants, regardless of who sent the message
+const directConversationId = (userA, userB) => `dm:${[userA, userB].sort().join(':')}`;
+
+// Answer through the ack callback if the client sent one, otherwise report failures as 'error'
+const respond = (socket, callback, payload) => {
+    if (typeof callback === 'function') {
+        callback(payload);
+    } else if (!payload.success) {
+        socket.emit('error', { code: payload.code || 'REQUEST_FAILED', message: payload.error });
+    }
+};
+
+const getRoomUsers = (room) => Array.from(activeUsers.values())
+    .filter(user => user.rooms.includes(room))
+    .map(toPublicUser);
+
+// ===== PRESENCE =====
+// What other users see: one entry per user, however many tabs they have open.
+// A status the user picks (busy, do not disturb...) applies to all of their
+// tabs; a user who is just "online" shows as away once every tab is idle.
+// Signed-in users who went offline stay listed for a while with their last seen time.
+const OFFLINE_VISIBLE_MS = (parseInt(process.env.PRESENCE_OFFLINE_HOURS, 10) || 24) * 60 * 60 * 1000;
+const OFFLINE_LIST_MAX = 50;
+const userStatuses = sharedState.map('statuses');
+const lastSeenUsers = sharedState.map('last-seen');
+
+const sessionsOf = (userId) => Array.from(activeUsers.values()).filter(user => user.userId === userId);
+
+const countOnlineUsers = () => new Set(Array.from(activeUsers.values(), user => user.userId)).size;
+
+const chosenStatus = (userId) => userStatuses.get(userId) || { status: 'online', text: null };
+
+const effectiveStatus = (userId, sessions) => {
+    const { status } = chosenStatus(userId);
+    if (status !== 'online') return status;
+    return sessions.length > 0 && sessions.every(session => session.idle) ? 'away' : 'online';
+};
+
+// The longest-connected session stands in for the user, so the entry's id
+// (what direct messages are addressed to) stays put while other tabs come and go
+const toPresence = (sessions) => {
+    const first = sessions.reduce((oldest, session) => session.connectedAt < oldest.connectedAt ? session : oldest);
+    return {
+        ...toPublicUser(first),
+        rooms: Array.from(new Set(sessions.flatMap(session => session.rooms))),
+        lastSeen: sessions.reduce((latest, session) => session.lastSeen > latest ? session.lastSeen : latest, first.lastSeen),
+        sessions: sessions.length,
+        status: effectiveStatus(first.userId, sessions),
+        statusText: chosenStatus(first.userId).text
+    };
+};
+
+// Online users (in `room`, if given), then recently seen offline ones when `offline` is set
+const listPresence = ({ room, offline = false } = {}) => {
+    const byUser = new Map();
+    activeUsers.forEach(session => {
+        if (!byUser.has(session.userId)) byUser.set(session.userId, []);
+        byUser.get(session.userId).push(session);
+    });
+    
+    const online = Array.from(byUser.values())
+        .filter(sessions => !room || sessions.some(session => session.rooms.includes(room)))
+        .map(toPresence);
+    if (!offline) return online;
+    
+    const cutoff = Date.now() - OFFLINE_VISIBLE_MS;
+    const away = Array.from(lastSeenUsers.values())
+        .filter(entry => !byUser.has(entry.userId) && Date.parse(entry.lastSeen) > cutoff)
+        .filter(entry => !room || entry.rooms.includes(room))
+        .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+        .slice(0, OFFLINE_LIST_MAX)
+        .map(entry => ({ ...entry, id: null, sessions: 0, status: 'offline', statusText: null }));
+    return online.concat(away);
+};
+
+// Called once a user's last session is gone. Guests are forgotten entirely.
+const recordDeparture = (user) => {
+    if (sessionsOf(user.userId).length > 0) return;
+    
+    if (user.guest) {
+        userStatuses.delete(user.userId);
+        return;
+    }
+    
+    const now = Date.now();
+    lastSeenUsers.forEach((entry, userId) => {
+        if (Date.parse(entry.lastSeen) <= now - OFFLINE_VISIBLE_MS) lastSeenUsers.delete(userId);
+    });
+    lastSeenUsers.set(user.userId, {
+        userId: user.userId,
+        username: user.username,
+        guest: false,
+        bot: user.bot,
+        role: user.role,
+        rooms: user.rooms,
+        lastSeen: new Date(now).toISOString()
+    });
+};
+
+// Whether another tab of the same user is in the room, so joins and leaves
+// of individual tabs aren't announced
+const inRoomElsewhere = (user, room) => sessionsOf(user.userId)
+    .some(session => session.id !== user.id && session.rooms.includes(room));
+
+const broadcastPresence = (userId) => {
+    new Set(sessionsOf(userId).flatMap(session => session.rooms)).forEach(broadcastRoomUsers);
+};
+
+// ===== TYPING INDICATORS =====
+// Who is typing in which room, per socket. Entries expire on their own unless
+// the client keeps refreshing them, so a client that drops mid-sentence never
+// leaves a stale indicator behind. Rooms always get the full list of typers.
+const TYPING_EXPIRY_MS = 5000;
+const typingEntries = sharedState.map('typing', { perProcess: true });
+const typingTimers = new Map();
+
+const typingKey = (room, socketId) => `${room}/${socketId}`;
+
+// One entry per user (several tabs typing count once), earliest first
+const getTypers = (room) => {
+    const typers = new Map();
+    Array.from(typingEntries.values())
+        .filter(entry => entry.room === room)
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .forEach(entry => {
+            if (!typers.has(entry.userId)) typers.set(entry.userId, { userId: entry.userId, username: entry.username });
+        });
+    return Array.from(typers.values());
+};
+
+const broadcastTypers = (room) => {
+    io.to(roomChannel(room)).emit('typing-update', { room, typers: getTypers(room) });
+};
+
+const stopTyping = (socketId, room) => {
+    const key = typingKey(room, socketId);
+    clearTimeout(typingTimers.get(key));
+    typingTimers.delete(key);
+    if (typingEntries.delete(key)) broadcastTypers(room);
+};
+
+// Starts or refreshes; only a new typer changes what the room sees
+const startTyping = (user, room) => {
+    const key = typingKey(room, user.id);
+    const existing = typingEntries.get(key);
+    
+    clearTimeout(typingTimers.get(key));
+    typingTimers.set(key, setTimeout(() => stopTyping(user.id, room), TYPING_EXPIRY_MS));
+    if (existing && existing.username === user.username) return;
+    
+    typingEntries.set(key, {
+        room,
+        socketId: user.id,
+        userId: user.userId,
+        username: user.username,
+        startedAt: existing ? existing.startedAt : Date.now()
+    });
+    broadcastTypers(room);
+};
+
+const stopAllTyping = (socketId) => {
+    Array.from(typingEntries.values())
+        .filter(entry => entry.socketId === socketId)
+        .forEach(entry => stopTyping(socketId, entry.room));
+};
+
+// Mentions resolve against whoever is in the room right now, never the author
+const resolveMentions = (text, room, authorId) => findMentions(text, getRoomUsers(room))
+    .filter(mention => mention.userId !== authorId);
+
+const listRooms = () => Array.from(rooms.values()).map(room => ({
+    name: room.name,
+    topic: room.topic,
+    createdAt: room.createdAt,
+    userCount: listPresence({ room: room.name }).length
+}));
+
+const broadcastRoomUsers = (room) => {
+    io.to(roomChannel(room)).emit('active-users-update', {
+        room,
+        users: listPresence({ room, offline: true })
+    });
+};
+
+// Registered account names, bot and incoming webhook names, and names of
+// other online users can't be claimed
+const isUsernameTaken = (username, exceptSocketId) => {
+    const wanted = username.toLowerCase();
+    if (accountStore.findByUsername(wanted) || botStore.findByName(wanted)) return true;
+    if (webhookStore.listIncoming().some(hook => hook.name.toLowerCase() === wanted)) return true;
+    
+    return Array.from(activeUsers.values()).some(user =>
+        user.id !== exceptSocketId && user.username.toLowerCase() === wanted
+    );
+};
+
+const broadcastRoomList = () => {
+    io.emit('room-list', listRooms());
+};
+
+// ===== MODERATION =====
+// Roles come from the account (see lib/moderation.js); ADMIN_USERNAMES names
+// accounts that are always admins, so a fresh install has someone to start with.
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+const moderationStore = createModerationStore({
+    path: process.env.MODERATION_PATH,
+    replication: sharedState.channel('moderation')
+});
+
+const isConfiguredAdmin = (account) => ADMIN_USERNAMES.includes(account.username.toLowerCase());
+const roleOf = (account) => isConfiguredAdmin(account) ? 'admin' : account.role || 'member';
+
+// Guests are always members
+const roleOfUser = (userId) => {
+    const account = accountStore.findById(userId);
+    return account ? roleOf(account) : 'member';
+};
+
+// Online users first (guests only exist while online), then accounts
+const findUserById = (userId) => {
+    const online = Array.from(activeUsers.values()).find(user => user.userId === userId) ||
+        Array.from(pendingDepartures.values()).map(pending => pending.user).find(user => user.userId === userId);
+    if (online) return { userId, username: online.username };
+    
+    const account = accountStore.findById(userId);
+    return account ? { userId, username: account.username } : null;
+};
+
+const findUserByName = (username) => {
+    const wanted = username.toLowerCase();
+    const online = Array.from(activeUsers.values()).find(user => user.username.toLowerCase() === wanted);
+    if (online) return { userId: online.userId, username: online.username };
+    
+    const account = accountStore.findByUsername(username);
+    return account ? { userId: account.id, username: account.username } : null;
+};
+
+const MODERATORS_ONLY = { success: false, code: 'FORBIDDEN', error: 'Only moderators can do that' };
+
+// Returns an error response when `actor` may not act on `userId`, otherwise null
+const checkTarget = (actor, userId) => {
+    if (!hasRole(actor.role, 'moderator')) return MODERATORS_ONLY;
+    if (userId === actor.userId) {
+        return { success: false, code: 'FORBIDDEN', error: 'You cannot moderate yourself' };
+    }
+    if (!findUserById(userId)) {
+        return { success: false, code: 'NOT_FOUND', error: 'No such user' };
+    }
+    if (roleRank(roleOfUser(userId)) >= roleRank(actor.role)) {
+        return { success: false, code: 'FORBIDDEN', error: 'You cannot moderate someone with the same or a higher role' };
+    }
+    return null;
+};
+
+// Tells the rooms a user is in what happened to them
+const announceModeration = (userId, notice) => {
+    const rooms = new Set();
+    activeUsers.forEach(user => {
+        if (user.userId === userId) user.rooms.forEach(room => rooms.add(room));
+    });
+    rooms.forEach(room => io.to(roomChannel(room)).emit('moderation-notice', {
+        ...notice,
+        room,
+        time: new Date().toLocaleTimeString()
+    }));
+};
+
+const untilFrom = (seconds) => seconds ? new Date(Date.now() + seconds * 1000).toISOString() : null;
+
+// Blocks sending for muted users; null when they may speak
+const checkMuted = (userId) => {
+    const mute = moderationStore.getMute(userId);
+    if (!mute) return null;
+    return {
+        success: false,
+        code: 'MUTED',
+        error: `You are muted until ${new Date(mute.expiresAt).toLocaleTimeString()}`,
+        until: mute.expiresAt
+    };
+};
+
+// Shared by the socket events, the slash commands and the REST router. Each takes
+// the acting { userId, username, role } and a validated payload, and returns a
+// response object (or a promise of one).
+const moderationActions = {
+    kick: (actor, { userId, reason }) => {
+        const denied = checkTarget(actor, userId);
+        if (denied) return denied;
+        
+        const target = findUserById(userId);
+        if (!Array.from(activeUsers.values()).some(user => user.userId === userId)) {
+            return { success: false, code: 'NOT_FOUND', error: `${target.username} is not online` };
+        }
+        
+        announceModeration(userId, { action: 'kick', username: target.username, by: actor.username, reason });
+        io.to(userChannel(userId)).emit('kicked', { by: actor.username, reason });
+        io.in(userChannel(userId)).disconnectSockets(true);
+        
+        const entry = moderationStore.record({ action: 'kick', actor, target, reason });
+        console.log(`🛡️ ${actor.username} kicked ${target.username}`);
+        return { success: true, entry };
+    },
+    
+    mute: (actor, { userId, duration, reason }) => {
+        const denied = checkTarget(actor, userId);
+        if (denied) return denied;
+        
+        const target = findUserById(userId);
+        const mute = moderationStore.setMute({ ...target, by: actor.username, reason, expiresAt: untilFrom(duration) });
+        
+        announceModeration(userId, { action: 'mute', username: target.username, by: actor.username, reason, until: mute.expiresAt });
+        io.to(userChannel(userId)).emit('muted', { by: actor.username, reason, until: mute.expiresAt });
+        
+        const entry = moderationStore.record({ action: 'mute', actor, target, reason, duration, expiresAt: mute.expiresAt });
+        console.log(`🛡️ ${actor.username} muted ${target.username} for ${duration}s`);
+        return { success: true, entry };
+    },
+    
+    unmute: (actor, { userId }) => {
+        if (!hasRole(actor.role, 'moderator')) return MODERATORS_ONLY;
+        
+        const mute = moderationStore.removeMute(userId);
+        if (!mute) {
+            return { success: false, code: 'NOT_FOUND', error: 'That user is not muted' };
+        }
+        
+        const target = { userId, username: mute.username };
+        io.to(userChannel(userId)).emit('unmuted', { by: actor.username });
+        
+        const entry = moderationStore.record({ action: 'unmute', actor, target });
+        return { success: true, entry };
+    },
+    
+    ban: (actor, { userId, byIp, ip, duration, reason }) => {
+        if (!hasRole(actor.role, 'moderator')) return MODERATORS_ONLY;
+        if (!userId && !ip) {
+            return { success: false, code: 'INVALID_PAYLOAD', error: 'Either userId or ip is required' };
+        }
+        
+        let target = null;
+        if (userId) {
+            const denied = checkTarget(actor, userId);
+            if (denied) return denied;
+            target = findUserById(userId);
+        }
+        
+        // byIp adds every address the user is connected from right now
+        const ips = new Set(ip ? [ip] : []);
+        if (userId && byIp) {
+            activeUsers.forEach(user => {
+                if (user.userId === userId && user.ip) ips.add(user.ip);
+            });
+        }
+        
+        // Never lock out staff who happen to share an address (or the actor's own)
+        const protectedUser = Array.from(activeUsers.values()).find(user =>
+            ips.has(user.ip) && (user.userId === actor.userId || roleRank(roleOfUser(user.userId)) >= roleRank(actor.role))
+        );
+        if (protectedUser) {
+            return { success: false, code: 'FORBIDDEN', error: `That IP address is also used by ${protectedUser.username}` };
+        }
+        
+        const ban = moderationStore.addBan({
+            userId: target ? target.userId : undefined,
+            username: target ? target.username : undefined,
+            ips: Array.from(ips),
+            by: actor.username,
+            reason,
+            expiresAt: untilFrom(duration)
+        });
+        
+        if (target) {
+            announceModeration(target.userId, { action: 'ban', username: target.username, by: actor.username, reason });
+        }
+        
+        // Everyone the ban matches goes now; the connection handler keeps them out
+        const notice = { by: actor.username, reason, until: ban.expiresAt };
+        activeUsers.forEach(user => {
+            if ((target && user.userId === target.userId) || ips.has(user.ip)) {
+                io.to(user.id).emit('banned', notice);
+                io.in(user.id).disconnectSockets(true);
+            }
+        });
+        
+        const entry = moderationStore.record({ action: 'ban', actor, target, ips: ban.ips, reason, duration, expiresAt: ban.expiresAt, banId: ban.id });
+        console.log(`🛡️ ${actor.username} banned ${target ? target.username : ''} ${ban.ips.join(', ')}`.trim());
+        return { success: true, ban, entry };
+    },
+    
+    unban: (actor, { banId }) => {
+        if (!hasRole(actor.role, 'moderator')) return MODERATORS_ONLY;
+        
+        const ban = moderationStore.removeBan(banId);
+        if (!ban) {
+            return { success: false, code: 'NOT_FOUND', error: 'No such ban' };
+        }
+        
+        const target = ban.userId ? { userId: ban.userId, username: ban.username } : null;
+        const entry = moderationStore.record({ action: 'unban', actor, target, ips: ban.ips, banId });
+        return { success: true, entry };
+    },
+    
+    setRole: async (actor, { userId, role }) => {
+        if (!hasRole(actor.role, 'admin')) {
+            return { success: false, code: 'FORBIDDEN', error: 'Only admins can change roles' };
+        }
+        
+        const account = accountStore.findById(userId);
+        if (!account) {
+            return { success: false, code: 'NOT_FOUND', error: 'Only registered accounts can have a role' };
+        }
+        if (userId === actor.userId || isConfiguredAdmin(account)) {
+            return { success: false, code: 'FORBIDDEN', error: `The role of ${account.username} cannot be changed here` };
+        }
+        
+        const previousRole = roleOf(account);
+        await accountStore.setRole(userId, role);
+        
+        // Online sessions pick the new role up straight away
+        const rooms = new Set();
+        activeUsers.forEach(user => {
+            if (user.userId !== userId) return;
+            user.role = role;
+            activeUsers.set(user.id, user);
+            user.rooms.forEach(room => rooms.add(room));
+        });
+        rooms.forEach(broadcastRoomUsers);
+        io.to(userChannel(userId)).emit('role-updated', {
+            role,
+            by: actor.username,
+            commands: commandRegistry.list({ identity: { userId, guest: false }, role })
+        });
+        
+        const target = { userId, username: account.username };
+        const entry = moderationStore.record({ action: 'set-role', actor, target, role, previousRole });
+        return { success: true, entry };
+    }
+};
+
+// ===== MESSAGE FILTERS =====
+// MESSAGE_FILTERS: JSON pipeline config replacing the lib/filters defaults, e.g.
+// {"stages":[{"type":"words","file":"data/words.txt","action":"mask"},{"type":"links","max":2,"exemptRoles":["moderator"]}]}
+// MESSAGE_FILTERS_PATH: the same JSON read from a file instead
+const loadFilterConfig = () => {
+    const source = process.env.MESSAGE_FILTERS_PATH
+        ? () => fs.readFileSync(process.env.MESSAGE_FILTERS_PATH, 'utf8')
+        : () => process.env.MESSAGE_FILTERS;
+    try {
+        const raw = source();
+        return raw ? JSON.parse(raw) : DEFAULT_FILTER_CONFIG;
+    } catch (error) {
+        console.error('⚠️ Ignoring invalid message filter config:', error.message);
+        return DEFAULT_FILTER_CONFIG;
+    }
+};
+
+const messagePipeline = createMessagePipeline(loadFilterConfig());
+
+const FILTER_ACTOR = { userId: null, username: 'Message filter', role: 'system' };
+
+// Flagged messages are delivered, then written to the audit trail and shown to
+// the moderators online. Direct messages are reported without their text.
+const reportFlags = (message, flags) => {
+    if (!flags.length) return;
+    
+    const target = { userId: message.userId, username: message.username };
+    const reasons = flags.map(flag => `${flag.stage}: ${flag.reason}`);
+    const isDirect = Boolean(message.conversationId);
+    moderationStore.record({
+        action: 'flag',
+        actor: FILTER_ACTOR,
+        target,
+        messageId: message.messageId,
+        room: isDirect ? undefined : message.room,
+        reasons
+    });
+    console.log(`🚩 Flagged message ${message.messageId} from ${message.username}: ${reasons.join('; ')}`);
+    
+    const report = {
+        messageId: message.messageId,
+        room: isDirect ? null : message.room,
+        direct: isDirect,
+        username: message.username,
+        excerpt: isDirect ? null : message.message.substring(0, 100),
+        reasons,
+        timestamp: new Date().toISOString()
+    };
+    activeUsers.forEach(user => {
+        if (hasRole(roleOfUser(user.userId), 'moderator')) {
+            io.to(user.id).emit('message-flagged', report);
+        }
+    });
+};
+
+// Rejections go back to the sender as the send's error
+const filterRejection = (filtered) => ({
+    success: false,
+    code: 'MESSAGE_REJECTED',
+    filter: filtered.stage,
+    error: filtered.reason || 'Your message was blocked by a filter'
+});
+
+// ===== SLASH COMMANDS =====
+// Built-in commands; see lib/commands.js for how they are declared. Each runs
+// with { socket, user, identity, role, room, changeUsername } for the caller.
+const commandRegistry = createCommandRegistry({
+    permissions: {
+        everyone: () => true,
+        guest: (context) => context.identity.guest,
+        moderator: (context) => hasRole(context.role, 'moderator'),
+        admin: (context) => hasRole(context.role, 'admin')
+    }
+});
+
+// Names may contain spaces, so take the longest prefix that names someone
+const userArg = {
+    name: 'user',
+    required: true,
+    consume: (text) => {
+        const ends = [...text.matchAll(/\s/g)].map(match => match.index).concat(text.length).reverse();
+        const end = ends.find(index => findUserByName(text.slice(0, index)));
+        return end === undefined ? null : text.slice(0, end);
+    }
+};
+
+// Runs a moderation action for a command on the user named in `args.user`;
+// `done` words the reply to the moderator
+const moderateByName = (context, args, action, params, done) => {
+    const target = findUserByName(args.user);
+    if (!target) return { error: `No user called ${args.user}` };
+    
+    const actor = { userId: context.identity.userId, username: context.user.username, role: context.role };
+    return Promise.resolve(moderationActions[action](actor, { userId: target.userId, ...params }))
+        .then(result => result.success ? { reply: done(target.username) } : { error: result.error, code: result.code });
+};
+
+commandRegistry.register({
+    name: 'help',
+    description: 'List the available commands, or explain one',
+    args: [{ name: 'command' }],
+    run: (context, args) => {
+        if (args.command) {
+            const name = args.command.replace(/^\//, '').toLowerCase();
+            const command = commandRegistry.get(name);
+            if (!command) return { error: `There is no /${name} command` };
+            return { reply: `${commandRegistry.usageOf(command)}: ${command.description}` };
+        }
+        
+        const lines = commandRegistry.list(context).map(command => `${command.usage}: ${command.description}`);
+        return { reply: ['Available commands:', ...lines].join('\n') };
+    }
+});
+
+commandRegistry.register({
+    name: 'nick',
+    description: 'Change your display name',
+    permission: 'guest',
+    args: [{ name: 'name', required: true, rest: true, schema: schemas['update-username'] }],
+    run: (context, args) => {
+        const result = context.changeUsername(args.name);
+        return result.success
+            ? { reply: `You are now known as ${result.newUsername}` }
+            : { error: result.error };
+    }
+});
+
+commandRegistry.register({
+    name: 'me',
+    description: 'Describe what you are doing, e.g. /me waves',
+    args: [{ name: 'action', required: true, rest: true }],
+    run: (context, args) => ({ post: { message: args.action, action: true } })
+});
+
+commandRegistry.register({
+    name: 'shrug',
+    description: 'Append ¯\\_(ツ)_/¯ to your message',
+    args: [{ name: 'message', rest: true }],
+    run: (context, args) => ({ post: { message: args.message ? `${args.message} ¯\\_(ツ)_/¯` : '¯\\_(ツ)_/¯' } })
+});
+
+commandRegistry.register({
+    name: 'who',
+    description: 'List the people in this room',
+    run: (context) => {
+        const statuses = { away: 'away', busy: 'busy', dnd: 'do not disturb' };
+        const names = listPresence({ room: context.room })
+            .sort((a, b) => a.username.localeCompare(b.username))
+            .map(user => statuses[user.status] ? `${user.username} (${statuses[user.status]})` : user.username);
+        return { reply: `${names.length} ${names.length === 1 ? 'person' : 'people'} in #${context.room}: ${names.join(', ')}` };
+    }
 });
 
-// ===== STORE ACTIVE USERS =====
-const activeUsers = new Map();
+commandRegistry.register({
+    name: 'topic',
+    description: 'Show the room topic; its creator and moderators can set it ("-" clears it)',
+    args: [{ name: 'topic', rest: true, schema: { type: 'string', maxLength: ROOM_TOPIC_MAX_LENGTH } }],
+    run: (context, args) => {
+        const room = rooms.get(context.room);
+        if (!room) return { error: 'That room no longer exists' };
+        
+        if (!args.topic) {
+            return { reply: room.topic ? `Topic for #${room.name}: ${room.topic}` : `No topic is set for #${room.name}` };
+        }
+        
+        // Checked here rather than as the command's permission, since anyone may look
+        const isOwner = room.ownerId && room.ownerId === context.identity.userId;
+        if (!isOwner && !hasRole(context.role, 'moderator')) {
+            return { code: 'FORBIDDEN', error: `Only moderators and whoever created #${room.name} can change its topic` };
+        }
+        
+        room.topic = args.topic === '-' ? null : args.topic;
+        room.topicSetBy = context.user.username;
+        room.topicSetAt = new Date().toISOString();
+        rooms.set(room.name, room);
+        
+        io.to(roomChannel(room.name)).emit('room-topic', {
+            room: room.name,
+            topic: room.topic,
+            setBy: room.topicSetBy,
+            setAt: room.topicSetAt
+        });
+        broadcastRoomList();
+        
+        return {
+            scope: 'room',
+            reply: room.topic
+                ? `${context.user.username} set the topic to: ${room.topic}`
+                : `${context.user.username} cleared the topic`
+        };
+    }
+});
+
+commandRegistry.register({
+    name: 'kick',
+    description: 'Disconnect someone from the chat',
+    permission: 'moderator',
+    args: [userArg, { name: 'reason', rest: true }],
+    run: (context, args) => moderateByName(context, args, 'kick', { reason: args.reason }, name => `${name} was kicked`)
+});
+
+commandRegistry.register({
+    name: 'mute',
+    description: 'Stop someone from sending messages for a number of minutes',
+    permission: 'moderator',
+    args: [
+        userArg,
+        { name: 'minutes', required: true, schema: { type: 'string', pattern: /^\d{1,5}$/, patternMessage: 'minutes must be a whole number' } },
+        { name: 'reason', rest: true }
+    ],
+    run: (context, args) => {
+        const maxMinutes = schemas['mute-user'].properties.duration.max / 60;
+        const minutes = Number(args.minutes);
+        if (minutes < 1 || minutes > maxMinutes) {
+            return { error: `minutes must be between 1 and ${maxMinutes}` };
+        }
+        return moderateByName(context, args, 'mute', { duration: minutes * 60, reason: args.reason },
+            name => `${name} is muted for ${minutes} minute${minutes === 1 ? '' : 's'}`);
+    }
+});
+
+commandRegistry.register({
+    name: 'unmute',
+    description: 'Let a muted user send messages again',
+    permission: 'moderator',
+    args: [userArg],
+    run: (context, args) => moderateByName(context, args, 'unmute', {}, name => `${name} can send messages again`)
+});
+
+commandRegistry.register({
+    name: 'ban',
+    description: 'Ban someone, and the addresses they are connected from',
+    permission: 'moderator',
+    args: [userArg, { name: 'reason', rest: true }],
+    run: (context, args) => moderateByName(context, args, 'ban', { byIp: true, reason: args.reason }, name => `${name} was banned`)
+});
+
+commandRegistry.register({
+    name: 'role',
+    description: 'Make an account a member, moderator or admin',
+    permission: 'admin',
+    args: [userArg, { name: 'role', required: true, schema: schemas['set-role'].properties.role }],
+    run: (context, args) => moderateByName(context, args, 'setRole', { role: args.role }, name => `${name} is now a ${args.role}`)
+});
+
+commandRegistry.register({
+    name: 'clear',
+    description: 'Clear this conversation on your screen',
+    run: () => ({ action: 'clear' })
+});
+
+// ===== WEBHOOKS =====
+// Incoming hooks post into their room as a bot; every room message from a
+// person is offered to the outgoing hooks (see lib/webhooks.js).
+const webhookStore = createWebhookStore({
+    path: process.env.WEBHOOKS_PATH,
+    replication: sharedState.channel('webhooks')
+});
+
+const webhookDispatcher = createWebhookDispatcher({
+    store: webhookStore,
+    attempts: parseInt(process.env.WEBHOOK_ATTEMPTS, 10) || undefined,
+    retryMs: parseInt(process.env.WEBHOOK_RETRY_MS, 10) || undefined,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || undefined
+});
+
+// Integrations are set up by admins, so their messages skip the filter pipeline
+const postWebhookMessage = (hook, text) => {
+    const message = {
+        messageId: createMessageId(),
+        userId: `hook:${hook.id}`,
+        webhookId: hook.id,
+        bot: true,
+        room: hook.room,
+        message: text,
+        mentions: resolveMentions(text, hook.room, null),
+        time: new Date().toLocaleTimeString(),
+        timestamp: new Date().toISOString(),
+        username: hook.name
+    };
+    
+    console.log(`🪝 Webhook "${hook.name}" posted in #${hook.room}: ${text.substring(0, 50)}...`);
+    io.to(roomChannel(hook.room)).emit('new-message', message);
+    saveMessage(message);
+    return { success: true, message };
+};
+
+// ===== POSTING MESSAGES =====
+// Posts a chat message to a room, or to one of its threads, for a socket or a
+// bot's REST call. `author` is { userId, username, socketId?, bot? }; resolves
+// to the response for the sender.
+const publishRoomMessage = (author, data, room) => {
+    const muted = checkMuted(author.userId);
+    if (muted) {
+        return Promise.resolve(muted);
+    }
+    
+    if (!data.message && !(data.attachments && data.attachments.length)) {
+        return Promise.resolve(EMPTY_MESSAGE);
+    }
+    
+    const findParent = data.parentId ? messageStore.get(data.parentId) : Promise.resolve(null);
+    const filter = messagePipeline.run({
+        text: data.message,
+        kind: 'room',
+        room,
+        userId: author.userId,
+        username: author.username,
+        role: roleOfUser(author.userId)
+    });
+    
+    return Promise.all([findParent, resolveAttachments(data.attachments), filter]).then(([parent, uploaded, filtered]) => {
+        if (data.parentId && (!parent || parent.deleted || parent.room !== room)) {
+            return {
+                success: false,
+                code: 'NOT_FOUND',
+                error: 'The message you replied to no longer exists'
+            };
+        }
+        if (!uploaded.success) {
+            return uploaded;
+        }
+        if (filtered.verdict === 'reject') {
+            return filterRejection(filtered);
+        }
+        
+        const text = filtered.text;
+        console.log(`📩 Message from ${author.socketId || author.username} in #${room}: ${text.substring(0, 50)}...`);
+        
+        // Attribution always comes from the authenticated identity, never the payload
+        const message = {
+            messageId: createMessageId(),
+            clientId: data.clientId,
+            // Threads are one level deep: replying to a reply joins its thread
+            parentId: parent ? parent.parentId || parent.messageId : undefined,
+            id: author.socketId,
+            userId: author.userId,
+            bot: author.bot || undefined,
+            room,
+            message: text,
+            action: data.action || undefined,
+            attachments: uploaded.attachments.length ? uploaded.attachments : undefined,
+            mentions: resolveMentions(text, room, author.userId),
+            time: new Date().toLocaleTimeString(),
+            timestamp: new Date().toISOString(),
+            username: author.username
+        };
+        
+        rememberClientId(author.userId, data.clientId, message);
+        if (author.socketId) stopTyping(author.socketId, room);
+        io.to(roomChannel(room)).emit('new-message', message);
+        saveMessage(message);
+        filtered.accept();
+        webhookDispatcher.dispatch(message);
+        
+        if (message.parentId) {
+            recordReply(message);
+        }
+        reportFlags(message, filtered.flags);
+        return { success: true, message };
+    }).catch(error => {
+        console.error(`Failed to send message in #${room}:`, error.message);
+        return { success: false, error: 'Could not send the message' };
+    });
+};
+
+// ===== BOT COMMANDS =====
+// Slash commands registered by bots (the register-commands event). They are
+// kept on the bot, so every process knows them, and run by asking the bot's
+// connections over 'command'; the first answer becomes the command's reply.
+const BOT_COMMAND_TIMEOUT_MS = 5000;
+const botCommandNames = new Set();
+
+// Declared arguments are for autocomplete; the last one takes the rest of the line
+const toCommandArgs = (args = []) => (args.length ? args : [{ name: 'text' }])
+    .map((arg, index, all) => ({ name: arg.name, required: Boolean(arg.required), rest: index === all.length - 1 }));
+
+const runBotCommand = (botId, name) => (context, args) => {
+    const bot = botStore.get(botId);
+    if (!bot || sessionsOf(botId).length === 0) {
+        return { error: `${bot ? bot.name : 'That bot'} is offline right now` };
+    }
+    
+    return io.to(userChannel(botId)).timeout(BOT_COMMAND_TIMEOUT_MS).emitWithAck('command', {
+        command: name,
+        args,
+        room: context.room,
+        user: { userId: context.identity.userId, username: context.user.username, role: context.role },
+        timestamp: new Date().toISOString()
+    }).then(answers => {
+        const answer = validate(commandAnswerSchema, answers[0]);
+        return answer.error ? { error: `${bot.name} sent an answer that could not be shown` } : answer.value;
+    }, () => ({ error: `${bot.name} did not answer in time` }));
+};
+
+// Rebuilds the bots' commands in the registry after any change to a bot. A
+// name that is already taken, by a built-in or another bot, is skipped.
+const syncBotCommands = () => {
+    botCommandNames.forEach(name => commandRegistry.unregister(name));
+    botCommandNames.clear();
+    botStore.list().forEach(bot => bot.commands.forEach(command => {
+        if (commandRegistry.get(command.name)) return;
+        commandRegistry.register({
+            name: command.name,
+            description: command.description || `Ask ${bot.name}`,
+            botId: bot.id,
+            args: toCommandArgs(command.args),
+            run: runBotCommand(bot.id, command.name)
+        });
+        botCommandNames.add(command.name);
+    }));
+};
+botStore.onChange(syncBotCommands);
+
+// Brings every client's autocomplete up to date with one bot's commands
+const announceBotCommands = (botId) => {
+    const commands = commandRegistry.list({ identity: {}, role: 'member' }).filter(command => command.botId === botId);
+    io.emit('bot-commands', { botId, commands });
+};
+
+// Called by the admin router after each change to a bot
+const handleBotChange = ({ action, actor, bot }) => {
+    moderationStore.record({ action, actor, bot });
+    
+    // A rotated key or a removed bot ends the connections made with the old key
+    if (action !== 'create-bot') {
+        io.in(userChannel(bot.id)).disconnectSockets(true);
+    }
+    if (action === 'delete-bot') {
+        announceBotCommands(bot.id);
+    }
+};
+
+// ===== SESSION RESUMPTION =====
+// A dropped connection keeps its presence for PRESENCE_GRACE_MS; a socket that
+// comes back with the same session id within that time takes over silently,
+// even on another worker. The timer stays with the process that started it.
+const PRESENCE_GRACE_MS = parseInt(process.env.PRESENCE_GRACE_MS, 10) || 30000;
+const pendingDepartures = sharedState.map('departures', { perProcess: true });
+const departureTimers = new Map();
+
+// Deliberate disconnects skip the grace period
+const INTENTIONAL_DISCONNECTS = ['client namespace disconnect', 'server namespace disconnect', 'server shutting down'];
+
+const removeActiveUser = (user, reason) => {
+    if (activeUsers.get(user.id) !== user) return;
+    activeUsers.delete(user.id);
+    recordDeparture(user);
+    
+    user.rooms.forEach(room => {
+        if (!inRoomElsewhere(user, room)) {
+            io.to(roomChannel(room)).emit('user-left', {
+                id: user.id,
+                username: user.username,
+                room,
+                reason: reason
+            });
+        }
+        
+        if (room !== DEFAULT_ROOM && getRoomUsers(room).length === 0) {
+            rooms.delete(room);
+        } else {
+            broadcastRoomUsers(room);
+        }
+    });
+    
+    io.emit('user-count-update', countOnlineUsers());
+    broadcastRoomList();
+};
+
+// Returns the user left behind by this session's previous socket, if it can be resumed
+const takePendingDeparture = (sessionId, userId) => {
+    const pending = sessionId && pendingDepartures.get(sessionId);
+    if (!pending || pending.user.userId !== userId) return null;
+    
+    clearTimeout(departureTimers.get(sessionId));
+    departureTimers.delete(sessionId);
+    pendingDepartures.delete(sessionId);
+    activeUsers.delete(pending.user.id);
+    return pending.user;
+};
+
+const MISSED_MESSAGES_LIMIT = 200;
 
 // ===== SERVE STATIC FILES =====
 app.use(express.static(path.join(__dirname, 'public')));
+// Mounted ahead of the body parsers: imports read their own, larger JSON body
+app.use('/api/transcripts', createTranscriptRouter({
+    store: messageStore,
+    accounts: accountStore,
+    tokens: tokenService,
+    guestsAllowed: GUESTS_ALLOWED,
+    roleOf,
+    normalizeRoomName,
+    directConversationId,
+    onImport: ({ actor, room, count }) => moderationStore.record({ action: 'import', actor, room, count })
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // ===== ROUTES =====
+const authenticateUpload = authenticateUploader({
+    tokens: tokenService,
+    uploadTokens: uploadTokenService,
+    accounts: accountStore,
+    guestsAllowed: GUESTS_ALLOWED
+});
+app.use('/api/uploads', authenticateUpload, uploads.uploadRouter);
+// While guests are allowed anyone may join and see them anyway; otherwise files need a token too
+app.use('/uploads', ...(GUESTS_ALLOWED ? [] : [authenticateUpload]), uploads.fileRouter);
+// The same for history and search: without guests only signed-in users can read them
+const authenticateReader = GUESTS_ALLOWED ? [] : [authenticateRequest({ tokens: tokenService, accounts: accountStore })];
+
+app.use('/api/auth', createAuthRouter({
+    accounts: accountStore,
+    tokens: tokenService,
+    guestsAllowed: GUESTS_ALLOWED
+}));
+
+app.use('/api/moderation', createModerationRouter({
+    actions: moderationActions,
+    store: moderationStore,
+    accounts: accountStore,
+    tokens: tokenService,
+    roleOf
+}));
+
+app.use('/api/webhooks', createWebhookRouter({
+    store: webhookStore,
+    dispatcher: webhookDispatcher,
+    accounts: accountStore,
+    tokens: tokenService,
+    roleOf,
+    normalizeRoomName,
+    onChange: ({ action, actor, webhook }) => moderationStore.record({ action, actor, webhook })
+}));
+
+app.use('/api/bots', createBotRouter({
+    store: botStore,
+    accounts: accountStore,
+    tokens: tokenService,
+    roleOf,
+    onChange: handleBotChange
+}));
+
+app.use(INCOMING_HOOK_PATH, createIncomingHookRouter({
+    store: webhookStore,
+    onMessage: postWebhookMessage
+}));
+
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
@@ -62,24 +1463,245 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        activeUsers: activeUsers.size
+        // Which worker answered, in cluster mode
+        worker: CLUSTERED ? cluster.worker.id : undefined,
+        activeUsers: countOnlineUsers()
     });
 });
 
 // API endpoints
 app.get('/api/users', (req, res) => {
+    // Optional ?room=<name> filter, and ?offline=true for recently seen signed-in users
+    let room;
+    if (req.query.room !== undefined) {
+        room = normalizeRoomName(req.query.room);
+        if (!room || !rooms.has(room)) {
+            return res.status(404).json({ success: false, error: 'Room not found' });
+        }
+    }
+    const users = listPresence({ room, offline: req.query.offline === 'true' });
+    
     res.json({
         success: true,
-        count: activeUsers.size,
-        users: Array.from(activeUsers.values()).map(user => ({
-            id: user.id,
-            username: user.username,
-            connectedAt: user.connectedAt,
-            lastSeen: user.lastSeen
-        }))
+        count: users.length,
+        users
     });
 });
 
+// Cursor-based history: ?room=general&before=<messageId>&after=<messageId>&limit=50
+const MESSAGE_PAGE_DEFAULT = 50;
+const MESSAGE_PAGE_MAX = 200;
+
+app.get('/api/messages', ...authenticateReader, async (req, res, next) => {
+    // Room names never contain ':', so direct message conversations can't be read here
+    const room = req.query.room === undefined ? DEFAULT_ROOM : normalizeRoomName(req.query.room);
+    const { before, after } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || MESSAGE_PAGE_DEFAULT, MESSAGE_PAGE_MAX);
+    
+    if (!room) {
+        return res.status(400).json({ success: false, error: 'Invalid room name' });
+    }
+    
+    if ([before, after].some(cursor => cursor !== undefined && !MESSAGE_ID_PATTERN.test(cursor))) {
+        return res.status(400).json({ success: false, error: 'Invalid message cursor' });
+    }
+    
+    if (limit < 1) {
+        return res.status(400).json({ success: false, error: 'Limit must be a positive number' });
+    }
+    
+    try {
+        // Ask for one extra message to know whether another page exists
+        const messages = await messageStore.page(room, { before, after, limit: limit + 1 });
+        const hasMore = messages.length > limit;
+        
+        if (hasMore) {
+            // Paging forward trims the newest extra, paging back the oldest
+            if (after) {
+                messages.pop();
+            } else {
+                messages.shift();
+            }
+        }
+        
+        res.json({
+            success: true,
+            room,
+            count: messages.length,
+            hasMore,
+            cursors: {
+                before: messages.length ? messages[0].messageId : null,
+                after: messages.length ? messages[messages.length - 1].messageId : null
+            },
+            messages
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// How the errors of publishRoomMessage map to HTTP
+const MESSAGE_STATUS_BY_CODE = {
+    INVALID_PAYLOAD: 400,
+    MUTED: 403,
+    NOT_FOUND: 404
+};
+
+// Bots send with their API key ("Authorization: Bot <key>"), to any room and
+// under their own rate limits. Body: { room, message, parentId?, clientId? }
+app.post('/api/messages', authenticateBot({ bots: botStore }), (req, res, next) => {
+    const bot = req.bot;
+    const retryAfter = botFloodControl.consume('send-message', { user: bot.id });
+    if (retryAfter) {
+        res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+        return res.status(429).json({ success: false, code: 'RATE_LIMITED', error: 'Slow down! You are sending too fast', retryAfter });
+    }
+    
+    const result = validate(schemas['send-message'], req.body);
+    if (result.error) {
+        return res.status(400).json({ success: false, code: 'INVALID_PAYLOAD', error: result.error, field: result.field });
+    }
+    
+    const room = normalizeRoomName(result.value.room);
+    if (!room) {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_PAYLOAD',
+            error: result.value.room ? 'Invalid room name' : 'room is required',
+            field: 'room'
+        });
+    }
+    
+    const duplicate = findByClientId(bot.id, result.value.clientId);
+    if (duplicate) {
+        return res.json({ success: true, duplicate: true, message: duplicate });
+    }
+    
+    publishRoomMessage({ userId: bot.id, username: bot.name, bot: true }, result.value, room)
+        .then(outcome => res.status(outcome.success ? 200 : MESSAGE_STATUS_BY_CODE[outcome.code] || 400).json(outcome))
+        .catch(next);
+});
+
+// A whole thread: the root message and its latest replies, oldest first
+app.get('/api/messages/:messageId/thread', ...authenticateReader, async (req, res, next) => {
+    if (!MESSAGE_ID_PATTERN.test(req.params.messageId)) {
+        return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+    
+    try {
+        const parent = await messageStore.get(req.params.messageId);
+        
+        // Direct messages stay private, as with the history endpoint
+        if (!parent || parent.conversationId) {
+            return res.status(404).json({ success: false, error: 'Message not found' });
+        }
+        
+        const replies = await messageStore.replies(parent.room, parent.messageId, THREAD_LIMIT);
+        res.json({
+            success: true,
+            room: parent.room,
+            parent,
+            count: replies.length,
+            hasMore: (parent.replyCount || 0) > replies.length,
+            replies
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// A message with the room history on either side of it, for jumping to it from search
+const CONTEXT_DEFAULT = 25;
+
+app.get('/api/messages/:messageId/context', ...authenticateReader, async (req, res, next) => {
+    if (!MESSAGE_ID_PATTERN.test(req.params.messageId)) {
+        return res.status(400).json({ success: false, error: 'Invalid message id' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || CONTEXT_DEFAULT, MESSAGE_PAGE_MAX);
+    
+    try {
+        const message = await messageStore.get(req.params.messageId);
+        if (!message || message.conversationId) {
+            return res.status(404).json({ success: false, error: 'Message not found' });
+        }
+        
+        const [before, after] = await Promise.all([
+            messageStore.page(message.room, { before: message.messageId, limit: limit + 1 }),
+            messageStore.page(message.room, { after: message.messageId, limit: limit + 1 })
+        ]);
+        const hasMoreBefore = before.length > limit;
+        const hasMoreAfter = after.length > limit;
+        
+        res.json({
+            success: true,
+            room: message.room,
+            message,
+            before: hasMoreBefore ? before.slice(1) : before,
+            after: hasMoreAfter ? after.slice(0, limit) : after,
+            hasMoreBefore,
+            hasMoreAfter
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Full-text search: ?q=deploy failed&author=<username or userId>&room=general&since=<ISO date>&until=<ISO date>&limit=20&offset=0
+// Room messages only, ranked by relevance (newest first when only filtering by author)
+const SEARCH_PAGE_DEFAULT = 20;
+const SEARCH_PAGE_MAX = 100;
+
+app.get('/api/search', ...authenticateReader, async (req, res, next) => {
+    const terms = parseQuery(req.query.q);
+    const author = typeof req.query.author === 'string' ? req.query.author.trim() : '';
+    const limit = Math.min(parseInt(req.query.limit, 10) || SEARCH_PAGE_DEFAULT, SEARCH_PAGE_MAX);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    let room;
+    if (req.query.room !== undefined) {
+        room = normalizeRoomName(req.query.room);
+        if (!room) {
+            return res.status(400).json({ success: false, error: 'Invalid room name' });
+        }
+    }
+    
+    if (terms.length === 0 && !author) {
+        return res.status(400).json({ success: false, error: 'Search terms or an author are required' });
+    }
+    
+    const invalidDate = ['since', 'until'].find(key => req.query[key] && Number.isNaN(Date.parse(req.query[key])));
+    if (invalidDate) {
+        return res.status(400).json({ success: false, error: `${invalidDate} must be a date` });
+    }
+    const since = req.query.since ? new Date(req.query.since).toISOString() : undefined;
+    const until = req.query.until ? new Date(req.query.until).toISOString() : undefined;
+    
+    if (limit < 1) {
+        return res.status(400).json({ success: false, error: 'Limit must be a positive number' });
+    }
+    
+    try {
+        // One extra result tells whether there is another page
+        const results = await messageStore.search({ terms, room, author: author || undefined, since, until, limit: limit + 1, offset });
+        const hasMore = results.length > limit;
+        if (hasMore) results.pop();
+        
+        res.json({
+            success: true,
+            query: { terms, author: author || null, room: room || null, since: since || null, until: until || null },
+            count: results.length,
+            hasMore,
+            results: results.map(({ message, score }) => ({
+                message,
+                score,
+                snippet: buildSnippet(message.message, terms)
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 app.get('/api/status', (req, res) => {
     res.json({
         success: true,
@@ -106,83 +1728,606 @@ app.use('*', (req, res) => {
 
 // ===== SOCKET.IO EVENT HANDLERS =====
 io.on('connection', (socket) => {
-    console.log(`✅ New connection: ${socket.id} from ${socket.handshake.address}`);
+    const clientIp = getClientIp(socket);
+    console.log(`✅ New connection: ${socket.id} from ${clientIp}`);
     
-    const defaultUsername = `User_${socket.id.substring(0, 6)}`;
+    // Resolved by the auth middleware: an account, or a guest identity
+    const identity = socket.data.user;
+    const defaultUsername = identity.username;
     
-    // Add user to active users
-    activeUsers.set(socket.id, {
-        id: socket.id,
+    // Banned accounts and addresses are turned away before they show up anywhere
+    const ban = moderationStore.findBan({ userId: identity.userId, ip: clientIp });
+    if (ban) {
+        console.log(`🛡️ Refused banned connection: ${identity.userId} from ${clientIp}`);
+        socket.emit('banned', { by: ban.by, reason: ban.reason, until: ban.expiresAt });
+        socket.disconnect(true);
+        return;
+    }
+    
+    // Pick up where this session left off, or start fresh in the default room.
+    // Bots start in no room at all and join the ones they want to hear.
+    const resumedUser = takePendingDeparture(identity.sessionId, identity.userId);
+    const user = resumedUser || {
+        userId: identity.userId,
+        guest: identity.guest,
+        bot: identity.bot,
         username: defaultUsername,
-        ip: socket.handshake.address,
-        connectedAt: new Date().toISOString(),
-        lastSeen: new Date().toISOString()
+        rooms: identity.bot ? [] : [DEFAULT_ROOM],
+        connectedAt: new Date().toISOString()
+    };
+    
+    user.id = socket.id;
+    user.ip = clientIp;
+    user.role = roleOfUser(identity.userId);
+    user.lastSeen = new Date().toISOString();
+    user.idle = false;
+    activeUsers.set(socket.id, user);
+    lastSeenUsers.delete(identity.userId);
+    
+    user.rooms.forEach(room => socket.join(roomChannel(room)));
+    socket.join(userChannel(identity.userId));
+    
+    if (resumedUser) {
+        console.log(`🔁 Resumed session for ${user.username}${socket.recovered ? ' (state recovered)' : ''}`);
+    }
+
+    // Send welcome message (with recent history of the default room)
+    loadHistory(DEFAULT_ROOM).then(history => {
+        socket.emit('welcome', {
+            message: 'Welcome to SocketChat!',
+            id: socket.id,
+            userId: identity.userId,
+            guest: identity.guest,
+            username: user.username,
+            resumed: Boolean(resumedUser),
+            usersCount: countOnlineUsers(),
+            room: DEFAULT_ROOM,
+            joinedRooms: user.rooms,
+            rooms: listRooms(),
+            activeUsers: listPresence({ room: DEFAULT_ROOM, offline: true }),
+            status: chosenStatus(identity.userId),
+            history,
+            messageEditWindow: MESSAGE_EDIT_WINDOW_MS,
+            uploads: {
+                maxBytes: uploads.maxBytes,
+                allowedTypes: uploads.allowedTypes,
+                token: uploadTokenService.sign({ sub: identity.userId, username: user.username, guest: identity.guest }),
+                privateFiles: !GUESTS_ALLOWED
+            },
+            role: user.role,
+            commands: commandRegistry.list({ identity, role: user.role }),
+            serverTime: new Date().toISOString(),
+            serverVersion: '1.0.0'
+        });
     });
 
-    // Send welcome message
-    socket.emit('welcome', {
-        message: 'Welcome to SocketChat!',
-        id: socket.id,
-        username: defaultUsername,
-        usersCount: activeUsers.size,
-        serverTime: new Date().toISOString(),
-        serverVersion: '1.0.0'
+    // Notify other users (a resumed session never left as far as they know,
+    // and neither did a user opening another tab)
+    if (!resumedUser) {
+        if (user.rooms.includes(DEFAULT_ROOM) && !inRoomElsewhere(user, DEFAULT_ROOM)) {
+            socket.to(roomChannel(DEFAULT_ROOM)).emit('user-joined', {
+                id: socket.id,
+                username: user.username,
+                room: DEFAULT_ROOM,
+                time: new Date().toLocaleTimeString()
+            });
+        }
+        
+        // Update user count for everyone
+        io.emit('user-count-update', countOnlineUsers());
+        broadcastRoomList();
+    }
+    user.rooms.forEach(broadcastRoomUsers);
+    
+    // All client events go through here so they are rate limited and validated first
+    const on = createEventGuard(socket, {
+        throttle: (identity.bot ? botFloodControl : floodControl).forSocket(socket, { userId: identity.userId, ip: clientIp })
     });
 
-    // Notify other users
-    socket.broadcast.emit('user-joined', {
-        id: socket.id,
-        username: defaultUsername,
-        time: new Date().toLocaleTimeString()
+    // Replay what a room missed since the client's last seen message
+    on('sync-messages', (data, callback) => {
+        const user = activeUsers.get(socket.id);
+        const room = normalizeRoomName(data.room);
+        const after = data.after;
+        
+        if (!user || !room || !user.rooms.includes(room)) {
+            return respond(socket, callback, { success: false, error: 'You are not in that room' });
+        }
+        
+        const query = after
+            ? messageStore.page(room, { after, limit: MISSED_MESSAGES_LIMIT + 1 })
+            : messageStore.recent(room, HISTORY_LIMIT);
+        
+        query
+            .then(messages => {
+                const hasMore = Boolean(after) && messages.length > MISSED_MESSAGES_LIMIT;
+                respond(socket, callback, {
+                    success: true,
+                    room,
+                    hasMore,
+                    messages: hasMore ? messages.slice(0, MISSED_MESSAGES_LIMIT) : messages
+                });
+            })
+            .catch(error => {
+                console.error(`Failed to sync ${room}:`, error.message);
+                respond(socket, callback, { success: false, error: 'Could not load missed messages' });
+            });
+    });
+
+    // Handle room membership
+    on('join-room', (roomName, callback) => {
+        const user = activeUsers.get(socket.id);
+        const room = normalizeRoomName(roomName);
+        
+        if (!user || !room) {
+            return respond(socket, callback, { success: false, error: 'Invalid room name' });
+        }
+        
+        const isNewRoom = !rooms.has(room);
+        if (isNewRoom) {
+            rooms.set(room, {
+                name: room,
+                createdAt: new Date().toISOString(),
+                createdBy: user.username,
+                ownerId: user.userId,
+                topic: null
+            });
+        }
+        
+        if (!user.rooms.includes(room)) {
+            user.rooms.push(room);
+            activeUsers.set(socket.id, user);
+            socket.join(roomChannel(room));
+            
+            if (!inRoomElsewhere(user, room)) {
+                socket.to(roomChannel(room)).emit('user-joined', {
+                    id: socket.id,
+                    username: user.username,
+                    room,
+                    time: new Date().toLocaleTimeString()
+                });
+            }
+            
+            broadcastRoomUsers(room);
+            broadcastRoomList();
+        }
+        
+        loadHistory(room).then(history => {
+            const payload = {
+                success: true,
+                room,
+                created: isNewRoom,
+                topic: rooms.has(room) ? rooms.get(room).topic : null,
+                users: listPresence({ room, offline: true }),
+                history
+            };
+            
+            socket.emit('room-joined', payload);
+            respond(socket, callback, payload);
+        });
+    });
+
+    on('leave-room', (roomName, callback) => {
+        const user = activeUsers.get(socket.id);
+        const room = normalizeRoomName(roomName);
+        
+        let error = null;
+        if (!user || !room || !user.rooms.includes(room)) {
+            error = 'You are not in that room';
+        } else if (room === DEFAULT_ROOM && !identity.bot) {
+            error = `You cannot leave #${DEFAULT_ROOM}`;
+        }
+        
+        if (error) {
+            return respond(socket, callback, { success: false, error });
+        }
+        
+        user.rooms = user.rooms.filter(name => name !== room);
+        activeUsers.set(socket.id, user);
+        stopTyping(socket.id, room);
+        socket.leave(roomChannel(room));
+        
+        if (!inRoomElsewhere(user, room)) {
+            io.to(roomChannel(room)).emit('user-left', {
+                id: socket.id,
+                username: user.username,
+                room,
+                reason: 'left room'
+            });
+        }
+        
+        // Empty rooms other than the default one are removed
+        if (getRoomUsers(room).length === 0) {
+            rooms.delete(room);
+        } else {
+            broadcastRoomUsers(room);
+        }
+        broadcastRoomList();
+        
+        socket.emit('room-left', { success: true, room });
+        respond(socket, callback, { success: true, room });
     });
 
-    // Update user count for everyone
-    io.emit('user-count-update', activeUsers.size);
-    io.emit('active-users-update', Array.from(activeUsers.values()));
+    on('list-rooms', (payload, callback) => {
+        const roomList = listRooms();
+        if (typeof callback === 'function') {
+            callback(roomList);
+        } else {
+            socket.emit('room-list', roomList);
+        }
+    });
 
+    // Posts a chat message to a room, or to one of its threads
+    const postRoomMessage = (data, room, callback) => {
+        const user = activeUsers.get(socket.id) || { username: defaultUsername, rooms: [] };
+        const author = { userId: identity.userId, username: user.username, socketId: socket.id, bot: identity.bot };
+        
+        publishRoomMessage(author, data, room).then(result => {
+            // Update last seen
+            if (result.success && activeUsers.has(socket.id)) {
+                user.lastSeen = new Date().toISOString();
+                activeUsers.set(socket.id, user);
+            }
+            respond(socket, callback, result);
+        });
+    };
+    
+    // Replies go back to the caller or to the whole room; some commands post a message instead
+    const runCommand = (data, room, callback) => {
+        const user = activeUsers.get(socket.id) || { username: defaultUsername, rooms: [] };
+        const context = { socket, user, identity, role: roleOfUser(identity.userId), room, changeUsername };
+        
+        commandRegistry.execute(data.message, context).then(result => {
+            if (!result.success) {
+                return respond(socket, callback, result);
+            }
+            
+            if (result.post) {
+                if (result.post.message.length > MESSAGE_MAX_LENGTH) {
+                    return respond(socket, callback, {
+                        success: false,
+                        code: 'INVALID_ARGUMENTS',
+                        command: result.command,
+                        error: `message must be at most ${MESSAGE_MAX_LENGTH} characters`
+                    });
+                }
+                return postRoomMessage({ ...data, message: result.post.message, action: result.post.action }, room, callback);
+            }
+            
+            if (result.reply) {
+                const target = result.scope === 'room' ? io.to(roomChannel(room)) : socket;
+                target.emit('command-reply', {
+                    command: result.command,
+                    room,
+                    scope: result.scope,
+                    text: result.reply,
+                    time: new Date().toLocaleTimeString(),
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            respond(socket, callback, { success: true, command: result.command, action: result.action });
+        }).catch(error => {
+            console.error(`Command failed in #${room}:`, error);
+            respond(socket, callback, { success: false, error: 'That command could not be run' });
+        });
+    };
+    
     // Handle messages
-    socket.on('send-message', (data) => {
-        const user = activeUsers.get(socket.id) || { username: defaultUsername };
+    on('send-message', (data, callback) => {
+        const user = activeUsers.get(socket.id) || { username: defaultUsername, rooms: [] };
+        const room = normalizeRoomName(data.room) || DEFAULT_ROOM;
         
-        console.log(`📩 Message from ${socket.id}: ${data.message.substring(0, 50)}...`);
+        if (!user.rooms.includes(room)) {
+            return respond(socket, callback, { success: false, error: `You are not in #${room}` });
+        }
         
-        io.emit('new-message', {
-            id: socket.id,
-            message: data.message,
-            time: new Date().toLocaleTimeString(),
-            timestamp: new Date().toISOString(),
-            username: data.username || user.username
+        // A retry of something we already broadcast just gets the original back
+        const duplicate = findByClientId(identity.userId, data.clientId);
+        if (duplicate) {
+            return respond(socket, callback, { success: true, duplicate: true, message: duplicate });
+        }
+        
+        if (isCommand(data.message)) {
+            return runCommand(data, room, callback);
+        }
+        
+        // "//text" escapes a leading slash
+        const message = data.message && data.message.startsWith('//') ? data.message.slice(1) : data.message;
+        postRoomMessage({ ...data, message }, room, callback);
+    });
+    
+    // Bots declare the slash commands they answer (see BOT COMMANDS)
+    on('register-commands', (data, callback) => {
+        if (!identity.bot) {
+            return respond(socket, callback, { success: false, code: 'FORBIDDEN', error: 'Only bots can register commands' });
+        }
+        
+        const names = data.commands.map(command => command.name);
+        const repeated = names.find((name, index) => names.indexOf(name) !== index);
+        const taken = names.find(name => {
+            const existing = commandRegistry.get(name);
+            return existing && existing.botId !== identity.userId;
         });
+        if (repeated || taken) {
+            return respond(socket, callback, {
+                success: false,
+                code: 'INVALID_PAYLOAD',
+                error: repeated ? `/${repeated} is declared twice` : `/${taken} is already taken`,
+                field: 'commands'
+            });
+        }
+        
+        botStore.setCommands(identity.userId, data.commands);
+        announceBotCommands(identity.userId);
+        respond(socket, callback, { success: true, commands: names });
+    });
+
+    // Handle direct messages
+    on('send-direct-message', (data, callback) => {
+        const sender = activeUsers.get(socket.id);
+        const recipient = activeUsers.get(data.to);
+        
+        if (!sender || !recipient) {
+            return respond(socket, callback, { success: false, error: 'That user is no longer online' });
+        }
+        
+        if (recipient.userId === sender.userId) {
+            return respond(socket, callback, { success: false, error: 'You cannot message yourself' });
+        }
         
-        // Update last seen
-        if (activeUsers.has(socket.id)) {
-            activeUsers.get(socket.id).lastSeen = new Date().toISOString();
+        const muted = checkMuted(identity.userId);
+        if (muted) {
+            return respond(socket, callback, muted);
         }
+        
+        const duplicate = findByClientId(sender.userId, data.clientId);
+        if (duplicate) {
+            return respond(socket, callback, { success: true, duplicate: true, message: duplicate });
+        }
+        
+        if (!data.message && !(data.attachments && data.attachments.length)) {
+            return respond(socket, callback, EMPTY_MESSAGE);
+        }
+        
+        const conversationId = directConversationId(sender.userId, recipient.userId);
+        const filter = messagePipeline.run({
+            text: data.message,
+            kind: 'direct',
+            room: conversationId,
+            userId: sender.userId,
+            username: sender.username,
+            role: roleOfUser(sender.userId)
+        });
+        
+        Promise.all([resolveAttachments(data.attachments), filter]).then(([uploaded, filtered]) => {
+            if (!uploaded.success) {
+                return respond(socket, callback, uploaded);
+            }
+            if (filtered.verdict === 'reject') {
+                return respond(socket, callback, filterRejection(filtered));
+            }
+            
+            const directMessage = {
+                messageId: createMessageId(),
+                clientId: data.clientId,
+                id: sender.id,
+                userId: sender.userId,
+                username: sender.username,
+                to: recipient.id,
+                toUserId: recipient.userId,
+                toUsername: recipient.username,
+                room: conversationId,
+                conversationId,
+                message: filtered.text,
+                attachments: uploaded.attachments.length ? uploaded.attachments : undefined,
+                time: new Date().toLocaleTimeString(),
+                timestamp: new Date().toISOString()
+            };
+            
+            console.log(`✉️ Direct message from ${sender.userId} to ${recipient.userId}`);
+            
+            // Only the two participants' own channels (all of their sockets) receive it
+            io.to(userChannel(recipient.userId))
+                .to(userChannel(sender.userId))
+                .emit('new-direct-message', directMessage);
+            rememberClientId(sender.userId, data.clientId, directMessage);
+            saveMessage(directMessage);
+            filtered.accept();
+            reportFlags(directMessage, filtered.flags);
+            
+            sender.lastSeen = new Date().toISOString();
+            activeUsers.set(sender.id, sender);
+            respond(socket, callback, { success: true, message: directMessage });
+        }).catch(error => {
+            console.error(`Failed to send direct message from ${sender.userId}:`, error.message);
+            respond(socket, callback, { success: false, error: 'Could not send the message' });
+        });
     });
 
-    // Handle typing
-    socket.on('typing', (username) => {
+    // Delivered/read receipts, relayed to each message's author
+    on('message-receipt', (data) => {
+        const reader = activeUsers.get(socket.id);
+        if (!reader) return;
+        
+        data.messageIds.forEach(messageId => {
+            messageStore.get(messageId)
+                .then(message => {
+                    if (!message || message.userId === reader.userId || !canReceive(reader, message)) return;
+                    if (!recordReceipt(messageId, data.status, reader.userId)) return;
+                    
+                    io.to(userChannel(message.userId)).emit('message-receipt', {
+                        messageId,
+                        room: message.room,
+                        status: data.status,
+                        userId: reader.userId,
+                        username: reader.username,
+                        timestamp: new Date().toISOString()
+                    });
+                })
+                .catch(error => console.error(`Failed to process receipt for ${messageId}:`, error.message));
+        });
+    });
+
+    on('edit-message', (data, callback) => {
+        const muted = checkMuted(identity.userId);
+        if (muted) {
+            return respond(socket, callback, muted);
+        }
+        
+        const user = activeUsers.get(socket.id) || { username: defaultUsername };
+        const applyEdit = (filtered) => updateStoredMessage(data.messageId, (stored) => {
+            const denied = checkAuthor(stored, identity.userId);
+            if (denied) return denied;
+            
+            if (MESSAGE_EDIT_WINDOW_MS && Date.now() - Date.parse(stored.timestamp) > MESSAGE_EDIT_WINDOW_MS) {
+                return { success: false, code: 'EDIT_WINDOW_EXPIRED', error: 'This message can no longer be edited' };
+            }
+            
+            const mentions = stored.conversationId
+                ? stored.mentions
+                : resolveMentions(filtered.text, stored.room, identity.userId);
+            
+            return {
+                success: true,
+                message: { ...stored, message: filtered.text, mentions, editedAt: new Date().toISOString() },
+                flags: filtered.flags
+            };
+        });
+        
+        messagePipeline.run({
+            text: data.message,
+            kind: 'edit',
+            messageId: data.messageId,
+            userId: identity.userId,
+            username: user.username,
+            role: roleOfUser(identity.userId)
+        }).then(filtered => {
+            if (filtered.verdict === 'reject') return filterRejection(filtered);
+            return applyEdit(filtered).then(result => {
+                if (result.success) filtered.accept();
+                return result;
+            });
+        }).then(result => {
+            if (!result.success) return respond(socket, callback, result);
+            
+            const { message } = result;
+            audienceOf(message).emit('message-edited', {
+                messageId: message.messageId,
+                room: message.room,
+                message: message.message,
+                mentions: message.mentions,
+                editedAt: message.editedAt
+            });
+            reportFlags(message, result.flags);
+            respond(socket, callback, { success: true, message });
+        }).catch(error => {
+            console.error(`Failed to edit ${data.messageId}:`, error.message);
+            respond(socket, callback, { success: false, error: 'Could not edit the message' });
+        });
+    });
+    
+    on('delete-message', (data, callback) => {
+        updateStoredMessage(data.messageId, (stored) => {
+            const denied = checkAuthor(stored, identity.userId);
+            if (denied) return denied;
+            
+            // Keep a tombstone so history and paging still line up, but drop the content
+            return {
+                success: true,
+                message: { ...stored, message: '', reactions: [], deleted: true, deletedAt: new Date().toISOString() }
+            };
+        }).then(result => {
+            if (!result.success) return respond(socket, callback, result);
+            
+            const { message } = result;
+            audienceOf(message).emit('message-deleted', {
+                messageId: message.messageId,
+                room: message.room,
+                deletedAt: message.deletedAt
+            });
+            if (message.parentId) {
+                removeReply(message);
+            }
+            respond(socket, callback, { success: true, messageId: message.messageId });
+        }).catch(error => {
+            console.error(`Failed to delete ${data.messageId}:`, error.message);
+            respond(socket, callback, { success: false, error: 'Could not delete the message' });
+        });
+    });
+    
+    // Emoji reactions: one of each emoji per user, broadcast as aggregated counts
+    const react = (data, callback, adding) => {
         const user = activeUsers.get(socket.id);
-        const displayName = username || user?.username || defaultUsername;
+        if (!user) return respond(socket, callback, MESSAGE_NOT_FOUND);
         
-        socket.broadcast.emit('user-typing', {
-            id: socket.id,
-            username: displayName
+        updateStoredMessage(data.messageId, (stored) => {
+            if (!stored || stored.deleted || !canReceive(user, stored)) return MESSAGE_NOT_FOUND;
+            
+            const reactions = applyReaction(stored.reactions, data.emoji, user, adding);
+            if (!reactions) return { success: true, changed: false, message: stored };
+            if (reactions.length > MAX_REACTIONS_PER_MESSAGE) {
+                return { success: false, code: 'TOO_MANY_REACTIONS', error: 'This message has too many different reactions' };
+            }
+            
+            return { success: true, message: { ...stored, reactions } };
+        }).then(result => {
+            if (!result.success) return respond(socket, callback, result);
+            
+            const { message } = result;
+            if (result.changed !== false) {
+                audienceOf(message).emit('reactions-updated', {
+                    messageId: message.messageId,
+                    room: message.room,
+                    reactions: message.reactions
+                });
+            }
+            respond(socket, callback, { success: true, messageId: message.messageId, reactions: message.reactions || [] });
+        }).catch(error => {
+            console.error(`Failed to update reactions on ${data.messageId}:`, error.message);
+            respond(socket, callback, { success: false, error: 'Could not update the reaction' });
         });
+    };
+    
+    on('add-reaction', (data, callback) => react(data, callback, true));
+    on('remove-reaction', (data, callback) => react(data, callback, false));
+
+    // Handle typing: clients repeat 'typing' while they keep typing
+    on('typing', (data = {}) => {
+        const user = activeUsers.get(socket.id);
+        const room = normalizeRoomName(data.room) || DEFAULT_ROOM;
+        if (!user || !user.rooms.includes(room)) return;
+        
+        startTyping(user, room);
     });
 
-    socket.on('stop-typing', () => {
-        socket.broadcast.emit('user-stop-typing', socket.id);
+    on('stop-typing', (data = {}) => {
+        stopTyping(socket.id, normalizeRoomName(data.room) || DEFAULT_ROOM);
     });
 
     // Handle username change
-    socket.on('update-username', (newUsername) => {
+    // Shared by the update-username event and /nick; returns the result for the caller
+    const changeUsername = (sanitizedUsername) => {
         const user = activeUsers.get(socket.id);
         const oldUsername = user?.username || defaultUsername;
-        const sanitizedUsername = newUsername.trim() || defaultUsername;
         
-        if (activeUsers.has(socket.id)) {
-            activeUsers.get(socket.id).username = sanitizedUsername;
+        // Account names are fixed, and guests may not pose as anyone else
+        let error = null;
+        if (!identity.guest) {
+            error = 'Signed-in users cannot change their name';
+        } else if (sanitizedUsername !== oldUsername && isUsernameTaken(sanitizedUsername, socket.id)) {
+            error = 'That name is already in use';
+        }
+        
+        if (error) {
+            const result = { success: false, error, newUsername: oldUsername };
+            socket.emit('username-updated', result);
+            return result;
+        }
+        
+        if (user) {
+            user.username = sanitizedUsername;
+            activeUsers.set(socket.id, user);
         }
         
         io.emit('username-changed', {
@@ -192,36 +2337,99 @@ io.on('connection', (socket) => {
             time: new Date().toLocaleTimeString()
         });
         
-        io.emit('active-users-update', Array.from(activeUsers.values()));
+        (user?.rooms || []).forEach(broadcastRoomUsers);
         
-        socket.emit('username-updated', {
-            success: true,
-            newUsername: sanitizedUsername
-        });
+        const result = { success: true, newUsername: sanitizedUsername };
+        socket.emit('username-updated', result);
+        return result;
+    };
+    
+    // Moderation: the acting user's role is looked up on every request
+    const moderate = (action) => (data, callback) => {
+        const actor = {
+            userId: identity.userId,
+            username: (activeUsers.get(socket.id) || {}).username || defaultUsername,
+            role: roleOfUser(identity.userId)
+        };
+        
+        Promise.resolve(moderationActions[action](actor, data))
+            .then(result => respond(socket, callback, result))
+            .catch(error => {
+                console.error(`Moderation action ${action} failed:`, error);
+                respond(socket, callback, { success: false, error: 'That action could not be completed' });
+            });
+    };
+    
+    on('kick-user', moderate('kick'));
+    on('mute-user', moderate('mute'));
+    on('unmute-user', moderate('unmute'));
+    on('ban-user', moderate('ban'));
+    on('unban-user', moderate('unban'));
+    on('set-role', moderate('setRole'));
+    
+    on('update-username', (sanitizedUsername, callback) => {
+        const result = changeUsername(sanitizedUsername);
+        // Failures were already reported through 'username-updated'
+        if (typeof callback === 'function') callback(result);
     });
 
+    // ----- Presence -----
+    // The chosen status is the user's, not this tab's: every tab hears about the change
+    on('set-status', (data, callback) => {
+        const chosen = { status: data.status, text: data.text || null };
+        if (chosen.status === 'online' && !chosen.text) {
+            userStatuses.delete(identity.userId);
+        } else {
+            userStatuses.set(identity.userId, { ...chosen, updatedAt: new Date().toISOString() });
+        }
+        
+        io.to(userChannel(identity.userId)).emit('status-updated', chosen);
+        broadcastPresence(identity.userId);
+        respond(socket, callback, { success: true, ...chosen });
+    });
+    
+    // Sent by the client after a stretch without input, and again once input resumes
+    on('set-idle', (idle) => {
+        const user = activeUsers.get(socket.id);
+        if (!user || user.idle === idle) return;
+        
+        const before = effectiveStatus(user.userId, sessionsOf(user.userId));
+        user.idle = idle;
+        activeUsers.set(socket.id, user);
+        if (effectiveStatus(user.userId, sessionsOf(user.userId)) !== before) {
+            broadcastPresence(user.userId);
+        }
+    });
+    
     // Handle ping (for connection health)
-    socket.on('ping', () => {
+    on('ping', () => {
         socket.emit('pong', { timestamp: Date.now() });
     });
 
     // Handle disconnect
     socket.on('disconnect', (reason) => {
         console.log(`❌ Disconnected: ${socket.id} (${reason})`);
+        stopAllTyping(socket.id);
         
         const user = activeUsers.get(socket.id);
-        activeUsers.delete(socket.id);
+        if (!user) return;
         
-        if (user) {
-            io.emit('user-left', {
-                id: socket.id,
-                username: user.username,
-                reason: reason
-            });
+        if (!identity.sessionId || INTENTIONAL_DISCONNECTS.includes(reason)) {
+            return removeActiveUser(user, reason);
         }
         
-        io.emit('user-count-update', activeUsers.size);
-        io.emit('active-users-update', Array.from(activeUsers.values()));
+        // Keep the user around for a while in case this was just a network blip
+        user.lastSeen = new Date().toISOString();
+        activeUsers.set(socket.id, user);
+        pendingDepartures.set(identity.sessionId, { user });
+        departureTimers.set(identity.sessionId, setTimeout(() => {
+            departureTimers.delete(identity.sessionId);
+            // Resumed meanwhile, possibly by another worker
+            const pending = pendingDepartures.get(identity.sessionId);
+            if (!pending || pending.user.id !== user.id) return;
+            pendingDepartures.delete(identity.sessionId);
+            removeActiveUser(user, reason);
+        }, PRESENCE_GRACE_MS));
     });
 
     // Error handling
@@ -243,8 +2451,8 @@ app.use((err, req, res, next) => {
 const gracefulShutdown = () => {
     console.log('🛑 Received shutdown signal, closing connections...');
     
-    // Notify all clients
-    io.emit('server-shutdown', {
+    // Notify this process's clients (in a cluster every worker tells its own)
+    io.local.emit('server-shutdown', {
         message: 'Server is restarting. Please reconnect in a moment.',
         timestamp: new Date().toISOString()
     });
@@ -256,7 +2464,12 @@ const gracefulShutdown = () => {
         // Close HTTP server
         server.close(() => {
             console.log('✅ HTTP server closed');
-            process.exit(0);
+            
+            // Flush pending history writes before exiting
+            Promise.all([messageStore.close(), accountStore.close(), moderationStore.close(), webhookStore.close(), botStore.close(), uploads.close()])
+                .then(() => console.log('✅ Storage closed'))
+                .catch(error => console.error('Failed to close message store:', error.message))
+                .finally(() => process.exit(0));
         });
         
         // Force close after 5 seconds
@@ -274,25 +2487,32 @@ process.on('SIGINT', gracefulShutdown);
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0'; // Important for Render
 
-server.listen(PORT, HOST, () => {
-    console.log(`🚀 Server started on ${HOST}:${PORT}`);
-    console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`⚡ Process ID: ${process.pid}`);
-    console.log(`👤 Health check: http://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}/health`);
-});
-
-// Compression
-const compression = require('compression');
-app.use(compression());
-
-// Rate limiting
-const rateLimit = require('express-rate-limit');
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP'
-});
-app.use('/api/', limiter);
+Promise.all([messageStore.init(), accountStore.init(), moderationStore.init(), webhookStore.init(), botStore.init(), uploads.init(), sharedState.ready()])
+    .then(() => {
+        // Workers don't listen themselves: cluster.js hands them connections
+        if (CLUSTERED) {
+            if (messageStore.type !== 'sqlite') {
+                console.warn(`⚠️ The ${messageStore.type} message store is per worker; use MESSAGE_STORE=sqlite for shared history`);
+            }
+            setupWorker(io);
+            console.log(`👷 Worker ${process.pid} ready`);
+            process.send({ type: 'chat:worker-ready' });
+            return;
+        }
+        
+        server.listen(PORT, HOST, () => {
+            console.log(`🚀 Server started on ${HOST}:${PORT}`);
+            console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
+            console.log(`💾 Message store: ${messageStore.type}`);
+            console.log(`🔐 Guest access: ${GUESTS_ALLOWED ? 'enabled' : 'disabled'}`);
+            console.log(`⚡ Process ID: ${process.pid}`);
+            console.log(`👤 Health check: http://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}/health`);
+        });
+    })
+    .catch(error => {
+        console.error('❌ Failed to initialise storage:', error.message);
+        process.exit(1);
+    });
 
 // Export for testing
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = { app, server, io, messageStore };
\ No newline at end of file
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createAccountStore } = require('../lib/accounts');
+const { createTokenService, createAuthRouter } = require('../lib/auth');
+
+const storeIn = async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socketchat-accounts-'));
+    const filePath = path.join(dir, 'accounts.json');
+    const accounts = await createAccountStore({ path: filePath }).init();
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    
+    // A directory where the file should go makes every save fail until it is removed
+    const breakSaving = () => {
+        fs.rmSync(filePath, { force: true });
+        fs.mkdirSync(filePath);
+    };
+    const fixSaving = () => fs.rmdirSync(filePath);
+    return { accounts, filePath, breakSaving, fixSaving };
+};
+
+test('an account that could not be saved is not created', async () => {
+    const { accounts, filePath, breakSaving, fixSaving } = await storeIn();
+    
+    breakSaving();
+    await assert.rejects(accounts.create('alice', 'correct horse'), { status: 500 });
+    assert.strictEqual(accounts.findByUsername('alice'), null);
+    
+    // Saving carries on once the disk is back, and the name is free again
+    fixSaving();
+    const alice = await accounts.create('alice', 'correct horse');
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepStrictEqual(saved.map(account => account.id), [alice.id]);
+});
+
+test('a role that could not be saved is not changed', async () => {
+    const { accounts, breakSaving } = await storeIn();
+    const alice = await accounts.create('alice', 'correct horse');
+    
+    breakSaving();
+    await assert.rejects(accounts.setRole(alice.id, 'moderator'));
+    assert.strictEqual(accounts.findById(alice.id).role, undefined);
+});
+
+test('registration answers 500 when the account could not be saved', async () => {
+    const { accounts, breakSaving } = await storeIn();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', createAuthRouter({ accounts, tokens: createTokenService({ secret: 'sessions', ttlSeconds: 60 }), guestsAllowed: true }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    
+    try {
+        breakSaving();
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'alice', password: 'correct horse' })
+        });
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual((await res.json()).success, false);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,92 @@
+// cluster.js with two workers, on one machine and with nothing but IPC between
+// them. Requests carrying a socket's engine.io id (?sid=) are routed by the
+// sticky balancer to that socket's worker, which is how each check below reads
+// from both workers.
+const test = require('node:test');
+const assert = require('assert');
+const { startServer, once, wait } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+    server = await startServer({ script: 'cluster.js', env: { CLUSTER_WORKERS: '2' } });
+});
+
+test.after(() => server && server.stop());
+
+const workerOf = async (socket) => (await server.request(`/health?sid=${socket.io.engine.id}`)).body;
+const usersOn = async (socket) => (await server.request(`/api/users?sid=${socket.io.engine.id}`)).body;
+const namesOf = (users) => users.users.map(user => user.username).sort();
+
+test('presence, counts and /api/users agree across workers', async () => {
+    const alice = await server.connect();
+    // The balancer counts alice's connection before bob's arrives, so bob gets the other worker
+    await wait(200);
+    const joined = once(alice, 'user-joined');
+    const bob = await server.connect();
+    
+    try {
+        const [aliceWorker, bobWorker] = await Promise.all([workerOf(alice), workerOf(bob)]);
+        assert.notStrictEqual(aliceWorker.worker, undefined);
+        assert.notStrictEqual(aliceWorker.worker, bobWorker.worker);
+        assert.strictEqual(aliceWorker.activeUsers, 2);
+        assert.strictEqual(bobWorker.activeUsers, 2);
+        
+        // Each sees the other, whichever worker they are on
+        assert.strictEqual(bob.welcome.usersCount, 2);
+        assert.ok(bob.welcome.activeUsers.some(user => user.username === alice.welcome.username));
+        assert.strictEqual((await joined).username, bob.welcome.username);
+        
+        const everyone = [alice.welcome.username, bob.welcome.username].sort();
+        assert.deepStrictEqual(namesOf(await usersOn(alice)), everyone);
+        assert.deepStrictEqual(namesOf(await usersOn(bob)), everyone);
+        
+        // A status set on one worker shows on the other
+        await alice.timeout(2000).emitWithAck('set-status', { status: 'busy', text: 'In a meeting' });
+        await wait(100);
+        const seenByBob = (await usersOn(bob)).users.find(user => user.username === alice.welcome.username);
+        assert.strictEqual(seenByBob.status, 'busy');
+        assert.strictEqual(seenByBob.statusText, 'In a meeting');
+        
+        // And clearing it again leaves nothing behind on either
+        await alice.timeout(2000).emitWithAck('set-status', { status: 'online' });
+        await wait(100);
+        for (const socket of [alice, bob]) {
+            const entry = (await usersOn(socket)).users.find(user => user.username === alice.welcome.username);
+            assert.strictEqual(entry.status, 'online');
+            assert.strictEqual(entry.statusText || null, null);
+        }
+        
+        const left = once(alice, 'user-left');
+        bob.disconnect();
+        assert.strictEqual((await left).username, bob.welcome.username);
+        await wait(100);
+        assert.deepStrictEqual(namesOf(await usersOn(alice)), [alice.welcome.username]);
+        assert.strictEqual((await workerOf(alice)).activeUsers, 1);
+    } finally {
+        alice.disconnect();
+        bob.disconnect();
+    }
+});
+
+test('rooms created on one worker exist on the other', async () => {
+    const alice = await server.connect();
+    await wait(200);
+    const bob = await server.connect();
+    
+    try {
+        assert.notStrictEqual((await workerOf(alice)).worker, (await workerOf(bob)).worker);
+        
+        const joined = await alice.timeout(2000).emitWithAck('join-room', 'release-planning');
+        assert.strictEqual(joined.success, true);
+        await wait(100);
+        
+        // Unknown rooms are a 404 here
+        const members = await server.request(`/api/users?room=release-planning&sid=${bob.io.engine.id}`);
+        assert.strictEqual(members.status, 200);
+        assert.deepStrictEqual(namesOf(members.body), [alice.welcome.username]);
+    } finally {
+        alice.disconnect();
+        bob.disconnect();
+    }
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createMessagePipeline } = require('../lib/filters');
+const { startServer } = require('./helpers/server');
+
+const pipelineOf = (stages) => {
+    const pipeline = createMessagePipeline({ stages });
+    test.after(() => pipeline.close());
+    return pipeline;
+};
+
+const check = (pipeline, text, extra = {}) => pipeline.run({ text, kind: 'room', room: 'general', userId: 'u_1', username: 'alice', role: 'member', ...extra });
+
+// As the server does once an allowed message is stored
+const send = async (pipeline, text, extra) => {
+    const result = await check(pipeline, text, extra);
+    if (result.verdict === 'allow') result.accept();
+    return result;
+};
+
+test('rejects a message repeated too often', async () => {
+    const pipeline = pipelineOf([{ type: 'duplicates', maxRepeats: 2, windowSeconds: 30 }]);
+    
+    assert.strictEqual((await send(pipeline, 'hello there')).verdict, 'allow');
+    assert.strictEqual((await send(pipeline, 'Hello   THERE')).verdict, 'allow');
+    const third = await send(pipeline, 'hello there');
+    assert.strictEqual(third.verdict, 'reject');
+    assert.strictEqual(third.stage, 'duplicates');
+    
+    // Per user, and short messages never count
+    assert.strictEqual((await send(pipeline, 'hello there', { userId: 'u_2' })).verdict, 'allow');
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await send(pipeline, 'ok')).verdict, 'allow');
+    }
+});
+
+test('messages rejected by a later stage do not count as duplicates', async () => {
+    const pipeline = pipelineOf([
+        { type: 'duplicates', maxRepeats: 1, windowSeconds: 30 },
+        { type: 'links', max: 1 }
+    ]);
+    const tooManyLinks = 'see https://a.example and https://b.example';
+    
+    for (let i = 0; i < 3; i++) {
+        const result = await send(pipeline, tooManyLinks);
+        assert.strictEqual(result.verdict, 'reject');
+        assert.strictEqual(result.stage, 'links');
+    }
+    
+    assert.strictEqual((await send(pipeline, 'see https://a.example')).verdict, 'allow');
+    assert.strictEqual((await send(pipeline, 'see https://a.example')).stage, 'duplicates');
+});
+
+test('the duplicate stage records what it saw, after earlier stages changed it', async () => {
+    const pipeline = pipelineOf([
+        { type: 'words', words: ['darn'], action: 'mask' },
+        { type: 'duplicates', maxRepeats: 1, windowSeconds: 30 },
+        { type: 'words', words: ['forbidden'], action: 'reject' }
+    ]);
+    
+    assert.strictEqual((await send(pipeline, 'darn it, forbidden')).verdict, 'reject');
+    const allowed = await send(pipeline, 'darn it all');
+    assert.strictEqual(allowed.verdict, 'allow');
+    assert.notStrictEqual(allowed.text, 'darn it all');
+    assert.strictEqual((await send(pipeline, 'DARN it all')).stage, 'duplicates');
+});
+
+test('allowed messages count only once the sender accepts them', async () => {
+    const pipeline = pipelineOf([{ type: 'duplicates', maxRepeats: 1, windowSeconds: 30 }]);
+    
+    // Allowed by the filters, then dropped (say, a reply to a deleted message)
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await check(pipeline, 'hello there')).verdict, 'allow');
+    }
+    
+    assert.strictEqual((await send(pipeline, 'hello there')).verdict, 'allow');
+    assert.strictEqual((await send(pipeline, 'hello there')).stage, 'duplicates');
+});
+
+test('a message the server turns down does not count as a duplicate', async () => {
+    // Room for every send below within the flood limits
+    const limits = { limits: { 'send-message': { socket: { capacity: 10, perSecond: 1 } } } };
+    const server = await startServer({ env: { SOCKET_RATE_LIMITS: JSON.stringify(limits) } });
+    const alice = await server.connect();
+    const send = (data) => alice.timeout(2000).emitWithAck('send-message', data);
+    
+    try {
+        const parent = (await send({ message: 'how is the build?' })).message;
+        await alice.timeout(2000).emitWithAck('delete-message', { messageId: parent.messageId });
+        
+        // The default filters reject a third repeat
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual((await send({ message: 'build is green', parentId: parent.messageId })).code, 'NOT_FOUND');
+        }
+        assert.strictEqual((await send({ message: 'build is green' })).success, true);
+        assert.strictEqual((await send({ message: 'build is green' })).success, true);
+        assert.strictEqual((await send({ message: 'build is green' })).success, false);
+    } finally {
+        alice.disconnect();
+        await server.stop();
+    }
+});
@@ -0,0 +1,46 @@
+// A server with guests turned off: nothing is readable without signing in
+const test = require('node:test');
+const assert = require('assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+let headers;
+
+test.before(async () => {
+    server = await startServer({ env: { ALLOW_GUESTS: 'false' } });
+    const session = await server.request('/api/auth/register', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'alice', password: 'correct horse' })
+    });
+    headers = { Authorization: `Bearer ${session.body.token}` };
+});
+
+test.after(() => server && server.stop());
+
+test('history, threads, context, search and transcripts need a session', async () => {
+    const socket = await server.connect({ token: headers.Authorization.slice(7) });
+    let messageId;
+    try {
+        const sent = await socket.timeout(2000).emitWithAck('send-message', { message: 'hello from alice' });
+        messageId = sent.message.messageId;
+    } finally {
+        socket.disconnect();
+    }
+    
+    const routes = [
+        '/api/messages?room=general',
+        `/api/messages/${messageId}/thread`,
+        `/api/messages/${messageId}/context`,
+        '/api/search?q=hello',
+        '/api/transcripts/rooms/general?format=json'
+    ];
+    for (const route of routes) {
+        assert.strictEqual((await server.request(route)).status, 401, route);
+        assert.strictEqual((await server.request(route, { headers: { Authorization: 'Bearer not-a-token' } })).status, 401, route);
+        
+        const allowed = await server.request(route, { headers });
+        assert.strictEqual(allowed.status, 200, route);
+        assert.ok(allowed.body.success || allowed.body.format === 'socketchat-transcript', route);
+    }
+});
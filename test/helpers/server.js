@@ -0,0 +1,113 @@
+// Starts server.js (or cluster.js) in a child process on a free port, with all
+// of its data in a temporary directory
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const ROOT = path.join(__dirname, '..', '..');
+const START_TIMEOUT_MS = 15000;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const startServer = async ({ script = 'server.js', env = {} } = {}) => {
+    const port = await freePort();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socketchat-test-'));
+    const child = spawn(process.execPath, [path.join(ROOT, script)], {
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            PORT: String(port),
+            HOST: '127.0.0.1',
+            JWT_SECRET: 'test-secret',
+            MESSAGE_STORE: 'memory',
+            ACCOUNTS_PATH: path.join(dir, 'accounts.json'),
+            MODERATION_PATH: path.join(dir, 'moderation.json'),
+            WEBHOOKS_PATH: path.join(dir, 'webhooks.json'),
+            BOTS_PATH: path.join(dir, 'bots.json'),
+            UPLOAD_DIR: path.join(dir, 'uploads'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    
+    let logs = '';
+    child.stdout.on('data', chunk => { logs += chunk; });
+    child.stderr.on('data', chunk => { logs += chunk; });
+    
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => fail(new Error('timed out')), START_TIMEOUT_MS);
+        const check = () => {
+            if (logs.includes('Server started')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        const fail = (error) => {
+            clearTimeout(timer);
+            child.kill();
+            reject(new Error(`${script} did not start (${error.message}):\n${logs}`));
+        };
+        child.stdout.on('data', check);
+        child.on('exit', code => fail(new Error(`exited with ${code}`)));
+    });
+    
+    const url = `http://127.0.0.1:${port}`;
+    return {
+        url,
+        logs: () => logs,
+        
+        // Resolves with the socket once the server has welcomed it
+        connect: (auth = {}) => new Promise((resolve, reject) => {
+            const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false, auth });
+            socket.once('welcome', (welcome) => {
+                socket.welcome = welcome;
+                resolve(socket);
+            });
+            socket.once('connect_error', reject);
+        }),
+        
+        request: async (route, options = {}) => {
+            const res = await fetch(url + route, options);
+            const text = await res.text();
+            let body = text;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                // Not JSON; keep the text
+            }
+            return { status: res.status, headers: res.headers, body };
+        },
+        
+        stop: () => new Promise(resolve => {
+            child.removeAllListeners('exit');
+            child.once('exit', () => {
+                fs.rmSync(dir, { recursive: true, force: true });
+                resolve();
+            });
+            child.kill('SIGTERM');
+        })
+    };
+};
+
+// Resolves with the next `event` on a socket
+const once = (socket, event, timeoutMs = 3000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeoutMs}ms`)), timeoutMs);
+    socket.once(event, (data) => {
+        clearTimeout(timer);
+        resolve(data);
+    });
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { startServer, once, wait };
@@ -0,0 +1,146 @@
+// public/markdown.js runs in the browser; jsdom stands in for the document
+// its sanitizer parses into.
+const test = require('node:test');
+const assert = require('assert');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('');
+global.document = window.document;
+const markdown = require('../public/markdown');
+
+const ALLOWED_TAGS = ['P', 'BR', 'STRONG', 'EM', 'CODE', 'PRE', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'SPAN', 'A'];
+
+const parse = (html) => {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content;
+};
+
+// What must hold for any output, whatever went in
+const assertSafe = (html) => {
+    assert.ok(!html.includes('\u0000'), `NUL in ${html}`);
+    parse(html).querySelectorAll('*').forEach(element => {
+        assert.ok(ALLOWED_TAGS.includes(element.nodeName), `<${element.nodeName}> in ${html}`);
+        Array.from(element.attributes).forEach(attribute => {
+            assert.ok(['class', 'href', 'rel', 'target'].includes(attribute.name), `${attribute.name} attribute in ${html}`);
+        });
+        if (element.hasAttribute('href')) {
+            assert.match(new URL(element.getAttribute('href')).protocol, /^https?:$/);
+        }
+        if (element.hasAttribute('class')) {
+            assert.match(element.getAttribute('class'), /^[a-z0-9+#-]+( [a-z0-9+#-]+)*$/);
+        }
+    });
+};
+
+test('renders the supported subset', () => {
+    assert.strictEqual(
+        markdown.render('**bold** *italics* `code`'),
+        '<p><strong>bold</strong> <em>italics</em> <code>code</code></p>'
+    );
+    assert.strictEqual(markdown.render('- one\n- two'), '<ul><li>one</li><li>two</li></ul>');
+    assert.strictEqual(markdown.render('> quoted'), '<blockquote>quoted</blockquote>');
+    assert.strictEqual(
+        markdown.render('see www.example.com.'),
+        '<p>see <a href="https://www.example.com" rel="noopener noreferrer" target="_blank">www.example.com</a>.</p>'
+    );
+    assert.strictEqual(
+        markdown.render('```js\nconst x = 1;\n```'),
+        '<pre><code class="language-js"><span class="tok-keyword">const</span> x = <span class="tok-number">1</span>;</code></pre>'
+    );
+});
+
+test('keeps emphasis and links out of code', () => {
+    assert.strictEqual(markdown.render('`**x** https://example.com`'), '<p><code>**x** https://example.com</code></p>');
+    assert.strictEqual(markdown.render('```\n**x**\n```'), '<pre><code>**x**</code></pre>');
+});
+
+test('escapes script tags in messages', () => {
+    const inputs = [
+        '<script>alert(1)</script>',
+        '**<script>alert(1)</script>**',
+        '`<script>alert(1)</script>`',
+        '```html\n<script>alert(1)</script>\n```',
+        '> <script>alert(1)</script>',
+        '- <script>alert(1)</script>'
+    ];
+    inputs.forEach(input => {
+        const html = markdown.render(input);
+        assertSafe(html);
+        assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'), html);
+    });
+});
+
+test('escapes tags carrying event handlers', () => {
+    ['<img src=x onerror=alert(1)>', '<b onclick="alert(1)">x</b>', '<svg onload=alert(1)>'].forEach(input => {
+        const html = markdown.render(input);
+        assertSafe(html);
+        assert.ok(html.startsWith('<p>&lt;'), html);
+    });
+});
+
+test('only links http and https', () => {
+    ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)'].forEach(input => {
+        const html = markdown.render(input);
+        assertSafe(html);
+        assert.ok(!html.includes('<a'), html);
+    });
+});
+
+test('quotes in a URL cannot break out of href', () => {
+    [
+        'https://example.com/"onmouseover="alert(1)',
+        "https://example.com/'onmouseover='alert(1)",
+        'https://example.com/"><script>alert(1)</script>',
+        'https://example.com/&quot;onmouseover=&quot;alert(1)'
+    ].forEach(input => {
+        const html = markdown.render(input);
+        assertSafe(html);
+        const link = parse(html).querySelector('a');
+        assert.ok(!/["'<>]/.test(link.getAttribute('href')), link.getAttribute('href'));
+    });
+});
+
+test('quotes in a fence language cannot break out of class', () => {
+    ['```js" onclick="alert(1)\nx\n```', "```js' onclick='alert(1)\nx\n```", '```js"><script>alert(1)</script>\nx\n```'].forEach(input => {
+        const html = markdown.render(input);
+        assertSafe(html);
+        assert.ok(!html.includes('language-js"'), html);
+    });
+});
+
+test('NUL characters cannot forge code and link placeholders', () => {
+    [
+        '`<b>x</b>` \u00000\u0000',
+        '\u00000\u0000 `code`',
+        'https://example.com \u00000\u0000\u00000\u0000',
+        '`\u00000\u0000`',
+        '```\n\u00000\u0000\n```',
+        '```js\n"\u00000\u0000"\n```'
+    ].forEach(input => {
+        const html = markdown.render(input);
+        assertSafe(html);
+        assert.ok(parse(html).querySelectorAll('code, a').length <= 1, html);
+    });
+    assert.strictEqual(markdown.render('`a` \u00000\u0000'), '<p><code>a</code> 0</p>');
+});
+
+test('sanitize strips what the renderer would never emit', () => {
+    const cases = [
+        ['<p>hi<script>alert(1)</script></p>', '<p>hialert(1)</p>'],
+        ['<strong onclick="alert(1)" style="color:red">x</strong>', '<strong>x</strong>'],
+        ['<a href="javascript:alert(1)">x</a>', 'x'],
+        ['<a href=" JaVaScRiPt:alert(1)">x</a>', 'x'],
+        ['<a href="data:text/html;base64,PHNjcmlwdD4=">x</a>', 'x'],
+        ['<a href="/relative">x</a>', 'x'],
+        ['<a href="https://example.com" onmouseover="alert(1)">x</a>', '<a href="https://example.com" rel="noopener noreferrer" target="_blank">x</a>'],
+        ['<code class="language-js&quot; onclick=&quot;alert(1)">x</code>', '<code>x</code>'],
+        ['<span class="tok-string evil">x</span>', '<span class="tok-string">x</span>'],
+        ['<iframe src="https://example.com"></iframe><img src=x onerror=alert(1)>', '']
+    ];
+    cases.forEach(([input, expected]) => {
+        const html = markdown.sanitize(input);
+        assertSafe(html);
+        assert.strictEqual(html, expected);
+    });
+});
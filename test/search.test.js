@@ -0,0 +1,112 @@
+// The same search checks against every message store backend. The file store
+// searches through a memory index, so memory and SQLite cover all three.
+const test = require('node:test');
+const assert = require('assert');
+const { createMessageStore, messageIdPrefix } = require('../lib/store');
+
+let sqliteMissing = false;
+try {
+    require.resolve('better-sqlite3');
+} catch (error) {
+    sqliteMissing = 'better-sqlite3 is not installed';
+}
+
+const BACKENDS = [
+    { type: 'memory' },
+    { type: 'sqlite', path: ':memory:', skip: sqliteMissing }
+];
+
+let sequence = 0;
+const messageAt = (timestamp, fields) => ({
+    messageId: `${messageIdPrefix(Date.parse(timestamp))}${String(++sequence).padStart(8, '0')}`,
+    room: 'general',
+    timestamp,
+    ...fields
+});
+
+const alice = { userId: 'u_alice', username: 'Alice' };
+const bob = { userId: 'u_bob', username: 'bob' };
+
+const MESSAGES = {
+    release: messageAt('2026-01-01T10:00:00.000Z', { ...alice, message: 'Deploying the release today' }),
+    failed: messageAt('2026-01-02T10:00:00.000Z', { ...bob, message: 'deploy deploy deploy failed again' }),
+    pipeline: messageAt('2026-01-03T10:00:00.000Z', { ...alice, room: 'ops', message: 'The deployment pipeline is green' }),
+    lunch: messageAt('2026-01-04T10:00:00.000Z', { ...bob, message: 'Lunch anyone?' }),
+    cafe: messageAt('2026-01-05T10:00:00.000Z', { ...bob, message: 'Meeting at the Café about the deploy' }),
+    // Never searchable
+    direct: messageAt('2026-01-06T10:00:00.000Z', { ...alice, room: 'u_alice:u_bob', conversationId: 'u_alice:u_bob', message: 'deploy secrets' }),
+    deleted: messageAt('2026-01-07T10:00:00.000Z', { ...bob, message: '', deleted: true })
+};
+
+const idsOf = (results) => results.map(result => result.message.messageId);
+const named = (...names) => names.map(name => MESSAGES[name].messageId);
+
+for (const backend of BACKENDS) {
+    test.describe(`${backend.type} store search`, { skip: backend.skip }, () => {
+        let store;
+        const search = (query) => store.search({ terms: [], limit: 20, ...query });
+        
+        test.beforeEach(async () => {
+            store = createMessageStore(backend);
+            await store.init();
+            // Copies: the memory store keeps what it is given and updates it in place
+            for (const message of Object.values(MESSAGES)) {
+                await store.save({ ...message });
+            }
+        });
+        
+        test.afterEach(() => store.close());
+        
+        test('terms match the start of words, accents aside', async () => {
+            assert.deepStrictEqual(idsOf(await search({ terms: ['deplo'] })).sort(), named('release', 'failed', 'pipeline', 'cafe').sort());
+            assert.deepStrictEqual(idsOf(await search({ terms: ['cafe'] })), named('cafe'));
+            assert.deepStrictEqual(idsOf(await search({ terms: ['ploy'] })), []);
+        });
+        
+        test('every term has to match', async () => {
+            assert.deepStrictEqual(idsOf(await search({ terms: ['deploy', 'meeting'] })), named('cafe'));
+            assert.deepStrictEqual(idsOf(await search({ terms: ['deploy', 'lunch'] })), []);
+        });
+        
+        test('more occurrences in a shorter message rank higher', async () => {
+            const results = await search({ terms: ['deploy'] });
+            assert.strictEqual(results[0].message.messageId, MESSAGES.failed.messageId);
+            results.slice(1).forEach(result => assert.ok(result.score <= results[0].score));
+        });
+        
+        test('filters by author, room and time, with or without terms', async () => {
+            assert.deepStrictEqual(idsOf(await search({ terms: ['deplo'], author: 'alice' })).sort(), named('release', 'pipeline').sort());
+            assert.deepStrictEqual(idsOf(await search({ terms: ['deplo'], author: 'u_bob' })).sort(), named('failed', 'cafe').sort());
+            assert.deepStrictEqual(idsOf(await search({ terms: ['deplo'], room: 'ops' })), named('pipeline'));
+            assert.deepStrictEqual(
+                idsOf(await search({ terms: ['deplo'], since: '2026-01-02T00:00:00.000Z', until: '2026-01-03T23:59:59.999Z' })).sort(),
+                named('failed', 'pipeline').sort()
+            );
+            
+            // Filters alone list the newest first
+            assert.deepStrictEqual(idsOf(await search({ author: 'BOB' })), named('cafe', 'lunch', 'failed'));
+            assert.deepStrictEqual(idsOf(await search({ room: 'general', since: '2026-01-04T00:00:00.000Z' })), named('cafe', 'lunch'));
+        });
+        
+        test('pages through results without gaps or repeats', async () => {
+            const all = idsOf(await search({ terms: ['deplo'] }));
+            const first = idsOf(await search({ terms: ['deplo'], limit: 2 }));
+            const second = idsOf(await search({ terms: ['deplo'], limit: 2, offset: 2 }));
+            assert.deepStrictEqual(first.concat(second), all);
+            assert.deepStrictEqual(idsOf(await search({ terms: ['deplo'], limit: 2, offset: 4 })), []);
+        });
+        
+        test('edits and deletions are re-indexed', async () => {
+            await store.save({ ...MESSAGES.lunch, message: 'Lunch after the deploy?', editedAt: '2026-01-04T11:00:00.000Z' });
+            await store.save({ ...MESSAGES.release, message: 'Releasing today', editedAt: '2026-01-01T11:00:00.000Z' });
+            await store.save({ ...MESSAGES.failed, message: '', deleted: true, deletedAt: '2026-01-02T11:00:00.000Z' });
+            
+            assert.deepStrictEqual(idsOf(await search({ terms: ['deploy'] })).sort(), named('pipeline', 'lunch', 'cafe').sort());
+            assert.deepStrictEqual(idsOf(await search({ terms: ['releasing'] })), named('release'));
+            assert.deepStrictEqual(idsOf(await search({ terms: ['failed'] })), []);
+            // Other changes, such as reactions, leave the index as it was
+            await store.save({ ...MESSAGES.cafe, reactions: [{ emoji: '👍', count: 1, users: [alice] }] });
+            assert.deepStrictEqual(idsOf(await search({ terms: ['cafe'] })), named('cafe'));
+        });
+    });
+}
@@ -0,0 +1,139 @@
+// The cluster shared state, driven directly: this file forks itself as cluster
+// workers, each running a real replica, and tells them what to read and write
+// over IPC.
+const cluster = require('cluster');
+const { createClusterState, setupPrimary } = require('../lib/shared-state/cluster');
+
+if (cluster.isWorker) {
+    const state = createClusterState();
+    // Taken once each, like server.js does: map() sets perProcess every time
+    const maps = {
+        presence: state.map('presence', { perProcess: true }),
+        rooms: state.map('rooms')
+    };
+    state.channel('events').subscribe(payload => process.send({ type: 'test:published', payload }));
+    
+    // Entries asked for with `hold`, to check references stay current
+    const held = new Map();
+    
+    process.on('message', (message) => {
+        if (!message || message.type !== 'test:command') return;
+        
+        const map = maps[message.map];
+        let value;
+        switch (message.command) {
+            case 'set':
+                map.set(message.key, message.value);
+                break;
+            case 'delete':
+                map.delete(message.key);
+                break;
+            case 'get':
+                value = map.get(message.key);
+                break;
+            case 'hold':
+                held.set(message.key, map.get(message.key));
+                break;
+            case 'held':
+                value = held.get(message.key);
+                break;
+            case 'publish':
+                state.channel('events').publish(message.value);
+                break;
+        }
+        process.send({ type: 'test:reply', id: message.id, value });
+    });
+    
+    state.ready().then(() => process.send({ type: 'test:ready' }));
+} else {
+    const test = require('node:test');
+    const assert = require('assert');
+    
+    setupPrimary();
+    cluster.setupPrimary({ exec: __filename, execArgv: [], serialization: 'advanced' });
+    
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    
+    let nextId = 0;
+    const startWorker = () => new Promise((resolve, reject) => {
+        const worker = cluster.fork();
+        worker.published = [];
+        worker.on('message', (message) => {
+            if (message && message.type === 'test:ready') resolve(worker);
+            if (message && message.type === 'test:published') worker.published.push(message.payload);
+        });
+        worker.on('error', reject);
+    });
+    
+    // Runs a command on a worker; anything it wrote has reached the primary,
+    // and so is queued for the other workers, by the time this resolves
+    const command = (worker, name, params = {}) => new Promise(resolve => {
+        const id = ++nextId;
+        const onMessage = (message) => {
+            if (!message || message.type !== 'test:reply' || message.id !== id) return;
+            worker.off('message', onMessage);
+            resolve(message.value);
+        };
+        worker.on('message', onMessage);
+        worker.send({ type: 'test:command', id, command: name, ...params });
+    });
+    
+    let first;
+    let second;
+    
+    test.before(async () => {
+        first = await startWorker();
+        second = await startWorker();
+    });
+    
+    test.after(() => {
+        Object.values(cluster.workers).forEach(worker => worker.kill());
+    });
+    
+    test('entries written by one worker are seen by the others', async () => {
+        await command(first, 'set', { map: 'rooms', key: 'general', value: { name: 'general', topic: 'Hello' } });
+        assert.deepStrictEqual(await command(second, 'get', { map: 'rooms', key: 'general' }), { name: 'general', topic: 'Hello' });
+        
+        await command(second, 'delete', { map: 'rooms', key: 'general' });
+        assert.strictEqual(await command(first, 'get', { map: 'rooms', key: 'general' }), undefined);
+    });
+    
+    test('an update from another worker replaces the entry, dropping removed keys', async () => {
+        await command(first, 'set', { map: 'presence', key: 'u_1', value: { username: 'alice', status: 'away', statusText: 'lunch' } });
+        await command(first, 'hold', { map: 'presence', key: 'u_1' });
+        
+        await command(second, 'set', { map: 'presence', key: 'u_1', value: { username: 'alice', status: 'online' } });
+        assert.deepStrictEqual(await command(first, 'get', { map: 'presence', key: 'u_1' }), { username: 'alice', status: 'online' });
+        // The owner's own reference follows along
+        assert.deepStrictEqual(await command(first, 'held', { key: 'u_1' }), { username: 'alice', status: 'online' });
+    });
+    
+    test('channels reach the other workers but not the publisher', async () => {
+        await command(first, 'publish', { value: { type: 'ping' } });
+        await command(second, 'get', { map: 'rooms', key: 'none' });
+        assert.deepStrictEqual(second.published, [{ type: 'ping' }]);
+        assert.deepStrictEqual(first.published, []);
+    });
+    
+    test('a worker started later receives the current state', async () => {
+        await command(first, 'set', { map: 'rooms', key: 'dev', value: { name: 'dev' } });
+        const late = await startWorker();
+        assert.deepStrictEqual(await command(late, 'get', { map: 'rooms', key: 'dev' }), { name: 'dev' });
+        late.kill();
+    });
+    
+    test('per-process entries leave with the worker that wrote them', async () => {
+        const leaving = await startWorker();
+        await command(leaving, 'set', { map: 'presence', key: 'u_2', value: { username: 'bob' } });
+        await command(leaving, 'set', { map: 'rooms', key: 'bobs-room', value: { name: 'bobs-room' } });
+        assert.deepStrictEqual(await command(first, 'get', { map: 'presence', key: 'u_2' }), { username: 'bob' });
+        
+        await new Promise(resolve => {
+            leaving.on('exit', resolve);
+            leaving.kill();
+        });
+        await wait(50);
+        assert.strictEqual(await command(first, 'get', { map: 'presence', key: 'u_2' }), undefined);
+        assert.deepStrictEqual(await command(first, 'get', { map: 'rooms', key: 'bobs-room' }), { name: 'bobs-room' });
+    });
+}
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('assert');
+const { startServer, once } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+    server = await startServer();
+});
+
+test.after(() => server && server.stop());
+
+test('deleting a reply updates the thread summary on its parent', async () => {
+    const alice = await server.connect();
+    const send = (data) => alice.timeout(2000).emitWithAck('send-message', data);
+    const remove = (messageId) => alice.timeout(2000).emitWithAck('delete-message', { messageId });
+    
+    try {
+        const parent = (await send({ message: 'release notes?' })).message;
+        let updated = once(alice, 'thread-updated');
+        const first = (await send({ message: 'first draft is up', parentId: parent.messageId })).message;
+        await updated;
+        updated = once(alice, 'thread-updated');
+        const second = (await send({ message: 'second draft is up', parentId: parent.messageId })).message;
+        assert.strictEqual((await updated).lastReply.messageId, second.messageId);
+        
+        // The previewed reply goes: the one before it is shown again
+        updated = once(alice, 'thread-updated');
+        assert.strictEqual((await remove(second.messageId)).success, true);
+        let summary = await updated;
+        assert.strictEqual(summary.messageId, parent.messageId);
+        assert.strictEqual(summary.replyCount, 1);
+        assert.strictEqual(summary.lastReply.messageId, first.messageId);
+        
+        const thread = await server.request(`/api/messages/${parent.messageId}/thread`);
+        assert.strictEqual(thread.body.parent.replyCount, 1);
+        assert.strictEqual(thread.body.parent.lastReply.message, 'first draft is up');
+        
+        updated = once(alice, 'thread-updated');
+        assert.strictEqual((await remove(first.messageId)).success, true);
+        summary = await updated;
+        assert.strictEqual(summary.replyCount, 0);
+        assert.strictEqual(summary.lastReply, undefined);
+    } finally {
+        alice.disconnect();
+    }
+});
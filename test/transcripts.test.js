@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('assert');
+const { parseArchive } = require('../lib/transcripts');
+
+const archiveOf = (...messages) => ({ messages: messages.map(extra => ({ username: 'alice', message: 'hello', ...extra })) });
+
+test('imports messages with their timestamps', () => {
+    const result = parseArchive(archiveOf({ timestamp: '2024-03-01T10:00:00Z' }), 'general');
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.messages[0].timestamp, '2024-03-01T10:00:00.000Z');
+    assert.match(result.messages[0].messageId, /^[0-9a-z]+$/);
+});
+
+test('rejects timestamps before 1970 or in the future', () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    for (const dates of [{ timestamp: '1969-12-31T23:59:59Z' }, { timestamp: future }, { timestamp: '2024-03-01T10:00:00Z', editedAt: future }]) {
+        const result = parseArchive(archiveOf({ timestamp: '2024-03-01T09:00:00Z' }, dates), 'general');
+        assert.strictEqual(result.messages, undefined);
+        assert.strictEqual(result.field, 'messages[1]');
+        assert.match(result.error, /must be between 1970 and now/);
+    }
+});
+
+test('allows a little clock skew', () => {
+    const soon = new Date(Date.now() + 60 * 1000).toISOString();
+    assert.strictEqual(parseArchive(archiveOf({ timestamp: soon }), 'general').error, undefined);
+});
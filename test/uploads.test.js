@@ -0,0 +1,111 @@
+// Uploads are mounted behind authenticateUploader the way server.js does it
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createTokenService, authenticateUploader } = require('../lib/auth');
+const { createUploadService } = require('../lib/uploads');
+const { createAttachmentStorage } = require('../lib/attachments');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socketchat-uploads-'));
+const tokens = createTokenService({ secret: 'sessions', ttlSeconds: 60 });
+const uploadTokens = createTokenService({ secret: 'uploads', ttlSeconds: 60 });
+const accounts = {
+    findById: (id) => id === 'u_1' ? { id: 'u_1', username: 'alice' } : null
+};
+
+const listen = async (guestsAllowed) => {
+    const uploads = createUploadService({
+        storage: createAttachmentStorage({ dir }),
+        allowedTypes: ['text/plain']
+    });
+    await uploads.init();
+    
+    const authenticate = authenticateUploader({ tokens, uploadTokens, accounts, guestsAllowed });
+    const app = express();
+    app.use('/api/uploads', authenticate, uploads.uploadRouter);
+    app.use('/uploads', ...(guestsAllowed ? [] : [authenticate]), uploads.fileRouter);
+    
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    
+    const upload = async (token) => {
+        const form = new FormData();
+        form.append('file', new Blob(['hello'], { type: 'text/plain' }), 'hello.txt');
+        const res = await fetch(`${base}/api/uploads`, {
+            method: 'POST',
+            body: form,
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+        return { status: res.status, body: await res.json() };
+    };
+    
+    return { base, upload, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('uploads need a session or upload token', async () => {
+    const server = await listen(true);
+    try {
+        assert.strictEqual((await server.upload()).status, 401);
+        assert.strictEqual((await server.upload('not-a-token')).status, 401);
+        // Signed with the session key, but for an account that doesn't exist
+        assert.strictEqual((await server.upload(tokens.sign({ sub: 'u_gone' }))).status, 401);
+        
+        const bySession = await server.upload(tokens.sign({ sub: 'u_1' }));
+        assert.strictEqual(bySession.status, 201);
+        assert.strictEqual(bySession.body.attachment.uploadedBy, 'u_1');
+        
+        const byGuest = await server.upload(uploadTokens.sign({ sub: 'guest_1', username: 'User_1', guest: true }));
+        assert.strictEqual(byGuest.status, 201);
+        assert.strictEqual(byGuest.body.attachment.uploadedBy, 'guest_1');
+        
+        // Anyone may look while anyone may join
+        const res = await fetch(server.base + byGuest.body.attachment.url);
+        assert.strictEqual(await res.text(), 'hello');
+    } finally {
+        await server.close();
+    }
+});
+
+test('without guests, guest tokens stop working and files need a token to view', async () => {
+    const server = await listen(false);
+    try {
+        assert.strictEqual((await server.upload(uploadTokens.sign({ sub: 'guest_1', guest: true }))).status, 401);
+        
+        const memberToken = uploadTokens.sign({ sub: 'u_1', username: 'alice', guest: false });
+        const uploaded = await server.upload(memberToken);
+        assert.strictEqual(uploaded.status, 201);
+        
+        const url = server.base + uploaded.body.attachment.url;
+        assert.strictEqual((await fetch(url)).status, 401);
+        assert.strictEqual(await (await fetch(`${url}?token=${memberToken}`)).text(), 'hello');
+        assert.strictEqual(await (await fetch(url, { headers: { Authorization: `Bearer ${tokens.sign({ sub: 'u_1' })}` } })).text(), 'hello');
+        // Session tokens stay out of URLs
+        assert.strictEqual((await fetch(`${url}?token=${tokens.sign({ sub: 'u_1' })}`)).status, 401);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a corrupt metadata file is an error response, not a crash', async () => {
+    const server = await listen(true);
+    try {
+        const uploaded = await server.upload(tokens.sign({ sub: 'u_1' }));
+        const { id, url } = uploaded.body.attachment;
+        fs.writeFileSync(path.join(dir, `${id}.meta`), '{"id":"trunc');
+        
+        const res = await fetch(server.base + url);
+        assert.strictEqual(res.status, 500);
+        await res.text();
+        // Still serving
+        assert.strictEqual((await server.upload(tokens.sign({ sub: 'u_1' }))).status, 201);
+    } finally {
+        await server.close();
+    }
+});
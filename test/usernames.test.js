@@ -0,0 +1,41 @@
+// Names guests may and may not take, against a running server
+const test = require('node:test');
+const assert = require('assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+test.before(async () => {
+    server = await startServer({ env: { ADMIN_USERNAMES: 'admin' } });
+    const session = await server.request('/api/auth/register', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: 'correct horse' })
+    });
+    const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${session.body.token}` };
+    
+    const bot = await server.request('/api/bots', { method: 'POST', headers, body: JSON.stringify({ name: 'DeployBot' }) });
+    assert.strictEqual(bot.status, 201);
+    const hook = await server.request('/api/webhooks/incoming', { method: 'POST', headers, body: JSON.stringify({ name: 'Build Status', room: 'general' }) });
+    assert.strictEqual(hook.status, 201);
+});
+
+test.after(() => server && server.stop());
+
+const nick = (socket, name) => socket.timeout(2000).emitWithAck('send-message', { message: `/nick ${name}` });
+
+test('guests cannot take the name of an account, a bot or an incoming webhook', async () => {
+    const guest = await server.connect();
+    try {
+        for (const name of ['admin', 'DeployBot', 'deploybot', 'Build Status']) {
+            const result = await nick(guest, name);
+            assert.strictEqual(result.success, false, `took ${name}`);
+            assert.match(result.error, /already in use/);
+        }
+        
+        const renamed = await nick(guest, 'DeployFan');
+        assert.strictEqual(renamed.success, true);
+    } finally {
+        guest.disconnect();
+    }
+});
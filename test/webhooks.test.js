@@ -0,0 +1,345 @@
+// Outgoing deliveries against a real receiver on a local port, and the
+// webhook routes of a running server.
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWebhookStore, createWebhookDispatcher, sign } = require('../lib/webhooks');
+const { startServer, once, wait } = require('./helpers/server');
+
+const RETRY_MS = 20;
+
+// Answers each POST with the next of `statuses` (the last one repeats) and
+// keeps what it was sent
+const startReceiver = (statuses = [200]) => new Promise(resolve => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ at: Date.now(), headers: req.headers, body });
+            res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        close: () => new Promise(done => server.close(done))
+    }));
+});
+
+const verify = (secret, request) => {
+    const expected = `sha256=${sign(secret, request.headers['x-webhook-timestamp'], request.body)}`;
+    const actual = request.headers['x-webhook-signature'];
+    return actual.length === expected.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+};
+
+const dispatcherOf = (options = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socketchat-webhooks-'));
+    const store = createWebhookStore({ path: path.join(dir, 'webhooks.json') });
+    test.after(async () => {
+        await store.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { store, dispatcher: createWebhookDispatcher({ store, retryMs: RETRY_MS, ...options }) };
+};
+
+const MESSAGE = { messageId: 'm1', room: 'general', userId: 'u_1', username: 'alice', message: 'deploy the release please', timestamp: new Date().toISOString() };
+
+test('deliveries are signed with the hook secret', async () => {
+    const receiver = await startReceiver();
+    const { store, dispatcher } = dispatcherOf();
+    const { hook, secret } = store.addOutgoing({ name: 'ci', url: receiver.url, keywords: ['deploy'] });
+    
+    try {
+        dispatcher.dispatch(MESSAGE);
+        await wait(100);
+        
+        assert.strictEqual(receiver.received.length, 1);
+        const [request] = receiver.received;
+        assert.strictEqual(request.headers['x-webhook-event'], 'message');
+        assert.ok(verify(secret, request));
+        // Another secret, or a changed body, doesn't verify
+        assert.ok(!verify('not-the-secret', request));
+        assert.ok(!verify(secret, { ...request, body: request.body.replace('alice', 'mallory') }));
+        
+        const payload = JSON.parse(request.body);
+        assert.strictEqual(payload.delivery, request.headers['x-webhook-delivery']);
+        assert.strictEqual(payload.timestamp, request.headers['x-webhook-timestamp']);
+        assert.deepStrictEqual(payload.hook, { id: hook.id, name: 'ci' });
+        assert.strictEqual(payload.keyword, 'deploy');
+        assert.strictEqual(payload.message.message, MESSAGE.message);
+        
+        // A rotated secret signs from the next delivery on
+        const rotated = store.rotateOutgoingSecret(hook.id);
+        await dispatcher.ping(hook.id);
+        assert.ok(verify(rotated.secret, receiver.received[1]));
+        assert.ok(!verify(secret, receiver.received[1]));
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('only matching messages from people are delivered', async () => {
+    const receiver = await startReceiver();
+    const { store, dispatcher } = dispatcherOf();
+    store.addOutgoing({ name: 'ci', url: receiver.url, rooms: ['general'], keywords: ['deploy'] });
+    
+    try {
+        dispatcher.dispatch({ ...MESSAGE, message: 'nothing to see' });
+        dispatcher.dispatch({ ...MESSAGE, room: 'random' });
+        dispatcher.dispatch({ ...MESSAGE, bot: true });
+        dispatcher.dispatch({ ...MESSAGE, room: undefined, conversationId: 'u_1:u_2' });
+        await wait(100);
+        assert.strictEqual(receiver.received.length, 0);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('retries timeouts, rate limits and server errors with growing delays', async () => {
+    const receiver = await startReceiver([503, 429, 408, 200]);
+    const { store, dispatcher } = dispatcherOf({ attempts: 4 });
+    const { hook } = store.addOutgoing({ name: 'ci', url: receiver.url });
+    
+    try {
+        dispatcher.dispatch(MESSAGE);
+        await wait(RETRY_MS * (1 + 4 + 16) + 200);
+        
+        assert.strictEqual(receiver.received.length, 4);
+        // The same delivery each time
+        assert.strictEqual(new Set(receiver.received.map(request => request.headers['x-webhook-delivery'])).size, 1);
+        const gaps = receiver.received.slice(1).map((request, index) => request.at - receiver.received[index].at);
+        gaps.forEach((gap, index) => assert.ok(gap >= RETRY_MS * 4 ** index, `gap ${index + 1} was ${gap} ms`));
+        
+        const [delivery] = store.listDeliveries(hook.id);
+        assert.strictEqual(delivery.status, 'delivered');
+        assert.strictEqual(delivery.responseStatus, 200);
+        assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.status), [503, 429, 408, 200]);
+        assert.ok(delivery.completedAt);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('gives up on client errors at once and on unreachable receivers after the last attempt', async () => {
+    const receiver = await startReceiver([400]);
+    const { store, dispatcher } = dispatcherOf({ attempts: 3 });
+    const rejected = store.addOutgoing({ name: 'rejecting', url: receiver.url }).hook;
+    
+    // A port nothing listens on any more
+    const gone = await startReceiver();
+    await gone.close();
+    const unreachable = store.addOutgoing({ name: 'gone', url: gone.url }).hook;
+    
+    try {
+        dispatcher.dispatch(MESSAGE);
+        await wait(RETRY_MS * (1 + 4) + 200);
+        
+        assert.strictEqual(receiver.received.length, 1);
+        const [failed] = store.listDeliveries(rejected.id);
+        assert.strictEqual(failed.status, 'failed');
+        assert.strictEqual(failed.responseStatus, 400);
+        assert.strictEqual(failed.attempts.length, 1);
+        
+        const [lost] = store.listDeliveries(unreachable.id);
+        assert.strictEqual(lost.status, 'failed');
+        assert.strictEqual(lost.responseStatus, undefined);
+        assert.match(lost.error, /ECONNREFUSED/);
+        assert.strictEqual(lost.attempts.length, 3);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('the delivery log lists the newest first and follows each attempt', async () => {
+    const receiver = await startReceiver([500, 200]);
+    const { store, dispatcher } = dispatcherOf({ attempts: 2, retryMs: 200 });
+    const { hook } = store.addOutgoing({ name: 'ci', url: receiver.url });
+    
+    try {
+        dispatcher.dispatch(MESSAGE);
+        await wait(100);
+        const [pending] = store.listDeliveries(hook.id);
+        assert.strictEqual(pending.status, 'pending');
+        assert.strictEqual(pending.responseStatus, 500);
+        assert.strictEqual(pending.completedAt, undefined);
+        
+        await wait(300);
+        const ping = await dispatcher.ping(hook.id);
+        const log = store.listDeliveries(hook.id);
+        assert.deepStrictEqual(log.map(delivery => delivery.id), [ping.id, pending.id]);
+        assert.deepStrictEqual(log.map(delivery => delivery.event), ['ping', 'message']);
+        assert.strictEqual(log[1].status, 'delivered');
+        assert.strictEqual(log[1].attempts.length, 2);
+        assert.strictEqual(log[1].messageId, MESSAGE.messageId);
+        assert.deepStrictEqual(store.listDeliveries(hook.id, 1).map(delivery => delivery.id), [ping.id]);
+        
+        // Removing the hook drops its log
+        store.removeOutgoing(hook.id);
+        assert.deepStrictEqual(store.listDeliveries(hook.id), []);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('the delivery log is saved apart from the hooks, in batches', async (t) => {
+    const receiver = await startReceiver([503, 503, 200]);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socketchat-webhooks-'));
+    const filePath = path.join(dir, 'webhooks.json');
+    const deliveriesPath = path.join(dir, 'webhooks.deliveries.json');
+    const store = createWebhookStore({ path: filePath, saveDelayMs: 300 });
+    const dispatcher = createWebhookDispatcher({ store, retryMs: RETRY_MS });
+    
+    const renames = [];
+    const rename = fs.promises.rename;
+    t.mock.method(fs.promises, 'rename', (from, to) => {
+        renames.push(to);
+        return rename(from, to);
+    });
+    
+    try {
+        const { hook } = store.addOutgoing({ name: 'ci', url: receiver.url });
+        dispatcher.dispatch(MESSAGE);
+        await wait(RETRY_MS * (1 + 4) + 100);
+        
+        // Three attempts logged, and none of them written yet
+        assert.strictEqual(receiver.received.length, 3);
+        assert.deepStrictEqual(renames, [filePath]);
+        
+        await wait(300);
+        assert.deepStrictEqual(renames, [filePath, deliveriesPath]);
+        const [saved] = JSON.parse(fs.readFileSync(deliveriesPath, 'utf8'));
+        assert.strictEqual(saved.status, 'delivered');
+        assert.strictEqual(saved.attempts.length, 3);
+        assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).deliveries, undefined);
+        
+        // close() writes what is still waiting
+        await dispatcher.ping(hook.id);
+        await store.close();
+        const reloaded = await createWebhookStore({ path: filePath }).init();
+        assert.deepStrictEqual(reloaded.listDeliveries(hook.id).map(delivery => delivery.event), ['ping', 'message']);
+    } finally {
+        await receiver.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a log kept in the hooks file by older versions is moved to its own', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socketchat-webhooks-'));
+    const filePath = path.join(dir, 'webhooks.json');
+    const delivery = { id: 'd1', hookId: 'h1', event: 'ping', status: 'delivered', attempts: [], createdAt: new Date().toISOString() };
+    fs.writeFileSync(filePath, JSON.stringify({ incoming: [], outgoing: [{ id: 'h1', name: 'ci', url: 'http://127.0.0.1:1/', rooms: [], keywords: [], secret: 's' }], deliveries: [delivery] }));
+    
+    try {
+        const store = await createWebhookStore({ path: filePath }).init();
+        assert.deepStrictEqual(store.listDeliveries('h1'), [delivery]);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'webhooks.deliveries.json'), 'utf8')), [delivery]);
+        assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).deliveries, undefined);
+        await store.close();
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test.describe('a running server', () => {
+    let server;
+    let receiver;
+    let headers;
+    
+    test.before(async () => {
+        receiver = await startReceiver();
+        server = await startServer({ env: { ADMIN_USERNAMES: 'admin', WEBHOOK_RETRY_MS: String(RETRY_MS) } });
+        const session = await server.request('/api/auth/register', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'admin', password: 'correct horse' })
+        });
+        headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${session.body.token}` };
+    });
+    
+    test.after(async () => {
+        if (server) await server.stop();
+        if (receiver) await receiver.close();
+    });
+    
+    test('POST /api/hooks/:token posts into the hook\'s room', async () => {
+        const created = await server.request('/api/webhooks/incoming', { method: 'POST', headers, body: JSON.stringify({ name: 'DeployBot', room: 'general' }) });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.body.url, `${server.url}/api/hooks/${created.body.token}`);
+        
+        const guest = await server.connect();
+        try {
+            const received = once(guest, 'new-message');
+            const post = await server.request(`/api/hooks/${created.body.token}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: 'Build 42 is out' })
+            });
+            assert.strictEqual(post.status, 200);
+            assert.strictEqual(post.body.success, true);
+            
+            const message = await received;
+            assert.strictEqual(message.message, 'Build 42 is out');
+            assert.strictEqual(message.username, 'DeployBot');
+            assert.strictEqual(message.room, 'general');
+            assert.strictEqual(message.bot, true);
+        } finally {
+            guest.disconnect();
+        }
+        
+        const empty = await server.request(`/api/hooks/${created.body.token}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        assert.strictEqual(empty.status, 400);
+        assert.strictEqual(empty.body.code, 'INVALID_PAYLOAD');
+        
+        // Only the latest token works
+        const rotated = await server.request(`/api/webhooks/incoming/${created.body.hook.id}/token`, { method: 'POST', headers });
+        const stale = await server.request(`/api/hooks/${created.body.token}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'again' })
+        });
+        assert.strictEqual(stale.status, 404);
+        const fresh = await server.request(`/api/hooks/${rotated.body.token}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: 'again' })
+        });
+        assert.strictEqual(fresh.status, 200);
+    });
+    
+    test('room messages reach outgoing hooks, signed, and show in the delivery log', async () => {
+        const created = await server.request('/api/webhooks/outgoing', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ name: 'ci', url: receiver.url, keywords: ['deploy'] })
+        });
+        assert.strictEqual(created.status, 201);
+        
+        const guest = await server.connect();
+        try {
+            const sent = await guest.timeout(2000).emitWithAck('send-message', { message: 'please deploy now' });
+            assert.strictEqual(sent.success, true);
+            await wait(200);
+        } finally {
+            guest.disconnect();
+        }
+        
+        assert.strictEqual(receiver.received.length, 1);
+        assert.ok(verify(created.body.secret, receiver.received[0]));
+        assert.strictEqual(JSON.parse(receiver.received[0].body).message.message, 'please deploy now');
+        
+        const log = await server.request(`/api/webhooks/outgoing/${created.body.hook.id}/deliveries`, { headers });
+        assert.strictEqual(log.body.count, 1);
+        assert.strictEqual(log.body.deliveries[0].status, 'delivered');
+        assert.strictEqual(log.body.deliveries[0].id, receiver.received[0].headers['x-webhook-delivery']);
+        
+        // Admins only
+        const anonymous = await server.request('/api/webhooks', { headers: { Authorization: 'Bearer nope' } });
+        assert.strictEqual(anonymous.status, 401);
+    });
+});